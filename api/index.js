@@ -2,8 +2,10 @@
 
 /**
  * SHIB Ads WebApp Backend API
- * Handles all POST requests from the Telegram Mini App frontend.
- * Uses the Supabase REST API for persistence.
+ * Handles all POST requests from the Telegram Mini App frontend, plus the bot webhook
+ * (POST /api/?telegram_webhook), ad network postbacks (GET /api/?ad_postback=...) and the
+ * scheduled maintenance job (GET or POST /api/?maintenance).
+ * Uses the Supabase REST API for persistence (or an in-memory store, see STORAGE_BACKEND).
  */
 const crypto = require('crypto');
 
@@ -12,23 +14,66 @@ const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
 // ⚠️ BOT_TOKEN must be set in Vercel environment variables
 const BOT_TOKEN = process.env.BOT_TOKEN;
+// Telegram Bot API base URL (override to point at a local fake Telegram server)
+const TELEGRAM_API_BASE = process.env.TELEGRAM_API_BASE || 'https://api.telegram.org';
+// Secret token passed to setWebhook; Telegram echoes it in the X-Telegram-Bot-Api-Secret-Token header
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+// Public URL of the Mini App (index.html), used for the "Open App" button in bot replies
+const WEBAPP_URL = process.env.WEBAPP_URL;
+// Secret for the scheduled maintenance route; Vercel Cron sends it as "Authorization: Bearer <CRON_SECRET>"
+const CRON_SECRET = process.env.CRON_SECRET;
 
 // ------------------------------------------------------------------
 // Fully secured and defined server-side constants
 // ------------------------------------------------------------------
-const REWARD_PER_AD = 3;
-const REFERRAL_COMMISSION_RATE = 0.05;
-const DAILY_MAX_ADS = 100; // Max ads limit
-const DAILY_MAX_SPINS = 15; // Max spins limit
-const RESET_INTERVAL_MS = 6 * 60 * 60 * 1000; // ⬅️ 6 hours in milliseconds
-const MIN_TIME_BETWEEN_ACTIONS_MS = 3000; // 3 seconds minimum time between watchAd/spin requests
+const MIN_TIME_BETWEEN_ACTIONS_MS = 3000; // 3 seconds minimum time between spin/task requests (see RATE_LIMITS)
 const ACTION_ID_EXPIRY_MS = 60000; // 60 seconds for Action ID to be valid
-const SPIN_SECTORS = [5, 10, 15, 20, 5];
+const MAX_REQUEST_BODY_BYTES = 512 * 1024; // Larger bodies get 413; leaves room for a task proof screenshot
+
+// Session tokens (startSession / refreshSession). SESSION_SECRET defaults to a key derived from BOT_TOKEN.
+// A token lives SESSION_TTL_SECONDS; refreshing works until SESSION_MAX_AGE_SECONDS after startSession,
+// and an expired token only within SESSION_REFRESH_GRACE_SECONDS (later, the client needs fresh initData).
+const SESSION_SECRET = process.env.SESSION_SECRET;
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS) || 60 * 60;
+const SESSION_MAX_AGE_SECONDS = parseInt(process.env.SESSION_MAX_AGE_SECONDS) || 7 * 24 * 60 * 60;
+const SESSION_REFRESH_GRACE_SECONDS = parseInt(process.env.SESSION_REFRESH_GRACE_SECONDS) || 5 * 60;
+
+// ------------------------------------------------------------------
+// Reward Economy Defaults (overridable per key from the `settings` table)
+// ------------------------------------------------------------------
+const DEFAULT_SETTINGS = {
+    reward_per_ad: 3,
+    referral_commission_levels: [0.05], // Rate per referral level: [level 1, level 2, ...]
+    referral_min_referee_ads: 10, // Commissions start once the referee has watched this many ads in total
+    daily_max_ads: 100, // Max ads limit
+    daily_max_spins: 15, // Max spins limit
+    reset_interval_ms: 6 * 60 * 60 * 1000, // ⬅️ 6 hours in milliseconds (the "limit_reached" reset policy)
+    limit_reset_policies: { // How each counter returns to zero, see LIMIT_RESET_POLICY_TYPES
+        ads: { type: 'limit_reached' },
+        spins: { type: 'limit_reached' }
+    },
+    spin_sectors: [5, 10, 15, 20, 5],
+    task_reward: 50,
+    min_withdraw: 400, // Global floor; each withdrawal method may require more
+    withdrawal_methods: { // Per-method minimum and flat fee in SHIB (the fee is deducted from the withdrawn amount)
+        binance_pay: { min_amount: 400, fee: 0 },
+        usdt_trc20: { min_amount: 1000, fee: 50 },
+        shib_bep20: { min_amount: 1000, fee: 25 }
+    },
+    checkin_rewards: [5, 10, 15, 20, 25, 30, 50], // Reward per consecutive check-in day; repeats after the last day
+    fraud_review_score: 50, // Risk score at which new withdrawals are put on hold for review
+    fraud_soft_ban_score: 100, // Risk score at which earning and withdrawing are suspended
+    limit_reset_notifications: false, // Maintenance runs message users whose ads/spins limit was reset
+    rate_limit_overrides: {} // Per request type replacements for RATE_LIMITS entries, e.g. { "watchAd": { "limit": 3, "window_ms": 10000, "ip_limit": 30 } }
+};
+const SETTINGS_CACHE_TTL_MS = 60000; // Re-read the settings table at most once a minute
+const MAX_REFERRAL_LEVELS = 5; // Upper bound for referral_commission_levels
+const MAX_REFERRAL_CHAIN_CHECK_DEPTH = 20; // How far up the chain handleRegister looks for cycles
+const REFERRAL_ACTIVE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // A referee counts as active if seen in the last 7 days
 
 // ------------------------------------------------------------------
 // NEW Task Constants
 // ------------------------------------------------------------------
-const TASK_REWARD = 50;
 const TELEGRAM_CHANNEL_USERNAME = '@botbababab'; // يجب أن يكون هذا هو اسم المستخدم للقناة لبدء التحقق
 
 // ------------------------------------------------------------------
@@ -36,14 +81,264 @@ const TELEGRAM_CHANNEL_USERNAME = '@botbababab'; // يجب أن يكون هذا
 // ------------------------------------------------------------------
 const TASK_COMPLETIONS_TABLE = 'user_task_completions'; // اسم افتراضي لجدول حفظ إكمال المهام
 
+// ------------------------------------------------------------------
+// Task Verification Constants
+// ------------------------------------------------------------------
+// tasks.verification_type selects how a claim is verified; tasks.verification_config holds its options:
+//   channel_join:        { chat: "@channel" }  (falls back to channel_username / the t.me link; works for groups too)
+//   bot_start:           { bot_token: "<partner bot token>" }  user must have started the partner bot
+//   link_visit:          { min_seconds: 15 }  claim allowed only that long after "startTask"
+//   referral_milestone:  { referrals: 5, active_only: true }  active = watched referral_min_referee_ads ads
+//   manual_review:       {}  user submits a proof (URL or screenshot) that an operator approves
+const TASK_VERIFICATION_TYPES = ['channel_join', 'bot_start', 'link_visit', 'referral_milestone', 'manual_review'];
+const TASK_ATTEMPTS_TABLE = 'task_attempts'; // link visits and submitted proofs
+const DEFAULT_LINK_VISIT_SECONDS = 15;
+const MAX_TASK_PROOF_LENGTH = 400000; // ~300 KB screenshot as a data URL
+
+// Columns read wherever a task's availability is checked (schedule, cap, targeting)
+const TASK_COLUMNS = 'id,name,link,reward,max_participants,channel_username,is_active,is_paused,verification_type,verification_config,starts_at,ends_at,min_account_age_days,languages,referred_only';
+
+// ------------------------------------------------------------------
+// Admin API Constants
+// ------------------------------------------------------------------
+// ADMIN_SECRET: shared secret for operator tooling (sent as the x-admin-secret header)
+// ADMIN_TELEGRAM_IDS: comma-separated Telegram user ids allowed to use the admin API from the Mini App
+const ADMIN_SECRET = process.env.ADMIN_SECRET;
+const ADMIN_TELEGRAM_IDS = (process.env.ADMIN_TELEGRAM_IDS || '')
+    .split(',')
+    .map(value => parseInt(value.trim()))
+    .filter(value => !isNaN(value));
+const ADMIN_AUDIT_TABLE = 'admin_audit_log';
+const ADMIN_TASK_FIELDS = [
+    'name', 'link', 'reward', 'max_participants', 'channel_username', 'is_active', 'verification_type', 'verification_config',
+    'is_paused', 'starts_at', 'ends_at', 'min_account_age_days', 'languages', 'referred_only'
+];
+
+// ------------------------------------------------------------------
+// Withdrawal Constants
+// ------------------------------------------------------------------
+// Supported payout methods and the address format each one accepts
+const WITHDRAWAL_METHODS = {
+    binance_pay: { label: 'Binance Pay ID', address_pattern: /^\d{6,12}$/ },
+    usdt_trc20: { label: 'USDT (TRC20) Address', address_pattern: /^T[1-9A-HJ-NP-Za-km-z]{33}$/ },
+    shib_bep20: { label: 'SHIB (BEP20) Address', address_pattern: /^0x[0-9a-fA-F]{40}$/ }
+};
+// Lifecycle: pending → processing → completed / rejected. Users may cancel while still pending.
+// Withdrawals of users flagged by the anti-fraud checks wait in on_hold until an operator releases them.
+const WITHDRAWAL_TRANSITIONS = {
+    pending: ['processing', 'rejected', 'cancelled', 'on_hold'],
+    on_hold: ['pending', 'rejected'],
+    processing: ['completed', 'rejected']
+};
+const OPEN_WITHDRAWAL_STATUSES = ['pending', 'on_hold', 'processing']; // A user may have at most one withdrawal in these states
+const REFUNDED_WITHDRAWAL_STATUSES = ['rejected', 'cancelled']; // Entering these states returns the amount to the balance
+
+// ------------------------------------------------------------------
+// Anti-Fraud Constants
+// ------------------------------------------------------------------
+const FRAUD_SIGNALS_TABLE = 'fraud_signals';
+// Score added by each signal; a user's risk score is the sum over unreviewed signals in the window
+const FRAUD_SIGNAL_WEIGHTS = {
+    request_burst: 10, // Too many API requests in a short window
+    fast_action_claim: 15, // Action claimed faster than a human could (e.g. an ad "watched" in 1s)
+    shared_withdrawal_address: 40, // Withdrawal address already used by another account
+    inactive_referral_tree: 30, // Many referees, almost none of them ever active
+    initdata_reuse: 50 // Valid initData of one Telegram user sent on behalf of another user_id
+};
+const FRAUD_SIGNAL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // Signals older than this no longer count
+const FRAUD_BURST_WINDOW_MS = 60000;
+const FRAUD_BURST_MAX_REQUESTS = 60; // Requests per FRAUD_BURST_WINDOW_MS before request_burst is recorded
+const FRAUD_MIN_ACTION_CLAIM_MS = { watchAd: 5000 }; // Minimum time between issuing and claiming an action ID
+const FRAUD_MIN_REFERRALS_FOR_TREE_CHECK = 5;
+const FRAUD_INACTIVE_REFERRAL_SHARE = 0.8; // Share of never-active referees that flags the tree
+const FRAUD_STATUSES = ['ok', 'review', 'soft_banned']; // Ordered by severity; only an operator lowers it
+// Request types refused while a user is soft-banned (viewing data stays allowed)
+const FRAUD_RESTRICTED_TYPES = ['watchAd', 'preSpin', 'spinResult', 'completeTask', 'claimTask', 'submitTaskProof', 'dailyCheckIn', 'withdraw'];
+// Ledger types paid at most once per (user, source_id), so a replayed claim can't be credited twice
+// (unique index balance_transactions_one_time_source in sql/fraud.sql)
+const ONE_TIME_REWARD_TYPES = ['ad_reward', 'spin_reward', 'task_reward', 'daily_checkin'];
+
+// ------------------------------------------------------------------
+// Rate Limit Constants
+// ------------------------------------------------------------------
+// Sliding-window limits per request type: at most `limit` requests per `window_ms` for one user and
+// `ip_limit` for one client IP (higher, since many users can share a mobile carrier's NAT).
+// Types without an entry use `default`; admin requests are only limited per IP.
+const RATE_LIMITS = {
+    default: { limit: 60, window_ms: 60000, ip_limit: 600 },
+    register: { limit: 5, window_ms: 60000, ip_limit: 30 },
+    getTasks: { limit: 20, window_ms: 60000, ip_limit: 200 },
+    getLeaderboard: { limit: 20, window_ms: 60000, ip_limit: 200 },
+    getAchievements: { limit: 20, window_ms: 60000, ip_limit: 200 },
+    generateActionId: { limit: 30, window_ms: 60000, ip_limit: 300 },
+    watchAd: { limit: 6, window_ms: 10000, ip_limit: 60 }, // Leaves room for the client's "not verified yet" (425) retries
+    preSpin: { limit: 1, window_ms: MIN_TIME_BETWEEN_ACTIONS_MS, ip_limit: 20 },
+    spinResult: { limit: 1, window_ms: MIN_TIME_BETWEEN_ACTIONS_MS, ip_limit: 20 },
+    completeTask: { limit: 1, window_ms: MIN_TIME_BETWEEN_ACTIONS_MS, ip_limit: 20 },
+    claimTask: { limit: 1, window_ms: MIN_TIME_BETWEEN_ACTIONS_MS, ip_limit: 20 },
+    startSession: { limit: 10, window_ms: 60000, ip_limit: 100 },
+    refreshSession: { limit: 10, window_ms: 60000, ip_limit: 100 },
+    submitTaskProof: { limit: 5, window_ms: 60000, ip_limit: 50 },
+    dailyCheckIn: { limit: 3, window_ms: 60000, ip_limit: 100 },
+    withdraw: { limit: 3, window_ms: 60000, ip_limit: 30 },
+    cancelWithdrawal: { limit: 5, window_ms: 60000, ip_limit: 50 },
+    admin: { limit: 120, window_ms: 60000, ip_limit: 120 }
+};
+// Types refused (503) instead of let through when the rate limit store fails: everything that writes or pays
+const RATE_LIMIT_FAIL_CLOSED_TYPES = [...FRAUD_RESTRICTED_TYPES, 'register', 'cancelWithdrawal', 'admin'];
+const RATE_LIMIT_UNAVAILABLE_RETRY_MS = 5000; // Retry-After sent with those 503s
+const RATE_LIMIT_SWEEP_INTERVAL_MS = 60000; // How often the memory store drops expired windows
+
+// ------------------------------------------------------------------
+// Leaderboard Constants
+// ------------------------------------------------------------------
+const LEADERBOARD_BOARDS = ['earnings', 'referrals', 'spins'];
+const LEADERBOARD_PERIODS = ['today', 'week', 'all']; // UTC day, ISO week starting Monday, all time
+const LEADERBOARD_SIZE = 50; // Entries returned per board
+const LEADERBOARD_CACHE_TTL_MS = 5 * 60 * 1000; // Scores are recomputed at most every 5 minutes per board/period
+const LEADERBOARD_EARNING_TYPES = ['ad_reward', 'spin_reward', 'task_reward']; // Ledger types counted as earnings
+
+// ------------------------------------------------------------------
+// Limit Reset Constants
+// ------------------------------------------------------------------
+// Reset policies, chosen per counter by the limit_reset_policies setting:
+//   - { type: 'limit_reached', interval_ms? }: interval_ms (default reset_interval_ms) after the limit was
+//     reached; a user who stops below the limit keeps their count
+//   - { type: 'daily', hour, timezone? }: every day at `hour` o'clock in `timezone` (IANA name, default UTC)
+//   - { type: 'rolling', window_ms }: window_ms after the first ad/spin counted in the current window
+const LIMIT_RESET_POLICY_TYPES = ['limit_reached', 'daily', 'rolling'];
+// users columns behind each counter: the count, when the limit was reached and when the window started
+const LIMIT_COUNTERS = {
+    ads: { countColumn: 'ads_watched_today', reachedColumn: 'ads_limit_reached_at', windowColumn: 'ads_window_started_at' },
+    spins: { countColumn: 'spins_today', reachedColumn: 'spins_limit_reached_at', windowColumn: 'spins_window_started_at' }
+};
+
+// ------------------------------------------------------------------
+// Maintenance Constants
+// ------------------------------------------------------------------
+const DAILY_STATS_TABLE = 'daily_stats';
+// Ledger types counted as rewards paid in daily_stats (keep in sync with sql/maintenance.sql)
+const STATS_REWARD_TYPES = ['ad_reward', 'spin_reward', 'task_reward', 'daily_checkin', 'referral_commission', 'achievement_reward'];
+const MAINTENANCE_RESET_BATCH = 1000; // Users per counter reset by one maintenance run
+
+// ------------------------------------------------------------------
+// Achievements & Levels Constants
+// ------------------------------------------------------------------
+// Each achievement unlocks once when its metric reaches the threshold, awarding XP and an optional
+// one-time SHIB bonus (ledger type "achievement_reward"). Metrics:
+//   ads_watched, spins, tasks_completed, referrals, checkin_streak, withdrawals_completed
+const ACHIEVEMENTS = [
+    { id: 'first_ad', metric: 'ads_watched', threshold: 1, xp: 10, reward: 0, title: 'First Ad', description: 'Watch your first ad.' },
+    { id: 'ads_100', metric: 'ads_watched', threshold: 100, xp: 100, reward: 100, title: 'Ad Fan', description: 'Watch 100 ads.' },
+    { id: 'ads_1000', metric: 'ads_watched', threshold: 1000, xp: 500, reward: 1000, title: 'Ad Marathon', description: 'Watch 1,000 ads.' },
+    { id: 'first_spin', metric: 'spins', threshold: 1, xp: 10, reward: 0, title: 'Lucky Start', description: 'Spin the wheel once.' },
+    { id: 'spins_100', metric: 'spins', threshold: 100, xp: 100, reward: 100, title: 'High Roller', description: 'Spin the wheel 100 times.' },
+    { id: 'first_task', metric: 'tasks_completed', threshold: 1, xp: 20, reward: 0, title: 'Go-Getter', description: 'Complete your first task.' },
+    { id: 'tasks_10', metric: 'tasks_completed', threshold: 10, xp: 150, reward: 150, title: 'Task Master', description: 'Complete 10 tasks.' },
+    { id: 'first_referral', metric: 'referrals', threshold: 1, xp: 50, reward: 0, title: 'Recruiter', description: 'Invite your first friend.' },
+    { id: 'referrals_10', metric: 'referrals', threshold: 10, xp: 300, reward: 500, title: 'Networker', description: 'Invite 10 friends.' },
+    { id: 'streak_7', metric: 'checkin_streak', threshold: 7, xp: 100, reward: 100, title: 'Regular', description: 'Check in 7 days in a row.' },
+    { id: 'streak_30', metric: 'checkin_streak', threshold: 30, xp: 500, reward: 1000, title: 'Devoted', description: 'Check in 30 days in a row.' },
+    { id: 'first_withdrawal', metric: 'withdrawals_completed', threshold: 1, xp: 200, reward: 0, title: 'Cashed Out', description: 'Receive your first withdrawal.' }
+];
+const USER_ACHIEVEMENTS_TABLE = 'user_achievements';
+
+// Levels by total XP (users.xp); perks raise the user's daily ad / spin limits on top of the settings
+const LEVELS = [
+    { level: 1, xp: 0, perks: { extra_daily_ads: 0, extra_daily_spins: 0 } },
+    { level: 2, xp: 100, perks: { extra_daily_ads: 5, extra_daily_spins: 0 } },
+    { level: 3, xp: 300, perks: { extra_daily_ads: 10, extra_daily_spins: 1 } },
+    { level: 4, xp: 700, perks: { extra_daily_ads: 15, extra_daily_spins: 2 } },
+    { level: 5, xp: 1500, perks: { extra_daily_ads: 25, extra_daily_spins: 3 } }
+];
+
+// ------------------------------------------------------------------
+// Rewarded Ad Constants
+// ------------------------------------------------------------------
+// AD_PROVIDER: provider the Mini App loads (monetag | mock), AD_PROVIDER_BLOCK_ID: its block/zone id
+// <PROVIDER>_POSTBACK_SECRET: token embedded in the reward URL configured in that provider's dashboard
+// AD_POSTBACK_REQUIRED: overrides the provider's default (see AD_PROVIDERS); when false, watchAd trusts
+// the client timer. If the provider can't send the postbacks required of it, the problem is logged at
+// startup and watchAd answers 503 ad_provider_unavailable.
+// AD_MOCK_ENABLED=true accepts manual mock postbacks (local testing only)
+const AD_PROVIDER = process.env.AD_PROVIDER || 'mock';
+const AD_PROVIDER_BLOCK_ID = process.env.AD_PROVIDER_BLOCK_ID || null;
+const AD_MOCK_ENABLED = process.env.AD_MOCK_ENABLED === 'true';
+
+
+// ------------------------------------------------------------------
+// 🎡 Spin Wheel (weighted, provably fair)
+// ------------------------------------------------------------------
+// A sector is either a plain prize number or { prize, weight, type, label }.
+// type: 'prize' (default), 'jackpot' (highlighted prize) or 'try_again' (pays nothing).
+const SPIN_SECTOR_TYPES = ['prize', 'jackpot', 'try_again'];
+
+/**
+ * Converts the configured sectors into { prize, weight, type, label } objects.
+ */
+function normalizeSpinSectors(sectors) {
+    return sectors.map(sector => {
+        if (typeof sector === 'number') {
+            return { prize: sector, weight: 1, type: 'prize', label: `${sector} SHIB` };
+        }
+        const type = sector.type || 'prize';
+        const prize = type === 'try_again' ? 0 : sector.prize;
+        return {
+            prize,
+            weight: sector.weight === undefined ? 1 : sector.weight,
+            type,
+            label: sector.label || (type === 'try_again' ? 'Try Again' : `${prize} SHIB`)
+        };
+    });
+}
+
+/**
+ * Validates a raw spin_sectors setting (before normalization).
+ */
+function isValidSpinSectors(value) {
+    if (!Array.isArray(value) || value.length < 2) {
+        return false;
+    }
+    return value.every(sector => {
+        if (typeof sector === 'number') {
+            return isFinite(sector) && sector >= 0;
+        }
+        if (!sector || typeof sector !== 'object') {
+            return false;
+        }
+        const type = sector.type || 'prize';
+        if (!SPIN_SECTOR_TYPES.includes(type)) {
+            return false;
+        }
+        if (type !== 'try_again' && !(typeof sector.prize === 'number' && isFinite(sector.prize) && sector.prize >= 0)) {
+            return false;
+        }
+        return sector.weight === undefined || (typeof sector.weight === 'number' && isFinite(sector.weight) && sector.weight > 0);
+    });
+}
+
+/**
+ * Deterministic roll in [0, 1) from the committed seeds.
+ * Verification: roll = parseInt(HMAC_SHA256(server_seed, `${client_seed}:${spin_id}`).slice(0, 13), 16) / 2^52
+ */
+function computeSpinRoll(serverSeed, clientSeed, spinId) {
+    const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${spinId}`).digest('hex');
+    return parseInt(digest.slice(0, 13), 16) / Math.pow(2, 52);
+}
 
 /**
- * Helper function to randomly select a prize from the defined sectors and return its index.
+ * Maps a roll in [0, 1) onto the sectors according to their weights.
  */
-function calculateRandomSpinPrize() {
-    const randomIndex = Math.floor(Math.random() * SPIN_SECTORS.length);
-    const prize = SPIN_SECTORS[randomIndex];
-    return { prize, prizeIndex: randomIndex };
+function pickWeightedSectorIndex(sectors, roll) {
+    const totalWeight = sectors.reduce((sum, sector) => sum + sector.weight, 0);
+    let threshold = roll * totalWeight;
+    for (let i = 0; i < sectors.length; i++) {
+        threshold -= sectors[i].weight;
+        if (threshold < 0) {
+            return i;
+        }
+    }
+    return sectors.length - 1;
 }
 
 // --- Helper Functions ---
@@ -53,832 +348,4548 @@ function sendSuccess(res, data = {}) {
   res.end(JSON.stringify({ ok: true, data }));
 }
 
-function sendError(res, message, statusCode = 400) {
+// Fallback error codes for sendError() calls that don't pass a specific one
+const ERROR_CODES_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  408: 'expired',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  425: 'too_early',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+/**
+ * Error response: { ok: false, error, code, params? }. `error` is an English message for logs and
+ * admins; clients localize and branch on the stable `code`, filling `params` into their own text.
+ */
+function sendError(res, message, statusCode = 400, code = null, params = null) {
+  const payload = { ok: false, error: message, code: code || ERROR_CODES_BY_STATUS[statusCode] || 'error' };
+  if (params) {
+    payload.params = params;
+  }
   res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ ok: false, error: message }));
+  res.end(JSON.stringify(payload));
 }
 
-async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*') {
-  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    throw new Error('Supabase environment variables are not configured.');
+// ------------------------------------------------------------------
+// 🗄️ Storage Backends
+// ------------------------------------------------------------------
+// Every handler persists data through supabaseFetch()/supabaseRpc(), which speak PostgREST
+// (table + method + body + query string). The backend behind them is chosen by STORAGE_BACKEND:
+//   - "supabase" (default): the Supabase REST API.
+//   - "memory": an in-process store that understands the same query strings, for local
+//     development and tests. Optionally seeded from the JSON file in MEMORY_STORAGE_SEED
+//     ({ "tasks": [ ... ], "users": [ ... ] }). Data is lost when the process exits.
+//
+// Running locally without Supabase:
+//   STORAGE_BACKEND=memory BOT_TOKEN=... node -e "require('http').createServer(require('./api')).listen(3000)"
+
+/**
+ * Storage backend backed by the Supabase REST API (PostgREST).
+ */
+function createSupabaseStorage() {
+  function getHeaders() {
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+      throw new Error('Supabase environment variables are not configured.');
+    }
+    return {
+      'apikey': SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json'
+    };
   }
 
-  const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
-
-  const headers = {
-    'apikey': SUPABASE_ANON_KEY,
-    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-    'Content-Type': 'application/json',
-    'Prefer': 'return=representation'
-  };
-
-  const options = {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : null,
-  };
-
-  const response = await fetch(url, options);
-
-  if (response.ok) {
-      const responseText = await response.text();
-      try {
-          const jsonResponse = JSON.parse(responseText);
-          return Array.isArray(jsonResponse) ? jsonResponse : { success: true };
-      } catch (e) {
-          return { success: true };
-      }
+  async function request(tableName, method, body, queryParams) {
+    const headers = { ...getHeaders(), 'Prefer': 'return=representation' };
+    const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
+
+    const options = {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : null,
+    };
+
+    const response = await fetch(url, options);
+
+    if (response.ok) {
+        const responseText = await response.text();
+        try {
+            const jsonResponse = JSON.parse(responseText);
+            return Array.isArray(jsonResponse) ? jsonResponse : { success: true };
+        } catch (e) {
+            return { success: true };
+        }
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        const errorMsg = `Supabase error: ${response.status} ${response.statusText}`;
+        throw new Error(errorMsg);
+    }
+
+    const errorMsg = data.message || `Supabase error: ${response.status} ${response.statusText}`;
+    throw new Error(errorMsg);
   }
 
-  let data;
-  try {
-      data = await response.json();
-  } catch (e) {
-      const errorMsg = `Supabase error: ${response.status} ${response.statusText}`;
-      throw new Error(errorMsg);
+  async function rpc(functionName, args) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/${functionName}`, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(args)
+    });
+
+    const responseText = await response.text();
+    let data = null;
+    try {
+        data = responseText ? JSON.parse(responseText) : null;
+    } catch (e) {
+        // Non-JSON body, handled below
+    }
+
+    if (response.ok) {
+        return data;
+    }
+
+    const errorMsg = (data && data.message) || `Supabase error: ${response.status} ${response.statusText}`;
+    throw new Error(errorMsg);
+  }
+
+  async function count(tableName, queryParams) {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`, {
+      method: 'HEAD',
+      headers: { ...getHeaders(), 'Prefer': 'count=exact' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Supabase error: ${response.status} ${response.statusText}`);
+    }
+
+    // Content-Range: "0-24/573", or "*/0" when nothing matches
+    const total = parseInt((response.headers.get('content-range') || '').split('/')[1]);
+    return isNaN(total) ? 0 : total;
   }
 
-  const errorMsg = data.message || `Supabase error: ${response.status} ${response.statusText}`;
-  throw new Error(errorMsg);
+  return { name: 'supabase', request, rpc, count };
 }
 
 /**
- * Checks if a user is a member (or creator/admin) of a specific Telegram channel.
+ * Compares a stored value with a PostgREST filter operand.
+ * Numbers compare numerically, everything else as strings (ISO timestamps sort correctly).
  */
-async function checkChannelMembership(userId, channelUsername) {
-    if (!BOT_TOKEN) {
-        console.error('BOT_TOKEN is not configured for membership check.');
-        return false;
+function compareStoredValue(stored, operand) {
+    const storedNumber = Number(stored);
+    const operandNumber = Number(operand);
+    if (typeof stored !== 'boolean' && stored !== '' && operand !== '' && !isNaN(storedNumber) && !isNaN(operandNumber)) {
+        return storedNumber - operandNumber;
     }
-    
-    // The chat_id must be in the format @username or -100xxxxxxxxxx
-    const chatId = channelUsername.startsWith('@') ? channelUsername : `@${channelUsername}`; 
+    const a = String(stored);
+    const b = String(operand);
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
 
-    const url = `https://api.telegram.org/bot${BOT_TOKEN}/getChatMember?chat_id=${chatId}&user_id=${userId}`;
-    
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            const errorData = await response.json();
-            console.error('Telegram API error (getChatMember):', errorData.description || response.statusText);
-            return false;
-        }
+/**
+ * Evaluates a single PostgREST filter ("eq.5", "in.(1,2)", "is.null", ...) against a value.
+ */
+function matchesFilter(value, filter) {
+    let negate = false;
+    if (filter.startsWith('not.')) {
+        negate = true;
+        filter = filter.slice(4);
+    }
 
-        const data = await response.json();
-        
-        if (!data.ok) {
-             console.error('Telegram API error (getChatMember - not ok):', data.description);
-             return false;
+    const dotIndex = filter.indexOf('.');
+    const operator = filter.slice(0, dotIndex);
+    const operand = filter.slice(dotIndex + 1);
+    let result;
+
+    switch (operator) {
+        case 'eq':
+            result = value !== null && value !== undefined && compareStoredValue(value, operand) === 0;
+            break;
+        case 'neq':
+            result = value !== null && value !== undefined && compareStoredValue(value, operand) !== 0;
+            break;
+        case 'gt':
+            result = value !== null && value !== undefined && compareStoredValue(value, operand) > 0;
+            break;
+        case 'gte':
+            result = value !== null && value !== undefined && compareStoredValue(value, operand) >= 0;
+            break;
+        case 'lt':
+            result = value !== null && value !== undefined && compareStoredValue(value, operand) < 0;
+            break;
+        case 'lte':
+            result = value !== null && value !== undefined && compareStoredValue(value, operand) <= 0;
+            break;
+        case 'in': {
+            const options = operand.replace(/^\(|\)$/g, '').split(',').map(option => option.replace(/^"|"$/g, ''));
+            result = value !== null && value !== undefined && options.some(option => compareStoredValue(value, option) === 0);
+            break;
         }
+        case 'is':
+            if (operand === 'null') result = value === null || value === undefined;
+            else if (operand === 'true') result = value === true;
+            else if (operand === 'false') result = value === false;
+            else throw new Error(`Unsupported "is" operand: ${operand}`);
+            break;
+        default:
+            throw new Error(`Unsupported filter operator in memory storage: ${operator}`);
+    }
 
-        const status = data.result.status;
-        
-        // Accepted statuses are 'member', 'administrator', 'creator'
-        const isMember = ['member', 'administrator', 'creator'].includes(status);
-        
-        return isMember;
+    return negate ? !result : result;
+}
 
-    } catch (error) {
-        console.error('Network or parsing error during Telegram API call:', error.message);
-        return false;
+/**
+ * Parses a PostgREST query string into filters, projection, ordering and paging.
+ */
+function parsePostgrestQuery(queryParams) {
+    const params = new URLSearchParams((queryParams || '').replace(/^\?/, ''));
+    const query = { filters: [], select: null, order: [], limit: null, offset: 0 };
+
+    for (const [key, value] of params.entries()) {
+        if (key === 'select') {
+            query.select = value === '*' ? null : value.split(',').map(column => column.trim());
+        } else if (key === 'order') {
+            query.order = value.split(',').map(part => {
+                const [column, direction] = part.split('.');
+                return { column, desc: direction === 'desc' };
+            });
+        } else if (key === 'limit') {
+            query.limit = parseInt(value);
+        } else if (key === 'offset') {
+            query.offset = parseInt(value) || 0;
+        } else {
+            query.filters.push({ column: key, filter: value });
+        }
     }
-}
 
+    return query;
+}
 
 /**
- * Limit-Based Reset Logic: Resets counters if the limit was reached AND the interval (6 hours) has passed since.
- * ⚠️ هذا هو التعديل الرئيسي: يعتمد على أعمدة الوصول للحد الأقصى وليس على آخر نشاط عام.
+ * Postgres functions emulated by the memory backend. Keep in sync with sql/*.sql.
  */
-async function resetDailyLimitsIfExpired(userId) {
-    const now = Date.now();
+const MEMORY_RPC_FUNCTIONS = {
+    apply_balance_transaction(store, args) {
+        const user = store.table('users').find(row => compareStoredValue(row.id, args.p_user_id) === 0);
+        if (!user) {
+            throw new Error('user_not_found');
+        }
+        const newBalance = (Number(user.balance) || 0) + Number(args.p_amount);
+        if (newBalance < 0) {
+            throw new Error('insufficient_balance');
+        }
+        if (ONE_TIME_REWARD_TYPES.includes(args.p_type) && args.p_source_id !== null && args.p_source_id !== undefined
+            && store.table('balance_transactions').some(row => compareStoredValue(row.user_id, args.p_user_id) === 0
+                && row.type === args.p_type && row.source_id === args.p_source_id)) {
+            throw new Error('duplicate key value violates unique constraint "balance_transactions_one_time_source"');
+        }
+        user.balance = newBalance;
+        store.insert('balance_transactions', {
+            user_id: args.p_user_id,
+            type: args.p_type,
+            amount: Number(args.p_amount),
+            source_id: args.p_source_id,
+            balance_after: newBalance
+        });
+        return newBalance;
+    },
+    pay_referral_commission(store, args) {
+        const newBalance = MEMORY_RPC_FUNCTIONS.apply_balance_transaction(store, {
+            p_user_id: args.p_referrer_id,
+            p_amount: args.p_amount,
+            p_type: 'referral_commission',
+            p_source_id: String(args.p_referee_id)
+        });
+        store.insert('commission_history', {
+            referrer_id: args.p_referrer_id,
+            referee_id: args.p_referee_id,
+            amount: Number(args.p_amount),
+            source_reward: Number(args.p_source_reward),
+            source_type: args.p_source_type,
+            level: args.p_level
+        });
+        return newBalance;
+    },
+    referral_commission_summary(store, args) {
+        const commissions = store.table('commission_history').filter(row => compareStoredValue(row.referrer_id, args.p_referrer_id) === 0);
+        const sum = rows => rows.reduce((total, row) => total + Number(row.amount), 0);
+        return [
+            { referee_id: null, amount: sum(commissions) },
+            ...(args.p_referee_ids || [])
+                .map(refereeId => ({ referee_id: Number(refereeId), amount: sum(commissions.filter(row => compareStoredValue(row.referee_id, refereeId) === 0)) }))
+                .filter(row => row.amount > 0)
+        ];
+    },
+    complete_task(store, args) {
+        const completions = store.table(TASK_COMPLETIONS_TABLE).filter(row => compareStoredValue(row.task_id, args.p_task_id) === 0);
+        if (args.p_max_participants && completions.length >= args.p_max_participants) {
+            throw new Error('task_full');
+        }
+        if (completions.some(row => compareStoredValue(row.user_id, args.p_user_id) === 0)) {
+            throw new Error('task_already_completed');
+        }
+        const newBalance = MEMORY_RPC_FUNCTIONS.apply_balance_transaction(store, {
+            p_user_id: args.p_user_id,
+            p_amount: args.p_reward,
+            p_type: 'task_reward',
+            p_source_id: `task:${args.p_task_id}`
+        });
+        store.insert(TASK_COMPLETIONS_TABLE, { user_id: args.p_user_id, task_id: args.p_task_id, reward: Number(args.p_reward) });
+        return newBalance;
+    },
+    unlock_achievement(store, args) {
+        const unlocks = store.table(USER_ACHIEVEMENTS_TABLE).filter(row => compareStoredValue(row.user_id, args.p_user_id) === 0);
+        if (unlocks.some(row => row.achievement_id === args.p_achievement_id)) {
+            return false;
+        }
+        if (Number(args.p_reward) > 0) {
+            MEMORY_RPC_FUNCTIONS.apply_balance_transaction(store, {
+                p_user_id: args.p_user_id,
+                p_amount: args.p_reward,
+                p_type: 'achievement_reward',
+                p_source_id: `achievement:${args.p_achievement_id}`
+            });
+        }
+        const row = store.insert(USER_ACHIEVEMENTS_TABLE, {
+            user_id: args.p_user_id,
+            achievement_id: args.p_achievement_id,
+            xp: Number(args.p_xp),
+            reward: Number(args.p_reward),
+            unlocked_at: new Date().toISOString()
+        });
+        const user = store.table('users').find(candidate => compareStoredValue(candidate.id, args.p_user_id) === 0);
+        user.xp = [...unlocks, row].reduce((sum, unlock) => sum + (Number(unlock.xp) || 0), 0);
+        return true;
+    },
+    leaderboard_scores(store, args) {
+        const since = args.p_since ? new Date(args.p_since).getTime() : 0;
+        const inPeriod = row => new Date(row.created_at).getTime() >= since;
+        const bannedIds = new Set(store.table('users').filter(user => user.is_banned).map(user => String(user.id)));
+        const scores = new Map();
+        const add = (userId, amount) => {
+            if (userId === null || userId === undefined || bannedIds.has(String(userId))) return;
+            scores.set(String(userId), (scores.get(String(userId)) || 0) + Number(amount));
+        };
 
-    try {
-        // 1. Fetch current limits and the time they were reached
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=ads_watched_today,spins_today,ads_limit_reached_at,spins_limit_reached_at`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return;
+        if (args.p_board === 'earnings') {
+            store.table('balance_transactions')
+                .filter(row => LEADERBOARD_EARNING_TYPES.includes(row.type) && inPeriod(row))
+                .forEach(row => add(row.user_id, row.amount));
+        } else if (args.p_board === 'referrals') {
+            store.table('users').filter(inPeriod).forEach(row => add(row.ref_by, 1));
+        } else if (args.p_board === 'spins') {
+            store.table('spin_results').filter(inPeriod).forEach(row => add(row.user_id, row.prize));
         }
 
-        const user = users[0];
-        const updatePayload = {};
+        return [...scores.entries()]
+            .map(([userId, score]) => ({ user_id: Number(userId), score }))
+            .filter(row => row.score > 0)
+            .sort((a, b) => b.score - a.score || a.user_id - b.user_id)
+            .map((row, index) => ({ ...row, rank: index + 1 }))
+            .filter(row => row.rank <= Number(args.p_limit) || (args.p_user_id !== null && String(row.user_id) === String(args.p_user_id)));
+    },
+    task_completion_counts(store, args) {
+        const taskIds = (args.p_task_ids || []).map(String);
+        const counts = new Map(taskIds.map(taskId => [taskId, 0]));
+        store.table(TASK_COMPLETIONS_TABLE).forEach(row => {
+            if (counts.has(String(row.task_id))) {
+                counts.set(String(row.task_id), counts.get(String(row.task_id)) + 1);
+            }
+        });
+        return [...counts.entries()].map(([taskId, completions]) => ({ task_id: Number(taskId), completions }));
+    },
+    rollup_daily_stats(store, args) {
+        const dayStart = new Date(`${args.p_day}T00:00:00.000Z`).getTime();
+        const inDay = row => {
+            const time = new Date(row.created_at).getTime();
+            return time >= dayStart && time < dayStart + 24 * 60 * 60 * 1000;
+        };
+        const ledger = store.table('balance_transactions').filter(inDay);
+        const withdrawals = store.table('withdrawals').filter(inDay);
+        const stats = {
+            day: args.p_day,
+            new_users: store.table('users').filter(inDay).length,
+            ads_watched: ledger.filter(row => row.type === 'ad_reward').length,
+            spins: store.table('spin_results').filter(inDay).length,
+            rewards_paid: ledger.filter(row => STATS_REWARD_TYPES.includes(row.type)).reduce((sum, row) => sum + Number(row.amount), 0),
+            withdrawals_requested: withdrawals.length,
+            withdrawals_amount: withdrawals.reduce((sum, row) => sum + Number(row.amount), 0),
+            updated_at: new Date().toISOString()
+        };
+
+        const existing = store.table(DAILY_STATS_TABLE).find(row => row.day === args.p_day);
+        if (existing) {
+            Object.assign(existing, stats);
+        } else {
+            store.insert(DAILY_STATS_TABLE, stats);
+        }
+        return stats;
+    },
+    rate_limit_hit(store, args) {
+        const now = Date.now();
+        const windowStart = now - Number(args.p_window_ms);
+        const hits = store.table('rate_limit_hits');
 
-        // 2. Check Ads Limit Reset
-        if (user.ads_limit_reached_at && user.ads_watched_today >= DAILY_MAX_ADS) {
-            const adsLimitTime = new Date(user.ads_limit_reached_at).getTime();
-            if (now - adsLimitTime > RESET_INTERVAL_MS) {
-                // ⚠️ تم مرور 6 ساعات على الوصول للحد الأقصى، يتم إعادة التعيين
-                updatePayload.ads_watched_today = 0;
-                updatePayload.ads_limit_reached_at = null; // إزالة الوقت لانتهاء فترة القفل
-                console.log(`Ads limit reset for user ${userId}.`);
+        // Drop this key's hits that fell out of the window, then count the rest
+        for (let i = hits.length - 1; i >= 0; i--) {
+            if (hits[i].key === args.p_key && new Date(hits[i].hit_at).getTime() <= windowStart) {
+                hits.splice(i, 1);
             }
         }
+        const active = hits.filter(hit => hit.key === args.p_key);
+        if (active.length >= Number(args.p_limit)) {
+            const oldest = Math.min(...active.map(hit => new Date(hit.hit_at).getTime()));
+            return Math.max(1, oldest - windowStart);
+        }
+
+        store.insert('rate_limit_hits', { key: args.p_key, hit_at: new Date(now).toISOString() });
+        return 0;
+    }
+};
 
-        // 3. Check Spins Limit Reset
-        if (user.spins_limit_reached_at && user.spins_today >= DAILY_MAX_SPINS) {
-            const spinsLimitTime = new Date(user.spins_limit_reached_at).getTime();
-            if (now - spinsLimitTime > RESET_INTERVAL_MS) {
-                // ⚠️ تم مرور 6 ساعات على الوصول للحد الأقصى، يتم إعادة التعيين
-                updatePayload.spins_today = 0;
-                updatePayload.spins_limit_reached_at = null; // إزالة الوقت لانتهاء فترة القفل
-                console.log(`Spins limit reset for user ${userId}.`);
+/**
+ * In-memory storage backend. Understands the PostgREST subset used by the handlers.
+ */
+function createMemoryStorage(seed = {}) {
+    const tables = {};
+    const sequences = {};
+
+    const store = {
+        table(name) {
+            if (!tables[name]) {
+                tables[name] = [];
+                sequences[name] = 0;
+            }
+            return tables[name];
+        },
+        insert(name, row) {
+            const rows = store.table(name);
+            const record = { created_at: new Date().toISOString(), ...row };
+            if (record.id === undefined || record.id === null) {
+                sequences[name] += 1;
+                record.id = sequences[name];
+            } else {
+                if (rows.some(existing => compareStoredValue(existing.id, record.id) === 0)) {
+                    throw new Error(`duplicate key value violates unique constraint "${name}_pkey"`);
+                }
+                if (typeof record.id === 'number' && record.id > sequences[name]) {
+                    sequences[name] = record.id;
+                }
             }
+            rows.push(record);
+            return record;
         }
+    };
 
-        // 4. Perform the database update if any limits were reset
-        if (Object.keys(updatePayload).length > 0) {
-            await supabaseFetch('users', 'PATCH',
-                updatePayload,
-                `?id=eq.${userId}`);
+    Object.keys(seed).forEach(name => {
+        (seed[name] || []).forEach(row => store.insert(name, row));
+    });
+
+    function project(row, select) {
+        const copy = JSON.parse(JSON.stringify(row));
+        if (!select) {
+            return copy;
         }
-    } catch (error) {
-        console.error(`Failed to check/reset daily limits for user ${userId}:`, error.message);
+        const projected = {};
+        select.forEach(column => {
+            projected[column] = copy[column] === undefined ? null : copy[column];
+        });
+        return projected;
+    }
+
+    async function request(tableName, method, body, queryParams) {
+        const rows = store.table(tableName);
+        const query = parsePostgrestQuery(queryParams);
+        const matches = row => query.filters.every(({ column, filter }) => matchesFilter(row[column], filter));
+
+        switch (method) {
+            case 'GET': {
+                let result = rows.filter(matches);
+                if (query.order.length > 0) {
+                    result = result.slice().sort((a, b) => {
+                        for (const { column, desc } of query.order) {
+                            if (a[column] === b[column]) continue;
+                            if (a[column] === null || a[column] === undefined) return 1;
+                            if (b[column] === null || b[column] === undefined) return -1;
+                            const diff = compareStoredValue(a[column], b[column]);
+                            if (diff !== 0) return desc ? -diff : diff;
+                        }
+                        return 0;
+                    });
+                }
+                const end = query.limit !== null ? query.offset + query.limit : undefined;
+                return result.slice(query.offset, end).map(row => project(row, query.select));
+            }
+            case 'POST': {
+                const inserted = (Array.isArray(body) ? body : [body]).map(row => store.insert(tableName, row));
+                return inserted.map(row => project(row, query.select));
+            }
+            case 'PATCH': {
+                const updated = rows.filter(matches);
+                updated.forEach(row => Object.assign(row, JSON.parse(JSON.stringify(body))));
+                return updated.map(row => project(row, query.select));
+            }
+            case 'DELETE': {
+                const removed = rows.filter(matches);
+                tables[tableName] = rows.filter(row => !removed.includes(row));
+                return removed.map(row => project(row, query.select));
+            }
+            default:
+                throw new Error(`Unsupported method in memory storage: ${method}`);
+        }
+    }
+
+    async function rpc(functionName, args) {
+        const fn = MEMORY_RPC_FUNCTIONS[functionName];
+        if (!fn) {
+            throw new Error(`Unknown RPC function in memory storage: ${functionName}`);
+        }
+        return fn(store, args);
+    }
+
+    async function count(tableName, queryParams) {
+        const query = parsePostgrestQuery(queryParams);
+        return store.table(tableName).filter(row => query.filters.every(({ column, filter }) => matchesFilter(row[column], filter))).length;
     }
+
+    return { name: 'memory', request, rpc, count, store };
 }
 
 /**
- * Rate Limiting Check for Ad/Spin Actions
- * ⚠️ تم تعديلها: لم تعد تحدث last_activity، بل فقط تفحص الفارق الزمني الأخير
+ * Builds the storage backend selected by STORAGE_BACKEND.
  */
-async function checkRateLimit(userId) {
-    try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=last_activity`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return { ok: true };
+function createStorage() {
+    const backend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+    if (backend === 'memory') {
+        let seed = {};
+        if (process.env.MEMORY_STORAGE_SEED) {
+            seed = JSON.parse(require('fs').readFileSync(process.env.MEMORY_STORAGE_SEED, 'utf8'));
         }
+        return createMemoryStorage(seed);
+    }
 
-        const user = users[0];
-        // إذا كان last_activity غير موجود، يمكن اعتباره 0 لضمان السماح بالمرور
-        const lastActivity = user.last_activity ? new Date(user.last_activity).getTime() : 0; 
-        const now = Date.now();
-        const timeElapsed = now - lastActivity;
+    if (backend !== 'supabase') {
+        throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+    return createSupabaseStorage();
+}
 
-        if (timeElapsed < MIN_TIME_BETWEEN_ACTIONS_MS) {
-            const remainingTime = MIN_TIME_BETWEEN_ACTIONS_MS - timeElapsed;
-            return {
-                ok: false,
-                message: `Rate limit exceeded. Please wait ${Math.ceil(remainingTime / 1000)} seconds before the next action.`,
-                remainingTime: remainingTime
-            };
-        }
-        // تحديث last_activity سيتم لاحقاً في دوال watchAd/spinResult
-        return { ok: true };
+const storage = createStorage();
+
+/**
+ * Persistence entry point used by every handler (PostgREST-style request).
+ * Delegates to the configured storage backend.
+ */
+async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*') {
+  return storage.request(tableName, method, body, queryParams);
+}
+
+/**
+ * Encodes one value for a query string filter, e.g. `?action_id=eq.${encodeQueryValue(actionId)}`.
+ * Every value placed into a supabaseFetch() query goes through this, ids included.
+ */
+function encodeQueryValue(value) {
+  return encodeURIComponent(String(value));
+}
+
+/**
+ * Calls a Postgres function (/rest/v1/rpc/<name>) on the configured storage backend.
+ */
+async function supabaseRpc(functionName, args = {}) {
+  return storage.rpc(functionName, args);
+}
+
+/**
+ * Number of rows matching a PostgREST filter (`Prefer: count=exact`), without downloading them.
+ */
+async function supabaseCount(tableName, queryParams) {
+  return storage.count(tableName, queryParams);
+}
+
+// ------------------------------------------------------------------
+// ⚙️ Settings (Reward Economy)
+// ------------------------------------------------------------------
+
+const isPositiveNumber = value => typeof value === 'number' && isFinite(value) && value > 0;
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+const SETTINGS_VALIDATORS = {
+    reward_per_ad: isPositiveNumber,
+    referral_min_referee_ads: value => Number.isInteger(value) && value >= 0,
+    referral_commission_levels: value => Array.isArray(value) && value.length >= 1 && value.length <= MAX_REFERRAL_LEVELS && value.every(rate => typeof rate === 'number' && rate >= 0 && rate <= 1),
+    daily_max_ads: isPositiveInteger,
+    daily_max_spins: isPositiveInteger,
+    reset_interval_ms: isPositiveInteger,
+    limit_reset_policies: isValidLimitResetPolicies,
+    spin_sectors: isValidSpinSectors,
+    task_reward: isPositiveNumber,
+    min_withdraw: isPositiveNumber,
+    withdrawal_methods: isValidWithdrawalMethods,
+    checkin_rewards: value => Array.isArray(value) && value.length >= 1 && value.every(isPositiveNumber),
+    fraud_review_score: isPositiveNumber,
+    fraud_soft_ban_score: isPositiveNumber,
+    limit_reset_notifications: value => typeof value === 'boolean',
+    rate_limit_overrides: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+        && Object.values(value).every(isValidRateLimit)
+};
+
+let settingsCache = null;
+let settingsLoadedAt = 0;
+
+/**
+ * Returns the reward economy settings, merged over DEFAULT_SETTINGS.
+ * Rows from the `settings` table ({ key, value }) are cached for SETTINGS_CACHE_TTL_MS;
+ * unknown keys and values that fail validation are ignored with a warning.
+ */
+async function getSettings() {
+    if (settingsCache && Date.now() - settingsLoadedAt < SETTINGS_CACHE_TTL_MS) {
+        return settingsCache;
+    }
+
+    const settings = { ...DEFAULT_SETTINGS };
+
+    try {
+        const rows = await supabaseFetch('settings', 'GET', null, '?select=key,value');
+        (Array.isArray(rows) ? rows : []).forEach(({ key, value }) => {
+            const validate = SETTINGS_VALIDATORS[key];
+            if (!validate) {
+                return;
+            }
+            if (!validate(value)) {
+                console.warn(`Ignoring invalid setting "${key}":`, JSON.stringify(value));
+                return;
+            }
+            settings[key] = value;
+        });
+        settings.spin_sectors = normalizeSpinSectors(settings.spin_sectors);
+        settingsCache = settings;
+        settingsLoadedAt = Date.now();
     } catch (error) {
-        console.error(`Rate limit check failed for user ${userId}:`, error.message);
-        return { ok: true };
+        // Keep serving the last good settings (or the defaults) if the table can't be read
+        console.error('Failed to load settings:', error.message);
+        settings.spin_sectors = normalizeSpinSectors(settings.spin_sectors);
+        return settingsCache || settings;
     }
+
+    return settings;
 }
 
 // ------------------------------------------------------------------
-// **initData Security Validation Function** (No change)
+// 💰 Balance Ledger
 // ------------------------------------------------------------------
-function validateInitData(initData) {
-    if (!initData || !BOT_TOKEN) {
-        console.warn('Security Check Failed: initData or BOT_TOKEN is missing.');
-        return false;
-    }
+// All balance changes go through the apply_balance_transaction RPC (see sql/balance_ledger.sql),
+// which atomically updates users.balance and appends a row to balance_transactions.
+
+/**
+ * Credits (positive amount) or debits (negative amount) a user's balance.
+ * Returns the new balance. Throws 'insufficient_balance' if a debit would go below zero.
+ */
+async function applyBalanceChange(userId, amount, type, sourceId = null) {
+    const newBalance = await supabaseRpc('apply_balance_transaction', {
+        p_user_id: userId,
+        p_amount: amount,
+        p_type: type,
+        p_source_id: sourceId !== null ? String(sourceId) : null
+    });
+    return Number(newBalance);
+}
+
+// ------------------------------------------------------------------
+// 🤖 Telegram Bot API Client
+// ------------------------------------------------------------------
+// Every outgoing Bot API call goes through telegramApi(method, params). The client behind it
+// is chosen by TELEGRAM_BACKEND:
+//   - "http" (default): the Bot API at TELEGRAM_API_BASE (point it at a local fake server in tests).
+//   - "memory": no network access; calls are recorded in telegram.sentCalls and answered with
+//     canned results (getChatMember reports every user as a member).
+// Calls go to the app's own bot unless another token is given (partner bots for bot_start tasks).
+
+function createHttpTelegramClient() {
+    async function call(method, params = {}, botToken = BOT_TOKEN) {
+        if (!botToken) {
+            throw new Error('BOT_TOKEN is not configured.');
+        }
+
+        const response = await fetch(`${TELEGRAM_API_BASE}/bot${botToken}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params)
+        });
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new Error(`Telegram API error (${method}): ${response.status} ${response.statusText}`);
+        }
+
+        if (!response.ok || !data.ok) {
+            throw new Error(`Telegram API error (${method}): ${data.description || response.statusText}`);
+        }
+        return data.result;
+    }
+
+    return { call };
+}
+
+function createMemoryTelegramClient() {
+    const sentCalls = [];
+    const cannedResults = {
+        getChatMember: () => ({ status: 'member' }),
+        getChat: params => ({ id: params.chat_id, type: 'private' }),
+        sendMessage: params => ({ message_id: sentCalls.length, chat: { id: params.chat_id }, text: params.text })
+    };
+
+    async function call(method, params = {}, botToken = BOT_TOKEN) {
+        sentCalls.push({ method, params, bot: botToken === BOT_TOKEN ? 'main' : 'partner' });
+        const result = cannedResults[method];
+        return result ? result(params) : true;
+    }
+
+    return { call, sentCalls };
+}
+
+function createTelegramClient() {
+    const backend = (process.env.TELEGRAM_BACKEND || 'http').toLowerCase();
+
+    if (backend === 'memory') {
+        return createMemoryTelegramClient();
+    }
+
+    if (backend !== 'http') {
+        throw new Error(`Unknown TELEGRAM_BACKEND: ${backend}`);
+    }
+    return createHttpTelegramClient();
+}
+
+const telegram = createTelegramClient();
+
+/**
+ * Calls a Bot API method and returns its `result`. Throws if Telegram reports an error.
+ */
+async function telegramApi(method, params = {}, botToken = BOT_TOKEN) {
+    return telegram.call(method, params, botToken);
+}
+
+/**
+ * Sends a bot message to a user. Never throws: users who never started the bot (or blocked it)
+ * just don't receive the notice.
+ */
+async function notifyUser(userId, text, extra = {}) {
+    try {
+        await telegramApi('sendMessage', { chat_id: userId, text, ...extra });
+        return true;
+    } catch (error) {
+        console.warn(`Notification to user ${userId} failed:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Checks if a user is a member (or creator/admin) of a specific Telegram channel.
+ */
+async function checkChannelMembership(userId, channelUsername) {
+    // The chat_id must be in the format @username or -100xxxxxxxxxx
+    const chatId = channelUsername.startsWith('@') ? channelUsername : `@${channelUsername}`; 
+
+    try {
+        const member = await telegramApi('getChatMember', { chat_id: chatId, user_id: userId });
+
+        // Accepted statuses are 'member', 'administrator', 'creator'
+        return ['member', 'administrator', 'creator'].includes(member.status);
+
+    } catch (error) {
+        console.error('Telegram membership check failed:', error.message);
+        return false;
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🔄 Limit Reset Policies
+// ------------------------------------------------------------------
+
+/**
+ * True for an IANA time zone name the runtime knows (e.g. "UTC", "Europe/Moscow").
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates the limit_reset_policies setting: { ads?, spins? } with one policy per counter.
+ */
+function isValidLimitResetPolicies(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return false;
+    }
+    return Object.entries(value).every(([counter, policy]) => {
+        if (!LIMIT_COUNTERS[counter] || policy === null || typeof policy !== 'object' || !LIMIT_RESET_POLICY_TYPES.includes(policy.type)) {
+            return false;
+        }
+        switch (policy.type) {
+            case 'limit_reached':
+                return policy.interval_ms === undefined || isPositiveInteger(policy.interval_ms);
+            case 'daily':
+                return Number.isInteger(policy.hour) && policy.hour >= 0 && policy.hour <= 23
+                    && (policy.timezone === undefined || isValidTimeZone(policy.timezone));
+            case 'rolling':
+                return isPositiveInteger(policy.window_ms);
+        }
+        return false;
+    });
+}
+
+/**
+ * The reset policy of one counter ("ads" or "spins"). Counters missing from the setting keep the default.
+ */
+function getLimitResetPolicy(settings, counter) {
+    return (settings.limit_reset_policies || {})[counter] || DEFAULT_SETTINGS.limit_reset_policies[counter];
+}
+
+/**
+ * Milliseconds `timeZone` is ahead of UTC at `time`.
+ */
+function getTimeZoneOffsetMs(time, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(time)).forEach(({ type, value }) => { parts[type] = Number(value); });
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * The daily reset boundaries around `time` for a "daily" policy: { last, next } with last <= time < next.
+ */
+function getDailyResetBoundaries(time, hour, timeZone = 'UTC') {
+    const local = new Date(time + getTimeZoneOffsetMs(time, timeZone));
+    const boundaryOn = dayOffset => {
+        const wallTime = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + dayOffset, hour);
+        // Resolve the wall-clock time with the offset in effect at that moment (DST changes)
+        const guess = wallTime - getTimeZoneOffsetMs(wallTime, timeZone);
+        return wallTime - getTimeZoneOffsetMs(guess, timeZone);
+    };
+
+    const today = boundaryOn(0);
+    return today <= time
+        ? { last: today, next: boundaryOn(1) }
+        : { last: boundaryOn(-1), next: today };
+}
+
+/**
+ * When a counter returns to zero under `policy`, in ms, or null while nothing is pending.
+ * `user` needs the counter's count, limit-reached and window columns; `limit` is the user's limit.
+ */
+function getCounterResetTime(policy, counterColumns, user, limit, settings) {
+    if (policy.type === 'limit_reached') {
+        const reachedAt = user[counterColumns.reachedColumn];
+        if (!reachedAt || user[counterColumns.countColumn] < limit) {
+            return null;
+        }
+        return new Date(reachedAt).getTime() + (policy.interval_ms || settings.reset_interval_ms);
+    }
+
+    const windowStartedAt = user[counterColumns.windowColumn];
+    if (!windowStartedAt || !user[counterColumns.countColumn]) {
+        return null;
+    }
+    const startedAt = new Date(windowStartedAt).getTime();
+    return policy.type === 'daily'
+        ? getDailyResetBoundaries(startedAt, policy.hour, policy.timezone).next
+        : startedAt + policy.window_ms;
+}
+
+/**
+ * Next reset of the user's ads and spins counters as ISO strings (null while nothing is pending).
+ * `user` needs the LIMIT_COUNTERS columns and xp.
+ */
+function getLimitResetTimes(user, settings) {
+    const limits = getUserDailyLimits(user, settings);
+    const resetTimes = {};
+    Object.entries(LIMIT_COUNTERS).forEach(([counter, columns]) => {
+        const time = getCounterResetTime(getLimitResetPolicy(settings, counter), columns, user, limits[counter], settings);
+        resetTimes[counter] = time === null ? null : new Date(time).toISOString();
+    });
+    return resetTimes;
+}
+
+/**
+ * Window columns to store with a counter increment: the window starts with its first counted action.
+ */
+function getCounterWindowStart(counter, user) {
+    const { windowColumn } = LIMIT_COUNTERS[counter];
+    return user[windowColumn] ? {} : { [windowColumn]: new Date().toISOString() };
+}
+
+/**
+ * Resets the ads/spins counters whose reset time (per limit_reset_policies) has passed.
+ * Returns which counters were reset: { ads, spins }.
+ */
+async function resetDailyLimitsIfExpired(userId) {
+    const now = Date.now();
+    const settings = await getSettings();
+    const reset = { ads: false, spins: false };
+
+    try {
+        // 1. Fetch the counters, when their limit was reached and when their window started
+        const columns = Object.values(LIMIT_COUNTERS).flatMap(counter => [counter.countColumn, counter.reachedColumn, counter.windowColumn]);
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(userId)}&select=${columns.join(',')},xp`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return reset;
+        }
+
+        const user = users[0];
+        const limits = getUserDailyLimits(user, settings);
+        const updatePayload = {};
+
+        // 2. Zero every counter whose reset time has passed
+        Object.entries(LIMIT_COUNTERS).forEach(([counter, counterColumns]) => {
+            const resetTime = getCounterResetTime(getLimitResetPolicy(settings, counter), counterColumns, user, limits[counter], settings);
+            if (resetTime !== null && now >= resetTime) {
+                updatePayload[counterColumns.countColumn] = 0;
+                updatePayload[counterColumns.reachedColumn] = null;
+                updatePayload[counterColumns.windowColumn] = null;
+                reset[counter] = true;
+                console.log(`${counter} limit reset for user ${userId}.`);
+            }
+        });
+
+        // 3. Perform the database update if any limits were reset
+        if (Object.keys(updatePayload).length > 0) {
+            await supabaseFetch('users', 'PATCH',
+                updatePayload,
+                `?id=eq.${encodeQueryValue(userId)}`);
+        }
+    } catch (error) {
+        console.error(`Failed to check/reset daily limits for user ${userId}:`, error.message);
+        return { ads: false, spins: false };
+    }
+    return reset;
+}
+
+/**
+ * The column and cutoff that select the users whose counter is due under `policy`:
+ * the counter resets when `column` is before `cutoff`.
+ */
+function getCounterResetCutoff(policy, counterColumns, settings, now = Date.now()) {
+    switch (policy.type) {
+        case 'daily':
+            return { column: counterColumns.windowColumn, cutoff: getDailyResetBoundaries(now, policy.hour, policy.timezone).last };
+        case 'rolling':
+            return { column: counterColumns.windowColumn, cutoff: now - policy.window_ms };
+        default:
+            return { column: counterColumns.reachedColumn, cutoff: now - (policy.interval_ms || settings.reset_interval_ms) };
+    }
+}
+
+/**
+ * Zeroes one counter for up to `limit` users whose `column` (limit-reached or window start) is
+ * before `cutoff`. Returns the ids that were reset.
+ */
+async function resetDueCounter(counterColumns, column, cutoff, limit) {
+    const cutoffIso = new Date(cutoff).toISOString();
+    const due = await supabaseFetch('users', 'GET', null,
+        `?${column}=lt.${encodeQueryValue(cutoffIso)}&is_banned=eq.false&select=id&limit=${encodeQueryValue(limit)}`);
+    const userIds = (Array.isArray(due) ? due : []).map(user => user.id);
+    if (userIds.length === 0) {
+        return [];
+    }
+
+    // The column is checked again so a counter restarted in the meantime isn't wiped
+    const updated = await supabaseFetch('users', 'PATCH',
+        { [counterColumns.countColumn]: 0, [counterColumns.reachedColumn]: null, [counterColumns.windowColumn]: null },
+        `?id=in.(${userIds.map(encodeQueryValue).join(',')})&${column}=lt.${encodeQueryValue(cutoffIso)}&select=id`);
+    return (Array.isArray(updated) ? updated : []).map(user => user.id);
+}
+
+/**
+ * Bulk version of resetDailyLimitsIfExpired(): resets the ads/spins counters of every user whose
+ * reset time has passed (up to `limit` users per counter). Returns { ads, spins } with the ids
+ * that were reset.
+ */
+async function resetExpiredDailyLimits(limit = 100) {
+    const settings = await getSettings();
+    const [ads, spins] = await Promise.all(['ads', 'spins'].map(counter => {
+        const counterColumns = LIMIT_COUNTERS[counter];
+        const { column, cutoff } = getCounterResetCutoff(getLimitResetPolicy(settings, counter), counterColumns, settings);
+        return resetDueCounter(counterColumns, column, cutoff, limit);
+    }));
+    return { ads, spins };
+}
+
+/**
+ * Tells the users in a resetExpiredDailyLimits() result that their limits are back.
+ * Returns how many messages were delivered.
+ */
+async function notifyLimitsReset(reset) {
+    const adsIds = new Set(reset.ads.map(String));
+    const spinsIds = new Set(reset.spins.map(String));
+    const userIds = [...new Set([...adsIds, ...spinsIds])];
+
+    let notified = 0;
+    for (const userId of userIds) {
+        const unlocked = [adsIds.has(userId) && 'ads', spinsIds.has(userId) && 'wheel spins'].filter(Boolean);
+        if (await notifyUser(userId, `⏰ Your ${unlocked.join(' and ')} limit has been reset. Come back and keep earning SHIB!`, getWebAppReplyMarkup())) {
+            notified++;
+        }
+    }
+    return notified;
+}
+
+/**
+ * Resets the counters of users whose ads/spins reset time has passed and tells them via the bot.
+ * Without this the reset only happens lazily on the user's next request, so nobody would be
+ * reminded to come back. Runs on demand (adminSendLimitResetReminders); the scheduled
+ * maintenance job does the same when limit_reset_notifications is enabled.
+ */
+async function sendLimitResetReminders(limit = 100) {
+    const reset = await resetExpiredDailyLimits(limit);
+    const notified = await notifyLimitsReset(reset);
+    return { checked: new Set([...reset.ads, ...reset.spins].map(String)).size, notified };
+}
+
+// ------------------------------------------------------------------
+// ⏱️ Rate Limiting
+// ------------------------------------------------------------------
+// The router checks every request against RATE_LIMITS (per user id and per client IP) before any
+// handler runs. Hits are counted in a sliding window by the store selected with RATE_LIMIT_STORE:
+//   - "storage" (default): the rate_limit_hit RPC (see sql/rate_limits.sql), shared by all
+//     serverless instances. With STORAGE_BACKEND=memory it runs against the in-memory store.
+//   - "memory": in-process counters only, for tests and local development.
+
+/**
+ * Validates one { limit, window_ms, ip_limit? } rate limit entry.
+ */
+function isValidRateLimit(value) {
+    return value !== null && typeof value === 'object'
+        && isPositiveInteger(value.limit) && isPositiveInteger(value.window_ms)
+        && (value.ip_limit === undefined || isPositiveInteger(value.ip_limit));
+}
+
+function createMemoryRateLimitStore() {
+    const windowsByKey = new Map(); // key -> { hits, windowMs }
+    let lastSweepAt = Date.now();
+
+    // Drops keys whose newest hit left its window, so idle users and IPs don't accumulate
+    function sweep(now) {
+        windowsByKey.forEach((window, key) => {
+            if (window.hits[window.hits.length - 1] <= now - window.windowMs) {
+                windowsByKey.delete(key);
+            }
+        });
+        lastSweepAt = now;
+    }
+
+    async function hit(key, windowMs, limit) {
+        const now = Date.now();
+        if (now - lastSweepAt >= RATE_LIMIT_SWEEP_INTERVAL_MS) {
+            sweep(now);
+        }
+
+        const window = windowsByKey.get(key) || { hits: [], windowMs };
+        window.hits = window.hits.filter(time => time > now - windowMs);
+        window.windowMs = windowMs;
+        windowsByKey.set(key, window);
+        if (window.hits.length >= limit) {
+            return Math.max(1, window.hits[0] + windowMs - now);
+        }
+        window.hits.push(now);
+        return 0;
+    }
+
+    return { hit };
+}
+
+function createStorageRateLimitStore() {
+    async function hit(key, windowMs, limit) {
+        return Number(await supabaseRpc('rate_limit_hit', { p_key: key, p_window_ms: windowMs, p_limit: limit }));
+    }
+
+    return { hit };
+}
+
+function createRateLimitStore() {
+    const backend = (process.env.RATE_LIMIT_STORE || 'storage').toLowerCase();
+
+    if (backend === 'memory') {
+        return createMemoryRateLimitStore();
+    }
+
+    if (backend !== 'storage') {
+        throw new Error(`Unknown RATE_LIMIT_STORE: ${backend}`);
+    }
+    return createStorageRateLimitStore();
+}
+
+const rateLimitStore = createRateLimitStore();
+
+/**
+ * Client IP as reported by the platform proxy (first X-Forwarded-For entry).
+ */
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded.length > 0) {
+        return forwarded.split(',')[0].trim();
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Counts one request of `type` for the user (if known) and the client IP.
+ * Returns { ok: true } or { ok: false, retryAfterMs, unavailable? }. When the store fails, read-only
+ * types go through and RATE_LIMIT_FAIL_CLOSED_TYPES are refused with `unavailable: true`.
+ */
+async function checkRateLimit(req, type, userId = null) {
+    const settings = await getSettings();
+    const rule = settings.rate_limit_overrides[type] || RATE_LIMITS[type] || settings.rate_limit_overrides.default || RATE_LIMITS.default;
+    const ipLimit = rule.ip_limit || rule.limit * 10;
+
+    try {
+        // 1. Per client IP
+        const ipRetryAfter = await rateLimitStore.hit(`${type}:ip:${getClientIp(req)}`, rule.window_ms, ipLimit);
+        if (ipRetryAfter > 0) {
+            return { ok: false, retryAfterMs: ipRetryAfter };
+        }
+
+        // 2. Per user
+        if (userId) {
+            const userRetryAfter = await rateLimitStore.hit(`${type}:user:${userId}`, rule.window_ms, rule.limit);
+            if (userRetryAfter > 0) {
+                return { ok: false, retryAfterMs: userRetryAfter };
+            }
+        }
+    } catch (error) {
+        console.error(`Rate limit check failed for ${type}:`, error.message);
+        if (RATE_LIMIT_FAIL_CLOSED_TYPES.includes(type)) {
+            return { ok: false, retryAfterMs: RATE_LIMIT_UNAVAILABLE_RETRY_MS, unavailable: true };
+        }
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Response for a failed checkRateLimit(): 429, or 503 when the store was unavailable,
+ * both with a Retry-After header (whole seconds).
+ */
+function sendRateLimited(res, rateLimit) {
+    const retryAfterSeconds = Math.max(1, Math.ceil(rateLimit.retryAfterMs / 1000));
+    res.setHeader('Retry-After', String(retryAfterSeconds));
+    if (rateLimit.unavailable) {
+        return sendError(res, 'Service temporarily unavailable. Please try again shortly.', 503, 'rate_limit_unavailable', { retry_after: retryAfterSeconds });
+    }
+    sendError(res, `Rate limit exceeded. Please wait ${retryAfterSeconds} seconds before trying again.`, 429, 'rate_limited', { retry_after: retryAfterSeconds });
+}
+
+// ------------------------------------------------------------------
+// **initData Security Validation Function** (No change)
+// ------------------------------------------------------------------
+function validateInitData(initData) {
+    if (!initData || !BOT_TOKEN) {
+        console.warn('Security Check Failed: initData or BOT_TOKEN is missing.');
+        return false;
+    }
+
+    const urlParams = new URLSearchParams(initData);
+    const hash = urlParams.get('hash');
+    urlParams.delete('hash');
+
+    const dataCheckString = Array.from(urlParams.entries())
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData')
+        .update(BOT_TOKEN)
+        .digest();
+
+    const calculatedHash = crypto.createHmac('sha256', secretKey)
+        .update(dataCheckString)
+        .digest('hex');
+
+    if (calculatedHash !== hash) {
+        console.warn(`Security Check Failed: Hash mismatch.`);
+        return false;
+    }
+
+    const authDateParam = urlParams.get('auth_date');
+    if (!authDateParam) {
+        console.warn('Security Check Failed: auth_date is missing.');
+        return false;
+    }
+
+    const authDate = parseInt(authDateParam) * 1000;
+    const currentTime = Date.now();
+    const expirationTime = 1200 * 1000; // 20 minutes limit
+
+    if (currentTime - authDate > expirationTime) {
+        console.warn(`Security Check Failed: Data expired.`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Extracts the Telegram user object from an initData string.
+ * Only call this after validateInitData() has accepted the same string.
+ */
+function getInitDataUser(initData) {
+    try {
+        const userJson = new URLSearchParams(initData).get('user');
+        return userJson ? JSON.parse(userJson) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ------------------------------------------------------------------
+// 🔐 Sessions
+// ------------------------------------------------------------------
+// startSession trades valid initData for a signed token, so the Mini App keeps working after the
+// 20-minute initData window. Tokens are compact JWTs (HS256); the payload carries the Telegram
+// user id (sub), language and display name, plus sid_iat: when the initData was exchanged.
+// Refreshing keeps sid_iat, so a session can't be stretched past SESSION_MAX_AGE_SECONDS.
+
+function getSessionSecret() {
+    if (SESSION_SECRET) {
+        return SESSION_SECRET;
+    }
+    return BOT_TOKEN ? crypto.createHmac('sha256', 'SessionToken').update(BOT_TOKEN).digest() : null;
+}
+
+function signSessionData(data) {
+    return crypto.createHmac('sha256', getSessionSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Issues a token for `session` ({ userId, languageCode, displayName }).
+ * Returns { token, expires_at, refresh_until }.
+ */
+function issueSessionToken(session, startedAt = Math.floor(Date.now() / 1000)) {
+    const now = Math.floor(Date.now() / 1000);
+    const refreshUntil = startedAt + SESSION_MAX_AGE_SECONDS;
+    const payload = {
+        sub: session.userId,
+        lang: session.languageCode,
+        name: session.displayName,
+        iat: now,
+        exp: Math.min(now + SESSION_TTL_SECONDS, refreshUntil),
+        sid_iat: startedAt
+    };
+    const data = `${Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url')}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    return {
+        token: `${data}.${signSessionData(data)}`,
+        expires_at: new Date(payload.exp * 1000).toISOString(),
+        refresh_until: new Date(refreshUntil * 1000).toISOString()
+    };
+}
+
+/**
+ * Checks a token's signature. Returns { session, startedAt, expired } or null for malformed or forged tokens.
+ */
+function verifySessionToken(token) {
+    if (typeof token !== 'string' || !getSessionSecret()) {
+        return null;
+    }
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const expected = Buffer.from(signSessionData(`${parts[0]}.${parts[1]}`));
+    const provided = Buffer.from(parts[2]);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (e) {
+        return null;
+    }
+    if (!payload || !Number.isInteger(payload.sub) || !Number.isInteger(payload.exp) || !Number.isInteger(payload.sid_iat)) {
+        return null;
+    }
+
+    return {
+        session: { userId: payload.sub, languageCode: payload.lang || null, displayName: payload.name || null },
+        startedAt: payload.sid_iat,
+        expiresAt: payload.exp,
+        expired: payload.exp <= Math.floor(Date.now() / 1000)
+    };
+}
+
+/**
+ * Session for a valid initData string, or null.
+ */
+function getInitDataSession(initData) {
+    if (!initData || !validateInitData(initData)) {
+        return null;
+    }
+    const tgUser = getInitDataUser(initData);
+    if (!tgUser || !Number.isInteger(tgUser.id)) {
+        return null;
+    }
+    return { userId: tgUser.id, languageCode: getTelegramLanguage(tgUser), displayName: getTelegramDisplayName(tgUser) };
+}
+
+function getBearerToken(req) {
+    const header = req.headers && req.headers.authorization;
+    const match = typeof header === 'string' ? header.match(/^Bearer\s+(\S+)$/i) : null;
+    return match ? match[1] : null;
+}
+
+/**
+ * Authenticates a Mini App request: the session token (Authorization: Bearer) when one is sent,
+ * otherwise initData. Returns { session } or { error: { message, status, code } }.
+ */
+function authenticateUser(req, body) {
+    const token = getBearerToken(req);
+    if (token) {
+        const verified = verifySessionToken(token);
+        if (!verified) {
+            return { error: { message: 'Invalid session token.', status: 401, code: 'session_invalid' } };
+        }
+        if (verified.expired) {
+            return { error: { message: 'Session expired. Please refresh the session.', status: 401, code: 'session_expired' } };
+        }
+        return { session: verified.session };
+    }
+
+    const session = getInitDataSession(body.initData);
+    if (!session) {
+        return { error: { message: 'Invalid or expired initData. Security check failed.', status: 401, code: 'invalid_init_data' } };
+    }
+    return { session };
+}
+
+/**
+ * NEW HANDLER: type: "startSession"
+ * Exchanges valid initData for a session token; send it as "Authorization: Bearer <token>" afterwards.
+ */
+async function handleStartSession(req, res, body) {
+    const session = getInitDataSession(body.initData);
+    if (!session) {
+        return sendError(res, 'Invalid or expired initData. Security check failed.', 401, 'invalid_init_data');
+    }
+    sendSuccess(res, { user_id: session.userId, ...issueSessionToken(session) });
+}
+
+/**
+ * NEW HANDLER: type: "refreshSession"
+ * Renews a session token until SESSION_MAX_AGE_SECONDS after startSession. Expired tokens are only
+ * renewed within SESSION_REFRESH_GRACE_SECONDS, and banned users can't renew at all.
+ */
+async function handleRefreshSession(req, res, body) {
+    const verified = verifySessionToken(getBearerToken(req) || body.session_token);
+    if (!verified) {
+        return sendError(res, 'Invalid session token.', 401, 'session_invalid');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    if (now >= verified.startedAt + SESSION_MAX_AGE_SECONDS || now >= verified.expiresAt + SESSION_REFRESH_GRACE_SECONDS) {
+        return sendError(res, 'Session can no longer be refreshed. Please start a new session.', 401, 'session_invalid');
+    }
+
+    try {
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(verified.session.userId)}&select=is_banned`);
+        if (Array.isArray(users) && users[0] && users[0].is_banned) {
+            return sendError(res, 'User is banned.', 403, 'user_banned');
+        }
+    } catch (error) {
+        console.error('RefreshSession failed:', error.message);
+        return sendError(res, `Failed to refresh session: ${error.message}`, 500);
+    }
+
+    sendSuccess(res, { user_id: verified.session.userId, ...issueSessionToken(verified.session, verified.startedAt) });
+}
+
+// ------------------------------------------------------------------
+// 🔑 Commission Helper Functions
+// ------------------------------------------------------------------
+/**
+ * Processes the commission for one referrer and updates their balance.
+ * `level` selects the rate from referral_commission_levels (1 = direct referrer).
+ */
+async function processCommission(referrerId, refereeId, sourceReward, level = 1, sourceType = 'ad') {
+    // 1. Calculate commission
+    const settings = await getSettings();
+    const rate = settings.referral_commission_levels[level - 1] || 0;
+    const commissionAmount = sourceReward * rate; 
+    
+    if (commissionAmount < 0.000001) { 
+        console.log(`Commission too small (${commissionAmount}). Aborted for referee ${refereeId}.`);
+        return { ok: false, error: 'Commission amount is effectively zero.' };
+    }
+
+    try {
+        // 2. Fetch referrer's status
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(referrerId)}&select=is_banned`);
+        if (!Array.isArray(users) || users.length === 0 || users[0].is_banned) {
+             console.log(`Referrer ${referrerId} not found or banned. Commission aborted.`);
+             return { ok: false, error: 'Referrer not found or banned, commission aborted.' };
+        }
+        
+        // 3. Credit the referrer through the ledger and record commission_history in one transaction
+        //    (pay_referral_commission in sql/commissions.sql)
+        const newBalance = Number(await supabaseRpc('pay_referral_commission', {
+            p_referrer_id: referrerId,
+            p_referee_id: refereeId,
+            p_amount: commissionAmount,
+            p_source_reward: sourceReward,
+            p_source_type: sourceType,
+            p_level: level
+        }));
+
+        return { ok: true, new_referrer_balance: newBalance };
+    
+    } catch (error) {
+        console.error('Commission failed:', error.message);
+        return { ok: false, error: `Commission failed: ${error.message}` };
+    }
+}
+
+/**
+ * Pays commissions up the referral chain of `refereeId` for one reward.
+ * Walks ref_by links for as many levels as referral_commission_levels defines.
+ * Nothing is paid until the referee reaches referral_min_referee_ads lifetime ads.
+ * This is internal-only: commissions are triggered exclusively by the reward handlers.
+ */
+async function distributeReferralCommissions(refereeId, sourceReward, sourceType) {
+    const settings = await getSettings();
+    const visited = new Set([refereeId]);
+    let currentId = refereeId;
+
+    for (let level = 1; level <= settings.referral_commission_levels.length; level++) {
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(currentId)}&select=ref_by,lifetime_ads_watched`);
+        if (!Array.isArray(users) || users.length === 0) {
+            break;
+        }
+
+        // Anti-abuse: inactive referees (e.g. farmed accounts) don't generate commissions
+        if (level === 1 && (users[0].lifetime_ads_watched || 0) < settings.referral_min_referee_ads) {
+            break;
+        }
+
+        const referrerId = users[0].ref_by;
+
+        // Stop at the top of the chain (or on a corrupted, cyclic chain)
+        if (!referrerId || visited.has(referrerId)) {
+            break;
+        }
+        visited.add(referrerId);
+
+        await processCommission(referrerId, refereeId, sourceReward, level, sourceType);
+        currentId = referrerId;
+    }
+}
+
+/**
+ * Pays the referral chain for one reward; reward handlers await it before responding, since a
+ * serverless function may be frozen as soon as the response is sent.
+ * A failure is logged and never fails the reward that was already credited.
+ */
+async function payReferralCommissions(refereeId, sourceReward, sourceType) {
+    try {
+        await distributeReferralCommissions(refereeId, sourceReward, sourceType);
+    } catch (error) {
+        console.error(`Referral commissions failed for referee ${refereeId} (${sourceType}):`, error.message);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🔒 Action ID Security System (No change)
+// ------------------------------------------------------------------
+
+/**
+ * Generates a strong, random ID for the client to use only once.
+ */
+function generateStrongId() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * HANDLER: type: "generateActionId"
+ * The client requests an action ID before starting a critical action (ad/spin/withdraw).
+ */
+async function handleGenerateActionId(req, res, body, session) {
+    const { action_type } = body;
+    const id = session.userId;
+    
+    if (!action_type) {
+        return sendError(res, 'Missing action_type.', 400);
+    }
+    
+    // Check if the user already has an unexpired ID for this action type
+    try {
+        const existingIds = await supabaseFetch('temp_actions', 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&action_type=eq.${encodeQueryValue(action_type)}&select=action_id,created_at`);
+        
+        if (Array.isArray(existingIds) && existingIds.length > 0) {
+            const lastIdTime = new Date(existingIds[0].created_at).getTime();
+            if (Date.now() - lastIdTime < ACTION_ID_EXPIRY_MS) {
+                 // If the existing ID is still valid, return it to prevent spamming the table
+                return sendSuccess(res, { action_id: existingIds[0].action_id });
+            } else {
+                 // Clean up expired ID before creating a new one
+                 await supabaseFetch('temp_actions', 'DELETE', null, `?user_id=eq.${encodeQueryValue(id)}&action_type=eq.${encodeQueryValue(action_type)}`);
+            }
+        }
+    } catch(e) {
+        console.warn('Error checking existing temp_actions:', e.message);
+    }
+    
+    // Generate and save the new ID
+    const newActionId = generateStrongId();
+    
+    try {
+        await supabaseFetch('temp_actions', 'POST',
+            { user_id: id, action_id: newActionId, action_type: action_type },
+            '?select=action_id');
+            
+        sendSuccess(res, { action_id: newActionId });
+    } catch (error) {
+        console.error('Failed to generate and save action ID:', error.message);
+        sendError(res, 'Failed to generate security token.', 500);
+    }
+}
+
+
+/**
+ * Middleware: Checks if the Action ID is valid and then deletes it.
+ */
+async function validateAndUseActionId(res, userId, actionId, actionType) {
+    if (!actionId) {
+        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400, 'action_token_missing');
+        return false;
+    }
+    
+    try {
+        const query = `?user_id=eq.${encodeQueryValue(userId)}&action_id=eq.${encodeQueryValue(actionId)}&action_type=eq.${encodeQueryValue(actionType)}&select=id,created_at`;
+        const records = await supabaseFetch('temp_actions', 'GET', null, query);
+        
+        if (!Array.isArray(records) || records.length === 0) {
+            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409, 'action_token_invalid'); 
+            return false;
+        }
+        
+        const record = records[0];
+        const recordTime = new Date(record.created_at).getTime();
+        
+        // 1. Check Expiration (60 seconds)
+        if (Date.now() - recordTime > ACTION_ID_EXPIRY_MS) {
+            await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${encodeQueryValue(record.id)}`);
+            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408, 'action_token_expired'); 
+            return false;
+        }
+
+        // 2. Use the token: Delete it to prevent reuse. The DELETE returns the removed rows, so of two
+        //    concurrent claims only the one that actually deleted the row gets past this point.
+        const consumed = await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${encodeQueryValue(record.id)}&select=id`);
+        if (!Array.isArray(consumed) || consumed.length === 0) {
+            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409, 'action_token_invalid');
+            return false;
+        }
+
+        // 3. Anti-fraud: claims that come back faster than the action can take are recorded
+        const elapsed = Date.now() - recordTime;
+        if (FRAUD_MIN_ACTION_CLAIM_MS[actionType] && elapsed < FRAUD_MIN_ACTION_CLAIM_MS[actionType]) {
+            await recordFraudSignal(userId, 'fast_action_claim', { action_type: actionType, elapsed_ms: elapsed });
+        }
+
+        return true;
+
+    } catch (error) {
+        console.error(`Error validating Action ID ${actionId}:`, error.message);
+        sendError(res, 'Security validation failed.', 500);
+        return false;
+    }
+}
+
+// ------------------------------------------------------------------
+// 🛡️ Anti-Fraud Scoring
+// ------------------------------------------------------------------
+// Suspicious behaviour is stored as rows in fraud_signals (user, signal, details). After each new
+// signal the user's risk_score is recomputed from the unreviewed signals of the last 7 days and
+// fraud_status is raised (never lowered automatically):
+//   - "review":      score >= fraud_review_score. New and pending withdrawals are put on hold.
+//   - "soft_banned": score >= fraud_soft_ban_score. FRAUD_RESTRICTED_TYPES requests are refused.
+// Operators see the reasons with adminListFraudFlags and clear them with adminClearFraudFlag.
+
+/**
+ * Recomputes a user's risk score from their open signals and applies the resulting status.
+ * Returns { score, status, reasons }.
+ */
+async function updateRiskScore(userId) {
+    const settings = await getSettings();
+    const since = new Date(Date.now() - FRAUD_SIGNAL_WINDOW_MS).toISOString();
+
+    // 1. Sum the weights of unreviewed signals inside the window
+    const signals = await supabaseFetch(FRAUD_SIGNALS_TABLE, 'GET', null,
+        `?user_id=eq.${encodeQueryValue(userId)}&reviewed_at=is.null&created_at=gte.${encodeQueryValue(since)}&select=signal,weight`);
+    const rows = Array.isArray(signals) ? signals : [];
+    const score = rows.reduce((sum, row) => sum + Number(row.weight), 0);
+    const reasons = [...new Set(rows.map(row => row.signal))];
+
+    // 2. Status from the thresholds, but never below the current one
+    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(userId)}&select=fraud_status`);
+    const currentStatus = (Array.isArray(users) && users[0] && users[0].fraud_status) || 'ok';
+    let status = 'ok';
+    if (score >= settings.fraud_soft_ban_score) {
+        status = 'soft_banned';
+    } else if (score >= settings.fraud_review_score) {
+        status = 'review';
+    }
+    if (FRAUD_STATUSES.indexOf(currentStatus) > FRAUD_STATUSES.indexOf(status)) {
+        status = currentStatus;
+    }
+
+    await supabaseFetch('users', 'PATCH',
+        { risk_score: score, fraud_status: status, fraud_reasons: reasons },
+        `?id=eq.${encodeQueryValue(userId)}`);
+
+    // 3. Flagged users' pending withdrawals wait for an operator
+    if (status !== 'ok' && currentStatus === 'ok') {
+        console.warn(`User ${userId} flagged as ${status} (score ${score}: ${reasons.join(', ')}).`);
+        await supabaseFetch('withdrawals', 'PATCH',
+            { status: 'on_hold', updated_at: new Date().toISOString() },
+            `?user_id=eq.${encodeQueryValue(userId)}&status=eq.pending`);
+    }
+
+    return { score, status, reasons };
+}
+
+/**
+ * Stores one fraud signal and re-scores the user. Never throws: anti-fraud bookkeeping must not
+ * break the request that triggered it. Returns the new assessment, or null on failure.
+ */
+async function recordFraudSignal(userId, signal, details = {}) {
+    try {
+        await supabaseFetch(FRAUD_SIGNALS_TABLE, 'POST',
+            { user_id: userId, signal, weight: FRAUD_SIGNAL_WEIGHTS[signal], details },
+            '?select=id');
+        return await updateRiskScore(userId);
+    } catch (error) {
+        console.error(`Failed to record fraud signal ${signal} for user ${userId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Returns the stored fraud status of a user ('ok' if unknown or if the lookup fails).
+ */
+async function getFraudStatus(userId) {
+    try {
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(userId)}&select=fraud_status`);
+        return (Array.isArray(users) && users[0] && users[0].fraud_status) || 'ok';
+    } catch (error) {
+        console.error(`Failed to read fraud status for user ${userId}:`, error.message);
+        return 'ok';
+    }
+}
+
+// Per-instance request counters (userId -> { windowStart, count, flagged }); serverless instances
+// don't share them, so this catches bursts against one instance rather than exact global rates.
+const requestFrequency = new Map();
+
+/**
+ * Counts a request and records request_burst once per window when a user exceeds the limit.
+ */
+async function trackRequestFrequency(userId) {
+    const now = Date.now();
+
+    if (requestFrequency.size > 10000) {
+        requestFrequency.forEach((entry, key) => {
+            if (now - entry.windowStart > FRAUD_BURST_WINDOW_MS) requestFrequency.delete(key);
+        });
+    }
+
+    let entry = requestFrequency.get(userId);
+    if (!entry || now - entry.windowStart > FRAUD_BURST_WINDOW_MS) {
+        entry = { windowStart: now, count: 0, flagged: false };
+        requestFrequency.set(userId, entry);
+    }
+    entry.count++;
+
+    if (entry.count > FRAUD_BURST_MAX_REQUESTS && !entry.flagged) {
+        entry.flagged = true;
+        await recordFraudSignal(userId, 'request_burst', { count: entry.count, window_ms: FRAUD_BURST_WINDOW_MS });
+    }
+}
+
+/**
+ * Withdrawal-time checks: addresses shared with other accounts and referral trees without activity.
+ * Returns the user's fraud status after any new signals.
+ */
+async function assessWithdrawalRisk(userId, address) {
+    let assessment = null;
+
+    // 1. Same payout address used by other accounts (flag every account involved)
+    const sharedWith = await supabaseFetch('withdrawals', 'GET', null,
+        `?address=eq.${encodeQueryValue(address)}&user_id=neq.${encodeQueryValue(userId)}&select=user_id&limit=20`);
+    const otherUserIds = [...new Set((Array.isArray(sharedWith) ? sharedWith : []).map(row => row.user_id))];
+    if (otherUserIds.length > 0) {
+        assessment = await recordFraudSignal(userId, 'shared_withdrawal_address', { address, user_ids: otherUserIds });
+        for (const otherUserId of otherUserIds) {
+            await recordFraudSignal(otherUserId, 'shared_withdrawal_address', { address, user_ids: [userId] });
+        }
+    }
+
+    // 2. Referral tree made of accounts that never did anything
+    const referees = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${encodeQueryValue(userId)}&select=lifetime_ads_watched`);
+    if (Array.isArray(referees) && referees.length >= FRAUD_MIN_REFERRALS_FOR_TREE_CHECK) {
+        const inactive = referees.filter(referee => !referee.lifetime_ads_watched).length;
+        if (inactive / referees.length >= FRAUD_INACTIVE_REFERRAL_SHARE) {
+            assessment = await recordFraudSignal(userId, 'inactive_referral_tree', { referrals: referees.length, inactive });
+        }
+    }
+
+    return assessment ? assessment.status : getFraudStatus(userId);
+}
+
+// --- API Handlers ---
+
+/**
+ * HANDLER: type: "getUserData"
+ * ⚠️ Fix: Now selects new limit columns and task_completed.
+ */
+async function handleGetUserData(req, res, body, session) {
+    const id = session.userId;
+
+    try {
+        // 1. Check and reset daily limits (per limit_reset_policies)
+        await resetDailyLimitsIfExpired(id);
+
+        // 2. Fetch user data (including new limit columns AND task_completed)
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=balance,ads_watched_today,spins_today,is_banned,ref_by,ads_limit_reached_at,spins_limit_reached_at,ads_window_started_at,spins_window_started_at,task_completed,checkin_streak,last_checkin_date,xp`);
+
+        if (!users || users.length === 0 || users.success) {
+            return sendSuccess(res, {
+                balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false, task_completed: false
+            });
+        }
+
+        const userData = users[0];
+
+        // 3. Banned Check - Exit immediately if banned
+        if (userData.is_banned) {
+             return sendSuccess(res, { is_banned: true, message: "User is banned from accessing the app." });
+        }
+
+
+        // 4. Fetch referrals count
+        const referrals = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${encodeQueryValue(id)}&select=id`);
+        const referralsCount = Array.isArray(referrals) ? referrals.length : 0;
+
+        // 5. Fetch withdrawal history
+        const history = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&select=id,amount,fee,net_amount,method,address,status,rejection_reason,tx_hash,created_at&order=created_at.desc`);
+        const withdrawalHistory = Array.isArray(history) ? history : [];
+
+        // 6. Update last_activity (drives the referral "active" stats)
+        await supabaseFetch('users', 'PATCH',
+            { last_activity: new Date().toISOString() },
+            `?id=eq.${encodeQueryValue(id)}&select=id`);
+
+        // 7. Daily check-in streak state
+        const settings = await getSettings();
+
+        // 8. Dynamic tasks already completed
+        const completedTasks = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&select=task_id`);
+
+        // 9. When the ads/spins counters return to zero (drives the countdowns)
+        const resetTimes = getLimitResetTimes(userData, settings);
+
+        sendSuccess(res, {
+            ...userData,
+            referrals_count: referralsCount,
+            withdrawal_history: withdrawalHistory,
+            checkin: getCheckInState(userData, settings.checkin_rewards),
+            completed_task_ids: Array.isArray(completedTasks) ? completedTasks.map(t => t.task_id) : [],
+            level: getLevelForXp(userData.xp).level,
+            daily_limits: getUserDailyLimits(userData, settings),
+            ads_reset_at: resetTimes.ads,
+            spins_reset_at: resetTimes.spins
+        });
+
+    } catch (error) {
+        console.error('GetUserData failed:', error.message);
+        sendError(res, `Failed to retrieve user data: ${error.message}`, 500);
+    }
+}
+
+/**
+ * NEW HANDLER: type: "getTasks"
+ * ⚠️ يجلب المهام المتاحة من جدول tasks.
+ */
+async function handleGetTasks(req, res, body, session) {
+    const id = session.userId;
+    
+    try {
+        // 1. جلب قائمة المهام المتاحة من جدول tasks
+        // Disabled tasks are skipped here; pauses, schedule, caps and targeting are checked per task below
+        const availableTasks = await supabaseFetch('tasks', 'GET', null, `?is_active=eq.true&select=${TASK_COLUMNS}&order=id.asc`);
+        const taskRows = Array.isArray(availableTasks) ? availableTasks : [];
+        const completionCounts = await getTaskCompletionCounts(taskRows.map(task => task.id));
+
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=id,ref_by,created_at`);
+        const user = Array.isArray(users) && users.length > 0 ? users[0] : { id };
+        const languageCode = session.languageCode;
+
+        // 2. جلب المهام التي أكملها المستخدم
+        // يفترض وجود جدول باسم TASK_COMPLETIONS_TABLE (مثل: user_task_completions)
+        const completedTasks = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&select=task_id`);
+        const completedTaskIds = Array.isArray(completedTasks) ? new Set(completedTasks.map(t => t.task_id)) : new Set();
+        
+        // 3. Visits and proofs the user already started/submitted (per task, newest first)
+        const attempts = await supabaseFetch(TASK_ATTEMPTS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&select=task_id,status,started_at,rejection_reason&order=created_at.desc`);
+        const latestAttempts = {};
+        (Array.isArray(attempts) ? attempts : []).forEach(attempt => {
+            if (!latestAttempts[attempt.task_id]) latestAttempts[attempt.task_id] = attempt;
+        });
+
+        // 4. Referral counts for referral_milestone tasks, looked up once for the whole list
+        const hasReferralTasks = taskRows.some(task => getTaskVerificationType(task) === 'referral_milestone');
+        const referralCounts = hasReferralTasks ? await getReferralCounts(id) : null;
+
+        // 5. فلترة وتجهيز قائمة المهام
+        // Hides tasks that are scheduled, expired, full or not targeted at this user
+        // (tasks the user already completed stay visible until they expire)
+        const tasksList = [];
+        for (const task of taskRows) {
+            const isCompleted = completedTaskIds.has(task.id);
+            const currentParticipants = completionCounts.get(task.id) || 0;
+
+            const unavailable = getTaskAvailabilityError(task, user, languageCode, currentParticipants);
+            if (unavailable && !(isCompleted && unavailable.reason === 'full')) {
+                continue;
+            }
+            
+            tasksList.push({
+                task_id: task.id,
+                name: task.name,
+                link: task.link,
+                reward: task.reward,
+                max_participants: task.max_participants || null,
+                current_participants: currentParticipants,
+                ends_at: task.ends_at || null,
+                is_completed: isCompleted,
+                verification_type: getTaskVerificationType(task),
+                verification: getTaskVerificationState(task, latestAttempts[task.id] || null, referralCounts)
+            });
+        }
+
+        sendSuccess(res, { tasks: tasksList });
+
+    } catch (error) {
+        console.error('GetTasks failed:', error.message);
+        sendError(res, `Failed to retrieve tasks: ${error.message}`, 500);
+    }
+}
+
+/**
+ * NEW HANDLER: type: "getTransactions"
+ * Returns a page of the user's balance ledger, newest first.
+ */
+async function handleGetTransactions(req, res, body, session) {
+    const id = session.userId;
+    const limit = Math.min(Math.max(parseInt(body.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+    try {
+        const transactions = await supabaseFetch('balance_transactions', 'GET', null,
+            `?user_id=eq.${encodeQueryValue(id)}&select=id,type,amount,source_id,balance_after,created_at&order=created_at.desc&limit=${encodeQueryValue(limit)}&offset=${encodeQueryValue(offset)}`);
+
+        sendSuccess(res, {
+            transactions: Array.isArray(transactions) ? transactions : [],
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error('GetTransactions failed:', error.message);
+        sendError(res, `Failed to retrieve transactions: ${error.message}`, 500);
+    }
+}
+
+/**
+ * NEW HANDLER: type: "getReferrals"
+ * Returns a page of the user's direct referrals with join date, activity and the
+ * commission each one has earned for the user, plus overall referral stats.
+ */
+async function handleGetReferrals(req, res, body, session) {
+    const id = session.userId;
+    const limit = Math.min(Math.max(parseInt(body.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+    try {
+        // 1. Totals over all direct referrals (counted, not downloaded)
+        const activeSince = Date.now() - REFERRAL_ACTIVE_WINDOW_MS;
+        const [totalCount, activeCount] = await Promise.all([
+            supabaseCount('users', `?ref_by=eq.${encodeQueryValue(id)}`),
+            supabaseCount('users', `?ref_by=eq.${encodeQueryValue(id)}&last_activity=gte.${encodeQueryValue(new Date(activeSince).toISOString())}`)
+        ]);
+
+        // 2. The requested page, newest first
+        const page = await supabaseFetch('users', 'GET', null,
+            `?ref_by=eq.${encodeQueryValue(id)}&select=id,created_at,last_activity,ads_watched_today,spins_today&order=created_at.desc&limit=${encodeQueryValue(limit)}&offset=${encodeQueryValue(offset)}`);
+        const pageList = Array.isArray(page) ? page : [];
+
+        // 3. Commission earned by this user: the total (row without referee_id) and per referee on this page
+        const sums = await supabaseRpc('referral_commission_summary', {
+            p_referrer_id: id,
+            p_referee_ids: pageList.map(referee => referee.id)
+        });
+        const earnedByReferee = {};
+        let totalCommission = 0;
+        (Array.isArray(sums) ? sums : []).forEach(row => {
+            if (row.referee_id === null) {
+                totalCommission = Number(row.amount) || 0;
+            } else {
+                earnedByReferee[row.referee_id] = Number(row.amount) || 0;
+            }
+        });
+
+        sendSuccess(res, {
+            total_count: totalCount,
+            active_count: activeCount,
+            total_commission: totalCommission,
+            referrals: pageList.map(referee => ({
+                user_id: referee.id,
+                joined_at: referee.created_at,
+                last_activity: referee.last_activity,
+                is_active: !!referee.last_activity && new Date(referee.last_activity).getTime() >= activeSince,
+                ads_watched_today: referee.ads_watched_today,
+                spins_today: referee.spins_today,
+                commission_earned: earnedByReferee[referee.id] || 0
+            })),
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error('GetReferrals failed:', error.message);
+        sendError(res, `Failed to retrieve referrals: ${error.message}`, 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🎖️ Achievements & Levels
+// ------------------------------------------------------------------
+// Handlers report the metrics they just changed (e.g. { ads_watched: 100 }) to unlockAchievements().
+// The unlock_achievement RPC (sql/achievements.sql) records the unlock, pays the bonus and recomputes
+// users.xp in one transaction; the unique (user_id, achievement_id) index keeps parallel requests
+// from unlocking twice.
+
+/**
+ * Level entry (with perks) for a total XP, plus the XP needed for the next level (null at max).
+ */
+function getLevelForXp(xp) {
+    let index = 0;
+    while (index + 1 < LEVELS.length && (xp || 0) >= LEVELS[index + 1].xp) {
+        index++;
+    }
+    const next = LEVELS[index + 1];
+    return { ...LEVELS[index], next_level_xp: next ? next.xp : null };
+}
+
+/**
+ * The user's daily ad / spin limits: the settings plus their level perks. `user` needs xp.
+ */
+function getUserDailyLimits(user, settings) {
+    const { perks } = getLevelForXp(user.xp);
+    return {
+        ads: settings.daily_max_ads + perks.extra_daily_ads,
+        spins: settings.daily_max_spins + perks.extra_daily_spins
+    };
+}
+
+/**
+ * Unlocks every achievement whose metric in `metrics` reached its threshold, pays the bonuses and
+ * refreshes users.xp. Returns the newly unlocked achievements. Never throws: failures are logged so
+ * the action that triggered the check still succeeds, and an unlock that failed is retried the next
+ * time the metric is reported.
+ */
+async function unlockAchievements(userId, metrics) {
+    const candidates = ACHIEVEMENTS.filter(achievement =>
+        metrics[achievement.metric] !== undefined && metrics[achievement.metric] >= achievement.threshold);
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    try {
+        // 1. Skip the ones already unlocked
+        const rows = await supabaseFetch(USER_ACHIEVEMENTS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(userId)}&select=achievement_id`);
+        const unlockedIds = new Set((Array.isArray(rows) ? rows : []).map(row => row.achievement_id));
+
+        // 2. Record, pay and add the XP of the new ones (false means a parallel request got there first)
+        const unlocked = [];
+        for (const achievement of candidates.filter(candidate => !unlockedIds.has(candidate.id))) {
+            const isNew = await supabaseRpc('unlock_achievement', {
+                p_user_id: userId,
+                p_achievement_id: achievement.id,
+                p_xp: achievement.xp,
+                p_reward: achievement.reward
+            });
+            if (isNew) {
+                unlocked.push({ id: achievement.id, title: achievement.title, xp: achievement.xp, reward: achievement.reward });
+            }
+        }
+
+        return unlocked;
+    } catch (error) {
+        console.error(`Failed to unlock achievements for user ${userId}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Current value of every achievement metric for a user (used by getAchievements).
+ */
+async function getAchievementMetrics(userId, user) {
+    const [referrals, tasks, withdrawals] = await Promise.all([
+        supabaseFetch('users', 'GET', null, `?ref_by=eq.${encodeQueryValue(userId)}&select=id`),
+        supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(userId)}&select=task_id`),
+        supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${encodeQueryValue(userId)}&status=eq.completed&select=id`)
+    ]);
+    const count = rows => (Array.isArray(rows) ? rows.length : 0);
+
+    return {
+        ads_watched: user.lifetime_ads_watched || 0,
+        spins: user.lifetime_spins || 0,
+        tasks_completed: count(tasks),
+        referrals: count(referrals),
+        checkin_streak: user.checkin_streak || 0,
+        withdrawals_completed: count(withdrawals)
+    };
+}
+
+/**
+ * NEW HANDLER: type: "getAchievements"
+ * Level, XP, perks and every achievement with the user's progress.
+ */
+async function handleGetAchievements(req, res, body, session) {
+    const id = session.userId;
+
+    try {
+        // 1. Load the user's counters
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=xp,lifetime_ads_watched,lifetime_spins,checkin_streak`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+        const user = users[0];
+
+        // 2. Unlocked achievements and current metric values
+        const rows = await supabaseFetch(USER_ACHIEVEMENTS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&select=achievement_id,unlocked_at`);
+        const unlockedAt = new Map((Array.isArray(rows) ? rows : []).map(row => [row.achievement_id, row.unlocked_at]));
+        const metrics = await getAchievementMetrics(id, user);
+
+        // 3. Level and perks
+        const level = getLevelForXp(user.xp);
+        const settings = await getSettings();
+
+        sendSuccess(res, {
+            xp: user.xp || 0,
+            level: level.level,
+            level_xp: level.xp,
+            next_level_xp: level.next_level_xp,
+            perks: level.perks,
+            daily_limits: getUserDailyLimits(user, settings),
+            achievements: ACHIEVEMENTS.map(achievement => ({
+                id: achievement.id,
+                title: achievement.title,
+                description: achievement.description,
+                xp: achievement.xp,
+                reward: achievement.reward,
+                threshold: achievement.threshold,
+                progress: Math.min(metrics[achievement.metric], achievement.threshold),
+                unlocked: unlockedAt.has(achievement.id),
+                unlocked_at: unlockedAt.get(achievement.id) || null
+            }))
+        });
+    } catch (error) {
+        console.error('GetAchievements failed:', error.message);
+        sendError(res, `Failed to retrieve achievements: ${error.message}`, 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🏆 Leaderboards
+// ------------------------------------------------------------------
+// Scores come from the leaderboard_scores RPC (see sql/leaderboard.sql), which aggregates the
+// ledger (earnings), users.ref_by (referrals) and spin_results (spins) and ranks them in the
+// database; only the top LEADERBOARD_SIZE rows and the caller's own row leave it. Both are cached
+// per instance for LEADERBOARD_CACHE_TTL_MS.
+
+const leaderboardCache = new Map(); // `${board}:${period}` -> { entries, updated_at, loadedAt }
+const leaderboardRankCache = new Map(); // `${board}:${period}:${userId}` -> { rank, score, loadedAt }
+
+/**
+ * ISO timestamp where the period starts (UTC), or null for all time.
+ */
+function getLeaderboardPeriodStart(period) {
+    if (period === 'today') {
+        return `${getUtcDateString()}T00:00:00.000Z`;
+    }
+    if (period === 'week') {
+        const daysSinceMonday = (new Date().getUTCDay() + 6) % 7;
+        return `${getUtcDateString(-daysSinceMonday)}T00:00:00.000Z`;
+    }
+    return null;
+}
+
+/**
+ * Hides most of a name ("Alexander" -> "Al*****r"); users without a name get a masked id.
+ */
+function maskDisplayName(name, userId) {
+    const chars = Array.from((name || '').trim());
+    if (chars.length === 0) {
+        return `User ***${String(userId).slice(-3)}`;
+    }
+    if (chars.length <= 2) {
+        return `${chars[0]}*`;
+    }
+    const visibleStart = chars.length <= 4 ? 1 : 2;
+    const hidden = Math.min(chars.length - visibleStart - 1, 5);
+    return chars.slice(0, visibleStart).join('') + '*'.repeat(hidden) + chars[chars.length - 1];
+}
+
+/**
+ * Returns the (cached) masked top entries for a board and period.
+ */
+async function getLeaderboard(board, period) {
+    const cacheKey = `${board}:${period}`;
+    const cached = leaderboardCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < LEADERBOARD_CACHE_TTL_MS) {
+        return cached;
+    }
+
+    // 1. The top scores, highest first
+    const rows = await supabaseRpc('leaderboard_scores', {
+        p_board: board,
+        p_since: getLeaderboardPeriodStart(period),
+        p_limit: LEADERBOARD_SIZE,
+        p_user_id: null
+    });
+    const top = (Array.isArray(rows) ? rows : []).map(row => ({ user_id: Number(row.user_id), score: Number(row.score) }));
+
+    // 2. Names for the top entries
+    const names = {};
+    if (top.length > 0) {
+        const users = await supabaseFetch('users', 'GET', null, `?id=in.(${top.map(row => encodeQueryValue(row.user_id)).join(',')})&select=id,display_name`);
+        (Array.isArray(users) ? users : []).forEach(user => {
+            names[Number(user.id)] = user.display_name;
+        });
+    }
+
+    const leaderboard = {
+        entries: top.map((row, index) => ({
+            user_id: row.user_id,
+            rank: index + 1,
+            name: maskDisplayName(names[row.user_id], row.user_id),
+            score: row.score
+        })),
+        updated_at: new Date().toISOString(),
+        loadedAt: Date.now()
+    };
+    leaderboardCache.set(cacheKey, leaderboard);
+    return leaderboard;
+}
+
+/**
+ * The user's (cached) { rank, score } on a board; rank is null without a positive score.
+ */
+async function getLeaderboardRank(board, period, userId, leaderboard) {
+    const entry = leaderboard.entries.find(row => row.user_id === userId);
+    if (entry) {
+        return { rank: entry.rank, score: entry.score };
+    }
+
+    const now = Date.now();
+    const cacheKey = `${board}:${period}:${userId}`;
+    const cached = leaderboardRankCache.get(cacheKey);
+    if (cached && now - cached.loadedAt < LEADERBOARD_CACHE_TTL_MS) {
+        return { rank: cached.rank, score: cached.score };
+    }
+
+    if (leaderboardRankCache.size > 10000) {
+        leaderboardRankCache.forEach((value, key) => {
+            if (now - value.loadedAt >= LEADERBOARD_CACHE_TTL_MS) leaderboardRankCache.delete(key);
+        });
+    }
+
+    // Only the caller's own row (p_limit 0), ranked against everyone in SQL
+    const rows = await supabaseRpc('leaderboard_scores', {
+        p_board: board,
+        p_since: getLeaderboardPeriodStart(period),
+        p_limit: 0,
+        p_user_id: userId
+    });
+    const row = Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+    const rank = { rank: row ? Number(row.rank) : null, score: row ? Number(row.score) : 0 };
+    leaderboardRankCache.set(cacheKey, { ...rank, loadedAt: now });
+    return rank;
+}
+
+/**
+ * NEW HANDLER: type: "getLeaderboard"
+ * board: earnings | referrals | spins, period: today | week | all. Includes the caller's own rank.
+ */
+async function handleGetLeaderboard(req, res, body, session) {
+    const id = session.userId;
+    const board = body.board || 'earnings';
+    const period = body.period || 'week';
+
+    if (!LEADERBOARD_BOARDS.includes(board)) {
+        return sendError(res, `Unknown leaderboard: ${board}.`, 400);
+    }
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+        return sendError(res, `Unknown leaderboard period: ${period}.`, 400);
+    }
+
+    try {
+        const leaderboard = await getLeaderboard(board, period);
+        const me = await getLeaderboardRank(board, period, id, leaderboard);
+
+        sendSuccess(res, {
+            board,
+            period,
+            // User ids stay server-side; the client only gets masked names
+            entries: leaderboard.entries.map(({ rank, name, score, user_id }) => ({ rank, name, score, is_me: user_id === id })),
+            me,
+            updated_at: leaderboard.updated_at
+        });
+    } catch (error) {
+        console.error('GetLeaderboard failed:', error.message);
+        sendError(res, `Failed to load leaderboard: ${error.message}`, 500);
+    }
+}
+
+/**
+ * NEW HANDLER: type: "getConfig"
+ * Exposes the reward economy so the frontend renders the same limits, wheel and minimums.
+ */
+async function handleGetConfig(req, res, body, session) {
+    const settings = await getSettings();
+    sendSuccess(res, {
+        reward_per_ad: settings.reward_per_ad,
+        referral_commission_levels: settings.referral_commission_levels,
+        referral_min_referee_ads: settings.referral_min_referee_ads,
+        ad_provider: { name: AD_PROVIDER, block_id: AD_PROVIDER_BLOCK_ID, verification_required: AD_POSTBACK_REQUIRED, available: !AD_PROVIDER_CONFIG_ERROR },
+        daily_max_ads: settings.daily_max_ads,
+        daily_max_spins: settings.daily_max_spins,
+        reset_interval_ms: settings.reset_interval_ms,
+        limit_reset_policies: settings.limit_reset_policies,
+        spin_sectors: settings.spin_sectors,
+        task_reward: settings.task_reward,
+        min_withdraw: settings.min_withdraw,
+        withdrawal_methods: Object.keys(WITHDRAWAL_METHODS)
+            .filter(method => settings.withdrawal_methods[method])
+            .map(method => ({
+                id: method,
+                label: WITHDRAWAL_METHODS[method].label,
+                min_amount: Math.max(settings.min_withdraw, settings.withdrawal_methods[method].min_amount),
+                fee: settings.withdrawal_methods[method].fee
+            })),
+        checkin_rewards: settings.checkin_rewards
+    });
+}
+
+
+/**
+ * Returns the referrer id to store for a new user, or null if the referral is not acceptable:
+ * self-referrals, referrers that don't exist or are banned, and chains that loop back to the user.
+ */
+async function resolveValidReferrer(userId, refBy) {
+    const referrerId = parseInt(refBy);
+    if (!referrerId || isNaN(referrerId)) {
+        return null;
+    }
+
+    if (referrerId === userId) {
+        console.warn(`Self-referral rejected for user ${userId}.`);
+        return null;
+    }
+
+    // Walk up the referrer's chain; the new user must not already appear in it
+    let currentId = referrerId;
+    for (let depth = 0; depth <= MAX_REFERRAL_CHAIN_CHECK_DEPTH && currentId; depth++) {
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(currentId)}&select=id,ref_by,is_banned`);
+        if (!Array.isArray(users) || users.length === 0) {
+            if (depth === 0) {
+                console.warn(`Referrer ${referrerId} not found. Referral dropped for user ${userId}.`);
+                return null;
+            }
+            break;
+        }
+        if (depth === 0 && users[0].is_banned) {
+            console.warn(`Referrer ${referrerId} is banned. Referral dropped for user ${userId}.`);
+            return null;
+        }
+        if (users[0].ref_by === userId) {
+            console.warn(`Referral cycle rejected: user ${userId} -> ${referrerId}.`);
+            return null;
+        }
+        currentId = users[0].ref_by;
+    }
+
+    return referrerId;
+}
+
+// ------------------------------------------------------------------
+// 📅 Daily Check-In Streak
+// ------------------------------------------------------------------
+// Days are UTC calendar days. Checking in on consecutive days grows checkin_streak;
+// missing a day restarts it at 1. The reward for streak day N is checkin_rewards[(N - 1) % length].
+
+/**
+ * Returns the UTC date (YYYY-MM-DD) `offsetDays` away from now.
+ */
+function getUtcDateString(offsetDays = 0) {
+    return new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Computes the check-in state shown to the client from the stored streak columns.
+ */
+function getCheckInState(user, schedule) {
+    const checkedInToday = user.last_checkin_date === getUtcDateString();
+    const streakAlive = checkedInToday || user.last_checkin_date === getUtcDateString(-1);
+    const streak = streakAlive ? (user.checkin_streak || 0) : 0;
+
+    // Days already claimed in the current pass through the schedule (drives the calendar)
+    let cycleProgress = streak % schedule.length;
+    if (checkedInToday && cycleProgress === 0) {
+        cycleProgress = schedule.length;
+    }
+
+    return {
+        streak,
+        checked_in_today: checkedInToday,
+        last_checkin_date: user.last_checkin_date || null,
+        cycle_progress: cycleProgress,
+        next_reward: schedule[streak % schedule.length],
+        rewards: schedule
+    };
+}
+
+/**
+ * NEW HANDLER: type: "dailyCheckIn"
+ * Awards the streak reward once per UTC day. Protected by the action ID flow.
+ */
+async function handleDailyCheckIn(req, res, body, session) {
+    const { action_id } = body;
+    const id = session.userId;
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'dailyCheckIn')) return;
+
+    try {
+        // 2. Fetch current user data
+        const settings = await getSettings();
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=is_banned,checkin_streak,last_checkin_date`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+        const user = users[0];
+
+        // 3. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'user_banned');
+        }
+
+        // 4. Once per UTC day
+        const today = getUtcDateString();
+        if (user.last_checkin_date === today) {
+            return sendError(res, 'Already checked in today.', 409, 'already_checked_in');
+        }
+
+        // 5. Continue the streak from yesterday or start over
+        const newStreak = user.last_checkin_date === getUtcDateString(-1) ? (user.checkin_streak || 0) + 1 : 1;
+        const reward = settings.checkin_rewards[(newStreak - 1) % settings.checkin_rewards.length];
+
+        // 6. Save the streak (compare-and-swap on last_checkin_date so parallel requests can't both pass)
+        const previousDateFilter = user.last_checkin_date ? `eq.${encodeQueryValue(user.last_checkin_date)}` : 'is.null';
+        const updated = await supabaseFetch('users', 'PATCH',
+            { checkin_streak: newStreak, last_checkin_date: today },
+            `?id=eq.${encodeQueryValue(id)}&last_checkin_date=${previousDateFilter}`);
+        if (Array.isArray(updated) && updated.length === 0) {
+            return sendError(res, 'Already checked in today.', 409, 'already_checked_in');
+        }
+
+        // 7. Credit the reward through the ledger
+        const newBalance = await applyBalanceChange(id, reward, 'daily_checkin', today);
+
+        // 8. Achievements
+        const achievementsUnlocked = await unlockAchievements(id, { checkin_streak: newStreak });
+
+        sendSuccess(res, {
+            new_balance: newBalance,
+            actual_reward: reward,
+            checkin: getCheckInState({ checkin_streak: newStreak, last_checkin_date: today }, settings.checkin_rewards),
+            achievements_unlocked: achievementsUnlocked
+        });
+
+    } catch (error) {
+        console.error('DailyCheckIn failed:', error.message);
+        sendError(res, `Failed to check in: ${error.message}`, 500);
+    }
+}
+
+
+/**
+ * Name shown (masked) on leaderboards, from a Telegram user object.
+ */
+function getTelegramDisplayName(tgUser) {
+    if (!tgUser) {
+        return null;
+    }
+    const fullName = [tgUser.first_name, tgUser.last_name].filter(Boolean).join(' ').trim();
+    return (fullName || tgUser.username || '').slice(0, 64) || null;
+}
+
+/**
+ * Creates the user row on first contact (Mini App "register" or bot /start).
+ * Returns { user, created }; for an existing user only a changed display name is saved.
+ */
+async function registerUser(id, refBy, displayName = null) {
+    // 1. Check if user exists
+    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=id,is_banned,display_name`);
+    if (Array.isArray(users) && users.length > 0) {
+        if (displayName && users[0].display_name !== displayName) {
+            await supabaseFetch('users', 'PATCH', { display_name: displayName }, `?id=eq.${encodeQueryValue(id)}`);
+        }
+        return { user: users[0], created: false };
+    }
+
+    // 2. Validate the referrer (self-referrals, unknown/banned referrers and cycles are dropped)
+    const referrerId = await resolveValidReferrer(id, refBy);
+
+    // 3. User does not exist, create new user
+    const newUser = {
+        id,
+        balance: 0,
+        ads_watched_today: 0,
+        lifetime_ads_watched: 0,
+        spins_today: 0,
+        lifetime_spins: 0,
+        xp: 0,
+        ref_by: referrerId,
+        display_name: displayName,
+        last_activity: new Date().toISOString(),
+        is_banned: false,
+        task_completed: false, // ⬅️ NEW: Default value for the original task
+        // الأعمدة الجديدة ستحتوي على NULL بشكل افتراضي
+    };
+    await supabaseFetch('users', 'POST', newUser, '?select=id');
+
+    // 4. Referral achievements for the inviter
+    if (referrerId) {
+        const referrals = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${encodeQueryValue(referrerId)}&select=id`);
+        await unlockAchievements(referrerId, { referrals: Array.isArray(referrals) ? referrals.length : 0 });
+    }
+
+    return { user: newUser, created: true };
+}
+
+/**
+ * 1) type: "register"
+ * ⚠️ Fix: Includes task_completed: false for new users.
+ */
+async function handleRegister(req, res, body, session) {
+  const { ref_by } = body;
+  const id = session.userId;
+
+  try {
+    const { user } = await registerUser(id, ref_by, session.displayName);
+    if (user.is_banned) {
+        return sendError(res, 'User is banned.', 403, 'user_banned');
+    }
+
+    sendSuccess(res, { message: 'User registered or already exists.' });
+  } catch (error) {
+    console.error('Registration failed:', error.message);
+    sendError(res, `Registration failed: ${error.message}`, 500);
+  }
+}
+
+/**
+ * 2) type: "watchAd"
+ * ⚠️ Fix: Updates ads_limit_reached_at when the limit is hit.
+ */
+async function handleWatchAd(req, res, body, session) {
+    const { action_id } = body;
+    const id = session.userId;
+    const settings = await getSettings();
+    const reward = settings.reward_per_ad;
+
+    // 0. The ad provider must be configured (see AD_PROVIDER_CONFIG_ERROR), and the ad network must
+    //    have confirmed the impression for this action ID (see handleAdPostback)
+    if (AD_PROVIDER_CONFIG_ERROR) {
+        return sendError(res, 'Rewarded ads are temporarily unavailable.', 503, 'ad_provider_unavailable');
+    }
+    if (AD_POSTBACK_REQUIRED && action_id) {
+        try {
+            const actions = await supabaseFetch('temp_actions', 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&action_id=eq.${encodeQueryValue(action_id)}&action_type=eq.watchAd&select=ad_verified_at`);
+            if (Array.isArray(actions) && actions.length > 0 && !actions[0].ad_verified_at) {
+                return sendError(res, 'Ad view not verified yet. Please wait a moment.', 425, 'ad_not_verified');
+            }
+        } catch (error) {
+            console.error('Ad verification lookup failed:', error.message);
+            return sendError(res, 'Security validation failed.', 500);
+        }
+    }
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'watchAd')) return;
+
+    try {
+        // 2. Check and reset daily limits (per limit_reset_policies)
+        await resetDailyLimitsIfExpired(id);
+
+        // 3. Fetch current user data 
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=ads_watched_today,ads_limit_reached_at,ads_window_started_at,lifetime_ads_watched,is_banned,ref_by,xp`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+        
+        const user = users[0];
+        const referrerId = user.ref_by; 
+
+        // 4. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'user_banned');
+        }
+
+
+        // 5. Check maximum ad limit (settings + level perks)
+        const limits = getUserDailyLimits(user, settings);
+        if (user.ads_watched_today >= limits.ads) {
+            return sendError(res, `Daily ad limit (${limits.ads}) reached.`, 403, 'daily_ad_limit', { limit: limits.ads });
+        }
+
+        // 6. Calculate new values
+        const newAdsCount = user.ads_watched_today + 1;
+        const updatePayload = {
+            ads_watched_today: newAdsCount,
+            ...getCounterWindowStart('ads', user),
+            lifetime_ads_watched: (user.lifetime_ads_watched || 0) + 1,
+            last_activity: new Date().toISOString()
+        };
+
+        // 7. ⚠️ NEW LOGIC: Check if the limit is reached NOW
+        if (newAdsCount >= limits.ads) {
+            updatePayload.ads_limit_reached_at = new Date().toISOString();
+        }
+
+        // 8. Update user record
+        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${encodeQueryValue(id)}`);
+
+        // 9. Credit the reward through the ledger
+        const newBalance = await applyBalanceChange(id, reward, 'ad_reward', action_id);
+
+        // 10. Commission Call (all referral levels)
+        if (referrerId) {
+            await payReferralCommissions(id, reward, 'ad');
+        }
+
+        // 11. Achievements
+        const achievementsUnlocked = await unlockAchievements(id, { ads_watched: updatePayload.lifetime_ads_watched });
+          
+        // 12. Success
+        sendSuccess(res, {
+            new_balance: newBalance,
+            actual_reward: reward,
+            new_ads_count: newAdsCount,
+            ads_reset_at: getLimitResetTimes({ ...user, ...updatePayload }, settings).ads,
+            achievements_unlocked: achievementsUnlocked
+        });
+
+    } catch (error) {
+        console.error('WatchAd failed:', error.message);
+        sendError(res, `Failed to process ad watch: ${error.message}`, 500);
+    }
+}
+
+/**
+ * 4) type: "preSpin"
+ * Draws, counts and pays the next spin before the wheel animates.
+ * The prize is derived from HMAC-SHA256(server_seed, `${client_seed}:${spin_id}`); only the
+ * SHA-256 hash of server_seed is returned now, the seed itself is revealed by spinResult.
+ * The spin is settled here, not in spinResult, so seeing the outcome always costs a spin.
+ */
+async function handlePreSpin(req, res, body, session) {
+    const { action_id } = body;
+    const id = session.userId;
+    
+    if (!await validateAndUseActionId(res, id, action_id, 'preSpin')) return;
+
+    // Use the client's seed when provided so the outcome can't be chosen by the server alone
+    const clientSeed = typeof body.client_seed === 'string' && /^[A-Za-z0-9]{8,64}$/.test(body.client_seed)
+        ? body.client_seed
+        : crypto.randomBytes(16).toString('hex');
+
+    try {
+        // 1. Check and reset daily limits (per limit_reset_policies)
+        await resetDailyLimitsIfExpired(id);
+
+        // 2. Fetch current settings and user data
+        const settings = await getSettings();
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=balance,spins_today,spins_limit_reached_at,spins_window_started_at,lifetime_spins,is_banned,ref_by,xp`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+        const user = users[0];
+        
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'user_banned');
+        }
+
+        // 3. Check maximum spin limit (settings + level perks)
+        const limits = getUserDailyLimits(user, settings);
+        if (user.spins_today >= limits.spins) {
+            return sendError(res, `Daily spin limit (${limits.spins}) reached.`, 403, 'daily_spin_limit', { limit: limits.spins });
+        }
+
+        // 4. Draw the outcome from the seeds
+        const spinId = generateStrongId();
+        const serverSeed = generateStrongId();
+        const serverSeedHash = crypto.createHash('sha256').update(serverSeed).digest('hex');
+        const prizeIndex = pickWeightedSectorIndex(settings.spin_sectors, computeSpinRoll(serverSeed, clientSeed, spinId));
+        const sector = settings.spin_sectors[prizeIndex];
+        const prize = Number(sector.prize);
+
+        // 5. Count the spin
+        const newSpinsCount = user.spins_today + 1;
+        const updatePayload = {
+            spins_today: newSpinsCount,
+            ...getCounterWindowStart('spins', user),
+            lifetime_spins: (user.lifetime_spins || 0) + 1,
+            last_activity: new Date().toISOString()
+        };
+        if (newSpinsCount >= limits.spins) {
+            updatePayload.spins_limit_reached_at = new Date().toISOString();
+        }
+        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${encodeQueryValue(id)}`);
+
+        // 6. Store the commitment; spinResult reveals its seed
+        await supabaseFetch('spin_commitments', 'POST', {
+            spin_id: spinId,
+            user_id: id,
+            server_seed: serverSeed,
+            server_seed_hash: serverSeedHash,
+            client_seed: clientSeed,
+            prize_index: prizeIndex,
+            prize
+        }, '?select=spin_id');
+
+        // 7. Credit the prize through the ledger ("try again" sectors pay nothing)
+        const newBalance = prize > 0
+            ? await applyBalanceChange(id, prize, 'spin_reward', spinId)
+            : Number(user.balance) || 0;
+
+        // 8. Save to spin_results
+        await supabaseFetch('spin_results', 'POST',
+          { user_id: id, prize },
+          '?select=user_id');
+
+        // 9. Commission Call (all referral levels)
+        if (user.ref_by && prize > 0) {
+            await payReferralCommissions(id, prize, 'spin');
+        }
+
+        // 10. Achievements
+        const achievementsUnlocked = await unlockAchievements(id, { spins: updatePayload.lifetime_spins });
+
+        sendSuccess(res, {
+            spin_id: spinId,
+            server_seed_hash: serverSeedHash,
+            client_seed: clientSeed,
+            prize_index: prizeIndex,
+            prize,
+            sector_type: sector.type,
+            sectors: settings.spin_sectors,
+            new_balance: newBalance,
+            new_spins_count: newSpinsCount,
+            spins_reset_at: getLimitResetTimes({ ...user, ...updatePayload }, settings).spins,
+            achievements_unlocked: achievementsUnlocked
+        });
+
+    } catch (error) {
+        console.error('PreSpin failed:', error.message);
+        sendError(res, `Failed to secure pre-spin: ${error.message}`, 500);
+    }
+}
+
+
+/**
+ * 5) type: "spinResult"
+ * Reveals the server seed of a spin settled by preSpin (identified by spin_id) so the client can
+ * verify the draw, and returns the user's current balance and spin count.
+ */
+async function handleSpinResult(req, res, body, session) {
+    const { spin_id } = body; 
+    const id = session.userId;
+    
+    if (!spin_id) {
+        return sendError(res, 'Missing spin_id.', 400);
+    }
+
+    try {
+        // 1. Load the commitment created by preSpin
+        const commitments = await supabaseFetch('spin_commitments', 'GET', null,
+            `?spin_id=eq.${encodeQueryValue(spin_id)}&user_id=eq.${encodeQueryValue(id)}&select=spin_id,server_seed,server_seed_hash,client_seed,prize_index,prize,created_at,used_at`);
+        if (!Array.isArray(commitments) || commitments.length === 0) {
+            return sendError(res, 'Invalid or previously used spin.', 409, 'spin_invalid');
+        }
+        const commitment = commitments[0];
+
+        // 2. Mark the seed as revealed
+        if (!commitment.used_at) {
+            await supabaseFetch('spin_commitments', 'PATCH',
+                { used_at: new Date().toISOString() },
+                `?spin_id=eq.${encodeQueryValue(spin_id)}&used_at=is.null`);
+        }
+
+        // 3. Current balance and counter (the spin was already counted and paid by preSpin)
+        const settings = await getSettings();
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=balance,spins_today,spins_limit_reached_at,spins_window_started_at,xp`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+        const user = users[0];
+
+        // 4. Return the committed prize and reveal the seed for verification
+        sendSuccess(res, { 
+            new_balance: user.balance, 
+            actual_prize: Number(commitment.prize), 
+            prize_index: commitment.prize_index,
+            new_spins_count: user.spins_today,
+            spins_reset_at: getLimitResetTimes(user, settings).spins,
+            achievements_unlocked: [],
+            proof: {
+                spin_id: commitment.spin_id,
+                server_seed: commitment.server_seed,
+                server_seed_hash: commitment.server_seed_hash,
+                client_seed: commitment.client_seed
+            }
+        });
+
+    } catch (error) {
+        console.error('Spin result failed:', error.message);
+        sendError(res, `Failed to process spin result: ${error.message}`, 500);
+    }
+}
+
+/**
+ * 7) NEW HANDLER: type: "completeTask"
+ * ⚠️ Handles the one-time channel join reward task.
+ */
+async function handleCompleteTask(req, res, body, session) {
+    const { action_id } = body;
+    const id = session.userId;
+    const reward = (await getSettings()).task_reward;
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'completeTask')) return;
+
+    try {
+        // 2. Fetch current user data
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=is_banned,task_completed,ref_by`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+        
+        const user = users[0];
+
+        // 3. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'user_banned');
+        }
+        
+        // 4. Check if task is already completed (NOTE: This handles the original single task)
+        if (user.task_completed) {
+            return sendError(res, 'Task already completed.', 403, 'task_already_completed');
+        }
+        
+
+        // 5. 🚨 CRITICAL: Check Channel Membership using Telegram API
+        const isMember = await checkChannelMembership(id, TELEGRAM_CHANNEL_USERNAME);
+
+        if (!isMember) {
+            return sendError(res, 'User has not joined the required channel.', 400, 'task_not_joined');
+        }
+
+        // 6. Mark the task as completed, then credit the reward through the ledger
+        const updatePayload = {
+            task_completed: true, // Mark as completed
+            last_activity: new Date().toISOString()
+        };
+
+        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${encodeQueryValue(id)}`);
+
+        const newBalance = await applyBalanceChange(id, reward, 'task_reward', 'completeTask');
+
+        // 7. Commission Call (all referral levels)
+        if (user.ref_by) {
+            await payReferralCommissions(id, reward, 'task');
+        }
+          
+        // 8. Success
+        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, message: 'Task completed successfully.' });
+
+    } catch (error) {
+        console.error('CompleteTask failed:', error.message);
+        sendError(res, `Failed to complete task: ${error.message}`, 500);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🗓️ Task Availability
+// ------------------------------------------------------------------
+// A task can be claimed only while it is active (not disabled or paused), inside its starts_at/ends_at
+// window, below max_participants (counted from TASK_COMPLETIONS_TABLE) and targeted at the
+// user: min_account_age_days, languages (Telegram language_code) and referred_only.
+
+/**
+ * Completions per task id, as a Map. Missing tasks count as 0.
+ */
+async function getTaskCompletionCounts(taskIds) {
+    const counts = new Map();
+    if (taskIds.length === 0) {
+        return counts;
+    }
+    const rows = await supabaseRpc('task_completion_counts', { p_task_ids: taskIds });
+    (Array.isArray(rows) ? rows : []).forEach(row => counts.set(Number(row.task_id), Number(row.completions) || 0));
+    return counts;
+}
+
+/**
+ * Telegram language of a user (e.g. "en"), or null when Telegram didn't send one.
+ */
+function getTelegramLanguage(tgUser) {
+    return tgUser && typeof tgUser.language_code === 'string' ? tgUser.language_code.slice(0, 2).toLowerCase() : null;
+}
+
+/**
+ * Returns null when the user may take the task, otherwise { reason, code, status, message }.
+ * `user` needs id, ref_by and created_at.
+ */
+function getTaskAvailabilityError(task, user, languageCode, currentParticipants, now = Date.now()) {
+    if (task.is_active === false) {
+        return { reason: 'disabled', code: 'task_not_found', status: 404, message: 'Task not found.' };
+    }
+    if (task.is_paused) {
+        return { reason: 'paused', code: 'task_paused', status: 403, message: 'This task is paused.' };
+    }
+    if (task.starts_at && new Date(task.starts_at).getTime() > now) {
+        return { reason: 'scheduled', code: 'task_not_started', status: 403, message: 'This task has not started yet.' };
+    }
+    if (task.ends_at && new Date(task.ends_at).getTime() <= now) {
+        return { reason: 'expired', code: 'task_expired', status: 410, message: 'This task has expired.' };
+    }
+    if (task.max_participants && currentParticipants >= task.max_participants) {
+        return { reason: 'full', code: 'task_full', status: 403, message: 'Maximum user limit reached for this task.' };
+    }
+    if (task.referred_only && !user.ref_by) {
+        return { reason: 'targeting', code: 'task_invited_only', status: 403, message: 'This task is only available to invited users.' };
+    }
+    // Accounts without created_at predate the column and are treated as old enough
+    if (task.min_account_age_days && user.created_at
+        && now - new Date(user.created_at).getTime() < task.min_account_age_days * 24 * 60 * 60 * 1000) {
+        return { reason: 'targeting', code: 'task_account_too_new', status: 403, message: 'Your account is too new for this task.' };
+    }
+    if (Array.isArray(task.languages) && task.languages.length > 0 && !task.languages.includes(languageCode)) {
+        return { reason: 'targeting', code: 'task_language_unavailable', status: 403, message: 'This task is not available in your language.' };
+    }
+    return null;
+}
+
+/**
+ * getTaskAvailabilityError() for a single task, counting its completions first.
+ */
+async function checkTaskAvailability(task, user, languageCode) {
+    const counts = task.max_participants ? await getTaskCompletionCounts([task.id]) : new Map();
+    return getTaskAvailabilityError(task, user, languageCode, counts.get(Number(task.id)) || 0);
+}
+
+/**
+ * Validates the schedule, cap and targeting fields of an admin task payload. Returns an error or null.
+ */
+function validateTaskAvailabilityFields(fields) {
+    for (const key of ['starts_at', 'ends_at']) {
+        if (fields[key] !== undefined && fields[key] !== null && Number.isNaN(new Date(fields[key]).getTime())) {
+            return `${key} must be an ISO date or null.`;
+        }
+    }
+    if (fields.starts_at && fields.ends_at && new Date(fields.ends_at) <= new Date(fields.starts_at)) {
+        return 'ends_at must be after starts_at.';
+    }
+    if (fields.max_participants !== undefined && fields.max_participants !== null && !isPositiveInteger(fields.max_participants)) {
+        return 'max_participants must be a positive integer or null.';
+    }
+    if (fields.min_account_age_days !== undefined && fields.min_account_age_days !== null
+        && !(Number.isInteger(fields.min_account_age_days) && fields.min_account_age_days >= 0)) {
+        return 'min_account_age_days must be a non-negative integer or null.';
+    }
+    if (fields.languages !== undefined && fields.languages !== null
+        && !(Array.isArray(fields.languages) && fields.languages.every(code => /^[a-z]{2}$/.test(code)))) {
+        return 'languages must be a list of two-letter language codes or null.';
+    }
+    for (const key of ['is_paused', 'referred_only']) {
+        if (fields[key] !== undefined && typeof fields[key] !== 'boolean') {
+            return `${key} must be a boolean.`;
+        }
+    }
+    return null;
+}
+
+// ------------------------------------------------------------------
+// ✅ Task Verification
+// ------------------------------------------------------------------
+// Each verification type (see TASK_VERIFICATION_TYPES) has a verifier used by "claimTask".
+// manual_review has none: its proofs go through "submitTaskProof" and adminReviewTaskProof.
+
+function getTaskVerificationType(task) {
+    return task.verification_type || 'channel_join';
+}
+
+function getTaskVerificationConfig(task) {
+    return task.verification_config && typeof task.verification_config === 'object' ? task.verification_config : {};
+}
+
+/**
+ * The user's referral counts for referral_milestone tasks: { all, active }, where active referees
+ * are past referral_min_referee_ads.
+ */
+async function getReferralCounts(userId) {
+    const minAds = (await getSettings()).referral_min_referee_ads;
+    const [all, active] = await Promise.all([
+        supabaseCount('users', `?ref_by=eq.${encodeQueryValue(userId)}`),
+        supabaseCount('users', `?ref_by=eq.${encodeQueryValue(userId)}&lifetime_ads_watched=gte.${encodeQueryValue(minAds)}`)
+    ]);
+    return { all, active };
+}
+
+/**
+ * Latest link visit the user started for a task (status "started"), or null.
+ */
+async function getStartedTaskVisit(userId, taskId) {
+    const visits = await supabaseFetch(TASK_ATTEMPTS_TABLE, 'GET', null,
+        `?user_id=eq.${encodeQueryValue(userId)}&task_id=eq.${encodeQueryValue(taskId)}&status=eq.started&select=id,started_at&order=started_at.desc&limit=1`);
+    return Array.isArray(visits) && visits.length > 0 ? visits[0] : null;
+}
+
+const TASK_VERIFIERS = {
+    async channel_join(task, userId) {
+        const chat = getTaskVerificationConfig(task).chat || getTaskChannelUsername(task);
+        if (!chat) {
+            console.error(`Task ${task.id} has no channel configured for verification.`);
+            return { ok: false, status: 500, code: 'task_not_configured', message: 'Task verification is not configured.' };
+        }
+        const isMember = await checkChannelMembership(userId, chat);
+        return isMember ? { ok: true } : { ok: false, code: 'task_not_joined', message: 'User has not joined the required channel.' };
+    },
+
+    async bot_start(task, userId) {
+        const botToken = getTaskVerificationConfig(task).bot_token;
+        if (!botToken) {
+            console.error(`Task ${task.id} has no partner bot token configured.`);
+            return { ok: false, status: 500, code: 'task_not_configured', message: 'Task verification is not configured.' };
+        }
+        // A bot can only look up private chats of users who started it (and didn't block it)
+        try {
+            await telegramApi('getChat', { chat_id: userId }, botToken);
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, code: 'task_bot_not_started', message: 'User has not started the required bot.' };
+        }
+    },
+
+    async link_visit(task, userId) {
+        const minSeconds = getTaskVerificationConfig(task).min_seconds || DEFAULT_LINK_VISIT_SECONDS;
+        const visit = await getStartedTaskVisit(userId, task.id);
+        if (!visit) {
+            return { ok: false, code: 'task_visit_not_started', message: 'Please open the link first.' };
+        }
+        const remaining = Math.ceil(minSeconds - (Date.now() - new Date(visit.started_at).getTime()) / 1000);
+        if (remaining > 0) {
+            return { ok: false, status: 425, code: 'task_visit_too_short', params: { seconds: remaining }, message: `Please stay on the page for ${remaining} more seconds.` };
+        }
+        return { ok: true };
+    },
+
+    async referral_milestone(task, userId) {
+        const config = getTaskVerificationConfig(task);
+        const required = config.referrals || 1;
+        const counts = await getReferralCounts(userId);
+        const count = config.active_only === true ? counts.active : counts.all;
+        return count >= required
+            ? { ok: true }
+            : {
+                ok: false,
+                code: 'task_referrals_missing',
+                params: { required, current: count, active_only: config.active_only === true },
+                message: `You need ${required} ${config.active_only ? 'active ' : ''}referrals (you have ${count}).`
+            };
+    }
+};
+
+/**
+ * Runs the verifier for the task's type. Returns { ok } or { ok: false, status, code, params, message }.
+ */
+async function verifyTaskCompletion(task, userId) {
+    const verifier = TASK_VERIFIERS[getTaskVerificationType(task)];
+    if (!verifier) {
+        console.error(`Task ${task.id} has unsupported verification type ${task.verification_type}.`);
+        return { ok: false, status: 500, code: 'task_not_configured', message: 'Task verification is not configured.' };
+    }
+    return verifier(task, userId);
+}
+
+/**
+ * Client-facing verification details for getTasks (never includes secrets such as bot tokens).
+ * `referralCounts` comes from getReferralCounts() and is only read for referral_milestone tasks.
+ */
+function getTaskVerificationState(task, latestAttempt, referralCounts) {
+    const config = getTaskVerificationConfig(task);
+    switch (getTaskVerificationType(task)) {
+        case 'link_visit':
+            return {
+                min_seconds: config.min_seconds || DEFAULT_LINK_VISIT_SECONDS,
+                started_at: latestAttempt && latestAttempt.status === 'started' ? latestAttempt.started_at : null
+            };
+        case 'referral_milestone':
+            return {
+                required: config.referrals || 1,
+                active_only: config.active_only === true,
+                current: config.active_only === true ? referralCounts.active : referralCounts.all
+            };
+        case 'manual_review':
+            return {
+                proof_status: latestAttempt ? latestAttempt.status : null,
+                rejection_reason: latestAttempt ? latestAttempt.rejection_reason || null : null
+            };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Validates verification_type / verification_config in an admin task payload. Returns an error or null.
+ */
+function validateTaskVerificationFields(fields) {
+    if (fields.verification_type !== undefined && !TASK_VERIFICATION_TYPES.includes(fields.verification_type)) {
+        return `verification_type must be one of: ${TASK_VERIFICATION_TYPES.join(', ')}.`;
+    }
+    if (fields.verification_config !== undefined
+        && (fields.verification_config === null || typeof fields.verification_config !== 'object' || Array.isArray(fields.verification_config))) {
+        return 'verification_config must be an object.';
+    }
+    const config = fields.verification_config || {};
+    if (fields.verification_type === 'bot_start' && !config.bot_token) {
+        return 'bot_start tasks need verification_config.bot_token.';
+    }
+    if (config.min_seconds !== undefined && !isPositiveInteger(config.min_seconds)) {
+        return 'verification_config.min_seconds must be a positive integer.';
+    }
+    if (config.referrals !== undefined && !isPositiveInteger(config.referrals)) {
+        return 'verification_config.referrals must be a positive integer.';
+    }
+    return null;
+}
+
+/**
+ * Task fields as written to the audit log (partner bot tokens are redacted).
+ */
+function redactTaskFields(fields) {
+    if (!fields.verification_config || !fields.verification_config.bot_token) {
+        return fields;
+    }
+    return { ...fields, verification_config: { ...fields.verification_config, bot_token: '***' } };
+}
+
+/**
+ * Records a completed dynamic task, credits its reward through the ledger, pays referral
+ * commissions and checks task achievements. Returns { newBalance, achievementsUnlocked }.
+ */
+async function completeTaskForUser(task, userId, refBy) {
+    // 1. Record the completion and credit the reward in one transaction (see sql/task_completions.sql).
+    //    The unique (user_id, task_id) constraint rejects concurrent second claims and the task row
+    //    lock keeps max_participants exact; both surface as errors from getTaskCompletionError().
+    const newBalance = Number(await supabaseRpc('complete_task', {
+        p_user_id: userId,
+        p_task_id: task.id,
+        p_reward: task.reward,
+        p_max_participants: task.max_participants || null
+    }));
+
+    // 2. Update last_activity
+    await supabaseFetch('users', 'PATCH', { last_activity: new Date().toISOString() }, `?id=eq.${encodeQueryValue(userId)}`);
+
+    // 3. Commission Call (all referral levels)
+    if (refBy) {
+        await payReferralCommissions(userId, task.reward, 'task');
+    }
+
+    // 4. Achievements
+    const completions = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(userId)}&select=task_id`);
+    const achievementsUnlocked = await unlockAchievements(userId, { tasks_completed: Array.isArray(completions) ? completions.length : 0 });
+
+    return { newBalance, achievementsUnlocked };
+}
+
+/**
+ * Loads an available task for startTask/submitTaskProof and checks it has the expected type.
+ * Sends the error response and returns null when it can't be used.
+ */
+async function loadTaskForAction(res, body, session, expectedType) {
+    const userId = session.userId;
+    const taskId = parseInt(body.task_id);
+    if (!taskId) {
+        sendError(res, 'Missing task_id.', 400);
+        return null;
+    }
+
+    const tasks = await supabaseFetch('tasks', 'GET', null, `?id=eq.${encodeQueryValue(taskId)}&select=${TASK_COLUMNS}`);
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+        sendError(res, 'Task not found.', 404, 'task_not_found');
+        return null;
+    }
+    if (getTaskVerificationType(tasks[0]) !== expectedType) {
+        sendError(res, `This action is only available for ${expectedType} tasks.`, 400, 'task_wrong_type');
+        return null;
+    }
+
+    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(userId)}&select=id,ref_by,created_at`);
+    const unavailable = await checkTaskAvailability(tasks[0], Array.isArray(users) && users[0] ? users[0] : { id: userId }, session.languageCode);
+    if (unavailable) {
+        sendError(res, unavailable.message, unavailable.status, unavailable.code);
+        return null;
+    }
+
+    const completed = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(userId)}&task_id=eq.${encodeQueryValue(taskId)}&select=task_id`);
+    if (Array.isArray(completed) && completed.length > 0) {
+        sendError(res, 'Task already completed.', 403, 'task_already_completed');
+        return null;
+    }
+    return tasks[0];
+}
+
+/**
+ * NEW HANDLER: type: "startTask"
+ * Starts the dwell timer of a link_visit task (the client opens the link right after).
+ */
+async function handleStartTask(req, res, body, session) {
+    const id = session.userId;
+    const taskId = parseInt(body.task_id);
+
+    try {
+        // 1. Load the task
+        const task = await loadTaskForAction(res, body, session, 'link_visit');
+        if (!task) return;
+
+        // 2. Keep an already running visit, otherwise start one
+        let visit = await getStartedTaskVisit(id, taskId);
+        if (!visit) {
+            const created = await supabaseFetch(TASK_ATTEMPTS_TABLE, 'POST',
+                { user_id: id, task_id: taskId, status: 'started', started_at: new Date().toISOString() },
+                '?select=id,started_at');
+            visit = Array.isArray(created) ? created[0] : null;
+        }
+
+        sendSuccess(res, {
+            task_id: taskId,
+            started_at: visit ? visit.started_at : new Date().toISOString(),
+            min_seconds: getTaskVerificationConfig(task).min_seconds || DEFAULT_LINK_VISIT_SECONDS
+        });
+    } catch (error) {
+        console.error('StartTask failed:', error.message);
+        sendError(res, `Failed to start task: ${error.message}`, 500);
+    }
+}
+
+/**
+ * NEW HANDLER: type: "submitTaskProof"
+ * Stores a proof (http(s) URL or data:image screenshot) for a manual_review task.
+ */
+async function handleSubmitTaskProof(req, res, body, session) {
+    const id = session.userId;
+    const taskId = parseInt(body.task_id);
+    const proof = typeof body.proof === 'string' ? body.proof.trim() : '';
+
+    // 1. Validate the proof format and size
+    const isUrl = /^https?:\/\/\S+$/i.test(proof);
+    const isScreenshot = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/.test(proof);
+    if (!isUrl && !isScreenshot) {
+        return sendError(res, 'Proof must be a link or a PNG/JPEG/WebP screenshot.', 400, 'proof_invalid');
+    }
+    if (proof.length > MAX_TASK_PROOF_LENGTH) {
+        return sendError(res, 'Screenshot is too large. Please send a smaller image.', 413, 'proof_too_large');
+    }
+
+    try {
+        // 2. Load the task
+        const task = await loadTaskForAction(res, body, session, 'manual_review');
+        if (!task) return;
+
+        // 3. One proof in review at a time
+        const pending = await supabaseFetch(TASK_ATTEMPTS_TABLE, 'GET', null,
+            `?user_id=eq.${encodeQueryValue(id)}&task_id=eq.${encodeQueryValue(taskId)}&status=eq.submitted&select=id&limit=1`);
+        if (Array.isArray(pending) && pending.length > 0) {
+            return sendError(res, 'Your proof for this task is already being reviewed.', 409, 'proof_already_submitted');
+        }
+
+        // 4. Store it for review
+        await supabaseFetch(TASK_ATTEMPTS_TABLE, 'POST',
+            { user_id: id, task_id: taskId, status: 'submitted', proof, started_at: new Date().toISOString() },
+            '?select=id');
+
+        sendSuccess(res, { task_id: taskId, proof_status: 'submitted' });
+    } catch (error) {
+        console.error('SubmitTaskProof failed:', error.message);
+        sendError(res, `Failed to submit proof: ${error.message}`, 500);
+    }
+}
+
+/**
+ * Resolves the Telegram channel a dynamic task must be verified against.
+ * Uses the task's own channel_username, falling back to a t.me link.
+ */
+function getTaskChannelUsername(task) {
+    if (task.channel_username) {
+        return task.channel_username;
+    }
+    const match = typeof task.link === 'string' ? task.link.match(/t\.me\/([A-Za-z0-9_]{4,})\/?$/) : null;
+    return match ? `@${match[1]}` : null;
+}
+
+/**
+ * The API error for a complete_task failure a client can act on, or null.
+ */
+function getTaskCompletionError(error) {
+    if (error.message.includes('task_already_completed')) {
+        return { message: 'Task already completed.', status: 403, code: 'task_already_completed' };
+    }
+    if (error.message.includes('task_full')) {
+        return { message: 'Maximum user limit reached for this task.', status: 403, code: 'task_full' };
+    }
+    return null;
+}
+
+/**
+ * 8) NEW HANDLER: type: "claimTask"
+ * Claims the reward of a dynamic task loaded from the tasks table.
+ */
+async function handleClaimTask(req, res, body, session) {
+    const { task_id } = body;
+    const id = session.userId;
+    const taskId = parseInt(task_id);
+
+    if (!taskId) {
+        return sendError(res, 'Missing task_id.', 400);
+    }
+
+    try {
+        // 1. Load the task row
+        const tasks = await supabaseFetch('tasks', 'GET', null, `?id=eq.${encodeQueryValue(taskId)}&select=${TASK_COLUMNS}`);
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return sendError(res, 'Task not found.', 404, 'task_not_found');
+        }
+        const task = tasks[0];
+
+        // Manually reviewed tasks are paid when an operator approves the proof
+        if (getTaskVerificationType(task) === 'manual_review') {
+            return sendError(res, 'This task is reviewed manually. Please submit your proof instead.', 400, 'task_manual_review');
+        }
+
+        // 2. Fetch current user data
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=id,is_banned,ref_by,created_at`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+        const user = users[0];
+
+        // 3. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'user_banned');
+        }
+
+        // 4. Check if this task is already completed by the user
+        const existing = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${encodeQueryValue(id)}&task_id=eq.${encodeQueryValue(taskId)}&select=task_id`);
+        if (Array.isArray(existing) && existing.length > 0) {
+            return sendError(res, 'Task already completed.', 403, 'task_already_completed');
+        }
+
+        // 5. Enforce schedule, pause state, max_participants and targeting
+        const unavailable = await checkTaskAvailability(task, user, session.languageCode);
+        if (unavailable) {
+            return sendError(res, unavailable.message, unavailable.status, unavailable.code);
+        }
+
+        // 6. Verify the task with its own configuration (never client-supplied values)
+        const verification = await verifyTaskCompletion(task, id);
+        if (!verification.ok) {
+            return sendError(res, verification.message, verification.status || 400, verification.code, verification.params);
+        }
+
+        // 7. Record the completion, credit the reward and pay commissions
+        const { newBalance, achievementsUnlocked } = await completeTaskForUser(task, id, user.ref_by);
+
+        // 8. Success
+        sendSuccess(res, {
+            new_balance: newBalance,
+            actual_reward: task.reward,
+            task_id: taskId,
+            achievements_unlocked: achievementsUnlocked,
+            message: 'Task completed successfully.'
+        });
+
+    } catch (error) {
+        const completionError = getTaskCompletionError(error);
+        if (completionError) {
+            return sendError(res, completionError.message, completionError.status, completionError.code);
+        }
+        console.error('ClaimTask failed:', error.message);
+        sendError(res, `Failed to claim task: ${error.message}`, 500);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 💸 Withdrawals
+// ------------------------------------------------------------------
+
+/**
+ * Validates the withdrawal_methods setting: known methods only, each with a positive
+ * minimum and a non-negative fee below that minimum.
+ */
+function isValidWithdrawalMethods(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const methods = Object.keys(value);
+    return methods.length >= 1 && methods.every(method => {
+        const config = value[method];
+        return WITHDRAWAL_METHODS[method] !== undefined
+            && config && isPositiveNumber(config.min_amount)
+            && typeof config.fee === 'number' && config.fee >= 0 && config.fee < config.min_amount;
+    });
+}
+
+/**
+ * Moves a withdrawal to a new status. The update is guarded by the current status, so two
+ * concurrent requests can't both act on it. Rejected and cancelled withdrawals are refunded.
+ * Returns { changed, user_balance }; changed is false if another request got there first.
+ */
+async function transitionWithdrawal(withdrawal, newStatus, fields = {}) {
+    // 1. Update the status only if it hasn't changed since it was read
+    const updated = await supabaseFetch('withdrawals', 'PATCH',
+        { status: newStatus, updated_at: new Date().toISOString(), ...fields },
+        `?id=eq.${encodeQueryValue(withdrawal.id)}&status=eq.${encodeQueryValue(withdrawal.status)}`);
+    if (Array.isArray(updated) && updated.length === 0) {
+        return { changed: false, user_balance: null };
+    }
+
+    // 2. Refund the full amount (fee included) when the payout won't happen
+    let userBalance = null;
+    if (REFUNDED_WITHDRAWAL_STATUSES.includes(newStatus)) {
+        userBalance = await applyBalanceChange(withdrawal.user_id, withdrawal.amount, 'withdrawal_refund', withdrawal.id);
+    }
+
+    return { changed: true, user_balance: userBalance };
+}
+
+/**
+ * 6) type: "withdraw"
+ * Debits the full amount; the user receives the amount minus the method's fee.
+ */
+async function handleWithdraw(req, res, body, session) {
+    const { method, amount, action_id } = body;
+    const id = session.userId;
+    const withdrawalAmount = parseFloat(amount);
+    const address = typeof body.address === 'string' ? body.address.trim() : '';
+    const settings = await getSettings();
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
+
+    // 2. Validate the method, address format and minimum
+    const methodInfo = WITHDRAWAL_METHODS[method];
+    const methodSettings = settings.withdrawal_methods[method];
+    if (!methodInfo || !methodSettings) {
+        return sendError(res, 'Unsupported withdrawal method.', 400, 'withdraw_method_unsupported');
+    }
+    if (!methodInfo.address_pattern.test(address)) {
+        return sendError(res, `Invalid ${methodInfo.label}.`, 400, 'withdraw_address_invalid', { method });
+    }
+
+    const minWithdraw = Math.max(settings.min_withdraw, methodSettings.min_amount);
+    if (!(withdrawalAmount >= minWithdraw)) {
+        return sendError(res, `Minimum withdrawal amount is ${minWithdraw} SHIB.`, 400, 'withdraw_below_minimum', { min: minWithdraw });
+    }
+    const fee = methodSettings.fee;
+
+    try {
+        // 3. Fetch current user balance and banned status
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(id)}&select=balance,is_banned`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
+        }
+
+        const user = users[0];
+
+        // 4. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'user_banned');
+        }
+
+        // 5. Only one open withdrawal per user
+        const openWithdrawals = await supabaseFetch('withdrawals', 'GET', null,
+            `?user_id=eq.${encodeQueryValue(id)}&status=in.(${OPEN_WITHDRAWAL_STATUSES.map(encodeQueryValue).join(',')})&select=id&limit=1`);
+        if (Array.isArray(openWithdrawals) && openWithdrawals.length > 0) {
+            return sendError(res, 'You already have a withdrawal in progress.', 409, 'withdraw_in_progress');
+        }
+
+        // 6. Anti-fraud checks (flagged users' withdrawals are held for review)
+        const fraudStatus = await assessWithdrawalRisk(id, address);
+        if (fraudStatus === 'soft_banned') {
+            return sendError(res, 'Your account is under review. Earning and withdrawals are suspended.', 403, 'account_under_review');
+        }
+
+        // 7. Check sufficient balance
+        if (user.balance < withdrawalAmount) {
+            return sendError(res, 'Insufficient balance.', 400, 'insufficient_balance');
+        }
+
+        // 8. Debit the balance through the ledger (the RPC re-checks the balance atomically)
+        let newBalance;
+        try {
+            newBalance = await applyBalanceChange(id, -withdrawalAmount, 'withdrawal', action_id);
+        } catch (error) {
+            if (error.message.includes('insufficient_balance')) {
+                return sendError(res, 'Insufficient balance.', 400, 'insufficient_balance');
+            }
+            throw error;
+        }
+
+        // 9. Update last_activity
+        await supabaseFetch('users', 'PATCH',
+          { last_activity: new Date().toISOString() },
+          `?id=eq.${encodeQueryValue(id)}`);
+
+        // 10. Record the withdrawal request (refund the debit if the insert fails)
+        const withdrawal = {
+            user_id: id,
+            amount: withdrawalAmount,
+            fee: fee,
+            net_amount: withdrawalAmount - fee,
+            method: method,
+            address: address,
+            status: fraudStatus === 'ok' ? 'pending' : 'on_hold'
+        };
+        let inserted;
+        try {
+            inserted = await supabaseFetch('withdrawals', 'POST', withdrawal, '?select=id,created_at');
+        } catch (error) {
+            newBalance = await applyBalanceChange(id, withdrawalAmount, 'withdrawal_refund', action_id);
+            throw error;
+        }
+
+        // 11. Success
+        const row = Array.isArray(inserted) && inserted.length > 0 ? inserted[0] : {};
+        sendSuccess(res, { new_balance: newBalance, withdrawal: { ...withdrawal, ...row } });
+
+    } catch (error) {
+        console.error('Withdrawal failed:', error.message);
+        sendError(res, `Withdrawal failed: ${error.message}`, 500);
+    }
+}
+
+/**
+ * NEW HANDLER: type: "cancelWithdrawal"
+ * Lets a user withdraw a still-pending request and get the amount back.
+ */
+async function handleCancelWithdrawal(req, res, body, session) {
+    const id = session.userId;
+    const withdrawalId = parseInt(body.withdrawal_id);
+
+    if (!withdrawalId) {
+        return sendError(res, 'Missing withdrawal_id.', 400);
+    }
+
+    try {
+        // 1. Load the user's own withdrawal
+        const withdrawals = await supabaseFetch('withdrawals', 'GET', null, `?id=eq.${encodeQueryValue(withdrawalId)}&user_id=eq.${encodeQueryValue(id)}&select=id,user_id,amount,status`);
+        if (!Array.isArray(withdrawals) || withdrawals.length === 0) {
+            return sendError(res, 'Withdrawal not found.', 404, 'withdrawal_not_found');
+        }
+        const withdrawal = withdrawals[0];
 
-    const urlParams = new URLSearchParams(initData);
-    const hash = urlParams.get('hash');
-    urlParams.delete('hash');
+        // 2. Only pending requests can be cancelled (processing ones may already be paid out)
+        if (withdrawal.status !== 'pending') {
+            return sendError(res, `Withdrawal is already ${withdrawal.status} and can no longer be cancelled.`, 409, 'withdrawal_not_cancellable', { status: withdrawal.status });
+        }
 
-    const dataCheckString = Array.from(urlParams.entries())
-        .map(([key, value]) => `${key}=${value}`)
-        .sort()
-        .join('\n');
+        // 3. Cancel and refund
+        const result = await transitionWithdrawal(withdrawal, 'cancelled');
+        if (!result.changed) {
+            return sendError(res, 'Withdrawal was modified by another request.', 409, 'withdrawal_conflict');
+        }
 
-    const secretKey = crypto.createHmac('sha256', 'WebAppData')
-        .update(BOT_TOKEN)
-        .digest();
+        sendSuccess(res, { withdrawal_id: withdrawalId, status: 'cancelled', new_balance: result.user_balance });
 
-    const calculatedHash = crypto.createHmac('sha256', secretKey)
-        .update(dataCheckString)
-        .digest('hex');
+    } catch (error) {
+        console.error('CancelWithdrawal failed:', error.message);
+        sendError(res, `Failed to cancel withdrawal: ${error.message}`, 500);
+    }
+}
 
-    if (calculatedHash !== hash) {
-        console.warn(`Security Check Failed: Hash mismatch.`);
+
+// ------------------------------------------------------------------
+// 📺 Rewarded Ad Postbacks
+// ------------------------------------------------------------------
+// The ad network calls GET /api/?ad_postback=<provider>&... once a rewarded ad was really watched.
+// The postback marks the user's pending watchAd action ID as verified; handleWatchAd only credits
+// REWARD_PER_AD for verified action IDs. Parameter names must match the placeholders configured
+// in the provider's reward URL.
+// Every postback must carry the provider's impression id: it is claimed once in ad_impressions
+// (unique per provider, see sql/ad_impressions.sql), so the same callback can't be counted twice.
+
+/**
+ * Checks a `secret` query parameter against the provider's configured token.
+ * Monetag doesn't sign its postbacks (the reward URL only supports value macros, no signature or
+ * HMAC of the parameters), so this static token is all that authenticates them: anyone who sees
+ * the URL can send it again with a new event_id and verify one of their own pending watchAd action
+ * IDs. Keep the URL out of client code and logs, and rotate MONETAG_POSTBACK_SECRET if it leaks.
+ */
+function verifyPostbackToken(params, secret) {
+    const provided = params.get('secret');
+    if (!secret || !provided) {
         return false;
     }
+    const expected = Buffer.from(secret);
+    const actual = Buffer.from(provided);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
 
-    const authDateParam = urlParams.get('auth_date');
-    if (!authDateParam) {
-        console.warn('Security Check Failed: auth_date is missing.');
-        return false;
+// postbackRequired: default for AD_POSTBACK_REQUIRED; canSendPostbacks: whether postbacks can be
+// verified with the current environment, and setup: how to fix it when they can't.
+const AD_PROVIDERS = {
+    // Postback: https://<host>/api/?ad_postback=monetag&secret=<MONETAG_POSTBACK_SECRET>&telegram_id={telegram_id}&ymid={ymid}&event_id={event_id}
+    monetag: {
+        userParam: 'telegram_id',
+        actionParam: 'ymid',
+        impressionParam: 'event_id',
+        postbackRequired: true,
+        canSendPostbacks: () => !!process.env.MONETAG_POSTBACK_SECRET,
+        setup: 'set MONETAG_POSTBACK_SECRET',
+        verify: params => verifyPostbackToken(params, process.env.MONETAG_POSTBACK_SECRET)
+    },
+    // Local testing only (AD_MOCK_ENABLED=true), e.g.
+    // curl "http://localhost:3000/api/?ad_postback=mock&user_id=<id>&action_id=<action id>&impression_id=<any unique id>"
+    mock: {
+        userParam: 'user_id',
+        actionParam: 'action_id',
+        impressionParam: 'impression_id',
+        postbackRequired: false,
+        canSendPostbacks: () => AD_MOCK_ENABLED,
+        setup: 'set AD_MOCK_ENABLED=true or AD_POSTBACK_REQUIRED=false',
+        verify: () => AD_MOCK_ENABLED
     }
+};
 
-    const authDate = parseInt(authDateParam) * 1000;
-    const currentTime = Date.now();
-    const expirationTime = 1200 * 1000; // 20 minutes limit
+const AD_POSTBACK_REQUIRED = process.env.AD_POSTBACK_REQUIRED
+    ? process.env.AD_POSTBACK_REQUIRED !== 'false'
+    : !AD_PROVIDERS[AD_PROVIDER] || AD_PROVIDERS[AD_PROVIDER].postbackRequired;
 
-    if (currentTime - authDate > expirationTime) {
-        console.warn(`Security Check Failed: Data expired.`);
-        return false;
+/**
+ * Why watchAd can't pay out with the configured provider, or null if it can.
+ */
+function getAdProviderConfigError() {
+    const provider = AD_PROVIDERS[AD_PROVIDER];
+    if (!provider) {
+        return `Unknown AD_PROVIDER "${AD_PROVIDER}" (supported: ${Object.keys(AD_PROVIDERS).join(', ')}).`;
+    }
+    if (AD_POSTBACK_REQUIRED && !provider.canSendPostbacks()) {
+        return `AD_PROVIDER=${AD_PROVIDER} requires verified postbacks: ${provider.setup}.`;
     }
+    return null;
+}
 
-    return true;
+// A misconfigured provider only disables watchAd (503), not the rest of the API
+const AD_PROVIDER_CONFIG_ERROR = getAdProviderConfigError();
+if (AD_PROVIDER_CONFIG_ERROR) {
+    console.error(`Rewarded ads are disabled: ${AD_PROVIDER_CONFIG_ERROR}`);
 }
 
-// ------------------------------------------------------------------
-// 🔑 Commission Helper Function (No change)
-// ------------------------------------------------------------------
 /**
- * Processes the commission for the referrer and updates their balance.
+ * HANDLER: GET /api/?ad_postback=<provider>
+ * Verifies a provider's reward callback and marks the matching watchAd action ID as verified.
  */
-async function processCommission(referrerId, refereeId, sourceReward) {
-    // 1. Calculate commission
-    const commissionAmount = sourceReward * REFERRAL_COMMISSION_RATE; 
-    
-    if (commissionAmount < 0.000001) { 
-        console.log(`Commission too small (${commissionAmount}). Aborted for referee ${refereeId}.`);
-        return { ok: false, error: 'Commission amount is effectively zero.' };
+async function handleAdPostback(req, res, params) {
+    const providerName = params.get('ad_postback');
+    const provider = AD_PROVIDERS[providerName];
+
+    if (!provider) {
+        return sendError(res, `Unknown ad provider: ${providerName}`, 404);
+    }
+
+    // 1. Verify the callback really comes from the provider
+    if (!provider.verify(params)) {
+        console.warn(`Ad postback rejected: invalid signature from ${providerName}.`);
+        return sendError(res, 'Invalid postback signature.', 401);
+    }
+
+    const userId = parseInt(params.get(provider.userParam));
+    const actionId = params.get(provider.actionParam);
+    const impressionId = params.get(provider.impressionParam);
+
+    if (!userId || !actionId || !impressionId) {
+        return sendError(res, 'Missing user id, action id or impression id in postback.', 400);
     }
 
     try {
-        // 2. Fetch referrer's current balance and status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${referrerId}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0 || users[0].is_banned) {
-             console.log(`Referrer ${referrerId} not found or banned. Commission aborted.`);
-             return { ok: false, error: 'Referrer not found or banned, commission aborted.' };
+        // 2. Find the pending (unverified, unexpired) watchAd action ID
+        const actions = await supabaseFetch('temp_actions', 'GET', null,
+            `?user_id=eq.${encodeQueryValue(userId)}&action_type=eq.watchAd&action_id=eq.${encodeQueryValue(actionId)}&ad_verified_at=is.null&select=id,created_at&limit=1`);
+        if (!Array.isArray(actions) || actions.length === 0 || Date.now() - new Date(actions[0].created_at).getTime() > ACTION_ID_EXPIRY_MS) {
+            return sendError(res, 'No pending ad action for this user.', 404);
         }
-        
-        // 3. Update balance: newBalance will now include the decimal commission
-        const newBalance = users[0].balance + commissionAmount;
-        
-        // 4. Update referrer balance
-        await supabaseFetch('users', 'PATCH', { balance: newBalance }, `?id=eq.${referrerId}`); 
 
-        // 5. Add record to commission_history
-        await supabaseFetch('commission_history', 'POST', { referrer_id: referrerId, referee_id: refereeId, amount: commissionAmount, source_reward: sourceReward }, '?select=referrer_id');
-        
-        return { ok: true, new_referrer_balance: newBalance };
-    
+        // 3. Claim the impression (the primary key rejects replays and provider retries)
+        try {
+            await supabaseFetch('ad_impressions', 'POST',
+                { id: `${providerName}:${impressionId}`, provider: providerName, impression_id: impressionId, user_id: userId, action_id: actionId },
+                '?select=id');
+        } catch (error) {
+            if (error.message.includes('duplicate key')) {
+                return sendSuccess(res, { message: 'Impression already processed.' });
+            }
+            throw error;
+        }
+
+        // 4. Mark the action ID verified
+        await supabaseFetch('temp_actions', 'PATCH',
+            { ad_verified_at: new Date().toISOString(), ad_provider: providerName },
+            `?id=eq.${encodeQueryValue(actions[0].id)}&ad_verified_at=is.null`);
+
+        sendSuccess(res, { message: 'Ad impression verified.' });
+
     } catch (error) {
-        console.error('Commission failed:', error.message);
-        return { ok: false, error: `Commission failed: ${error.message}` };
+        console.error('Ad postback failed:', error.message);
+        sendError(res, `Failed to process ad postback: ${error.message}`, 500);
     }
 }
 
 
 // ------------------------------------------------------------------
-// 🔒 Action ID Security System (No change)
+// 🛡️ Admin API
 // ------------------------------------------------------------------
 
 /**
- * Generates a strong, random ID for the client to use only once.
+ * Authenticates an admin request.
+ * Accepts either the ADMIN_SECRET (x-admin-secret header) or a valid initData
+ * whose Telegram user id is listed in ADMIN_TELEGRAM_IDS.
+ * Returns the admin identifier used in the audit log, or null.
  */
-function generateStrongId() {
-    return crypto.randomBytes(32).toString('hex');
+function authenticateAdmin(req, body) {
+    const providedSecret = req.headers['x-admin-secret'];
+    if (ADMIN_SECRET && typeof providedSecret === 'string') {
+        const expected = Buffer.from(ADMIN_SECRET);
+        const provided = Buffer.from(providedSecret);
+        if (expected.length === provided.length && crypto.timingSafeEqual(expected, provided)) {
+            return 'secret';
+        }
+    }
+
+    if (body.initData && validateInitData(body.initData)) {
+        const tgUser = getInitDataUser(body.initData);
+        if (tgUser && ADMIN_TELEGRAM_IDS.includes(tgUser.id)) {
+            return `tg:${tgUser.id}`;
+        }
+    }
+
+    return null;
 }
 
 /**
- * HANDLER: type: "generateActionId"
- * The client requests an action ID before starting a critical action (ad/spin/withdraw).
+ * Writes an entry to the admin audit table. Failures are logged but never block the action.
  */
-async function handleGenerateActionId(req, res, body) {
-    const { user_id, action_type } = body;
-    const id = parseInt(user_id);
-    
-    if (!action_type) {
-        return sendError(res, 'Missing action_type.', 400);
-    }
-    
-    // Check if the user already has an unexpired ID for this action type
+async function writeAdminAudit(adminId, action, targetType, targetId, details = {}) {
     try {
-        const existingIds = await supabaseFetch('temp_actions', 'GET', null, `?user_id=eq.${id}&action_type=eq.${action_type}&select=action_id,created_at`);
-        
-        if (Array.isArray(existingIds) && existingIds.length > 0) {
-            const lastIdTime = new Date(existingIds[0].created_at).getTime();
-            if (Date.now() - lastIdTime < ACTION_ID_EXPIRY_MS) {
-                 // If the existing ID is still valid, return it to prevent spamming the table
-                return sendSuccess(res, { action_id: existingIds[0].action_id });
-            } else {
-                 // Clean up expired ID before creating a new one
-                 await supabaseFetch('temp_actions', 'DELETE', null, `?user_id=eq.${id}&action_type=eq.${action_type}`);
-            }
-        }
-    } catch(e) {
-        console.warn('Error checking existing temp_actions:', e.message);
+        await supabaseFetch(ADMIN_AUDIT_TABLE, 'POST',
+            { admin_id: adminId, action, target_type: targetType, target_id: String(targetId), details },
+            '?select=id');
+    } catch (error) {
+        console.error(`Failed to write admin audit entry (${action}):`, error.message);
     }
-    
-    // Generate and save the new ID
-    const newActionId = generateStrongId();
-    
+}
+
+/**
+ * Picks only the editable task columns from an admin payload.
+ */
+function pickTaskFields(source = {}) {
+    const fields = {};
+    ADMIN_TASK_FIELDS.forEach(key => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+    });
+    return fields;
+}
+
+/**
+ * ADMIN HANDLER: type: "adminListWithdrawals"
+ */
+async function handleAdminListWithdrawals(req, res, body) {
+    const { status } = body;
+    const limit = Math.min(parseInt(body.limit) || 50, 200);
+    const statusFilter = status ? `status=eq.${encodeQueryValue(status)}&` : '';
+
     try {
-        await supabaseFetch('temp_actions', 'POST',
-            { user_id: id, action_id: newActionId, action_type: action_type },
-            '?select=action_id');
-            
-        sendSuccess(res, { action_id: newActionId });
+        const withdrawals = await supabaseFetch('withdrawals', 'GET', null, `?${statusFilter}select=*&order=created_at.desc&limit=${encodeQueryValue(limit)}`);
+        sendSuccess(res, { withdrawals: Array.isArray(withdrawals) ? withdrawals : [] });
     } catch (error) {
-        console.error('Failed to generate and save action ID:', error.message);
-        sendError(res, 'Failed to generate security token.', 500);
+        console.error('AdminListWithdrawals failed:', error.message);
+        sendError(res, `Failed to list withdrawals: ${error.message}`, 500);
     }
 }
 
+/**
+ * Bot message sent to the user when an admin moves their withdrawal to a new status.
+ */
+function getWithdrawalNotice(withdrawal, newStatus, fields) {
+    const amount = `${Number(withdrawal.amount).toLocaleString('en-US')} SHIB`;
+    switch (newStatus) {
+        case 'pending':
+            return `👍 Your withdrawal of ${amount} passed review and is queued for payout.`;
+        case 'processing':
+            return `💸 Your withdrawal of ${amount} is being processed.`;
+        case 'completed':
+            return `✅ Your withdrawal of ${amount} has been sent.\nTx: ${fields.tx_hash}`;
+        case 'rejected':
+            return `❌ Your withdrawal of ${amount} was rejected and refunded to your balance.\nReason: ${fields.rejection_reason}`;
+        default:
+            return `Your withdrawal of ${amount} is now ${newStatus}.`;
+    }
+}
 
 /**
- * Middleware: Checks if the Action ID is valid and then deletes it.
+ * ADMIN HANDLER: type: "adminProcessWithdrawal" / "adminCompleteWithdrawal" / "adminRejectWithdrawal" / "adminReleaseWithdrawal"
+ * Releasing moves an on_hold withdrawal back to pending. Completing requires the payout tx_hash, rejecting requires a reason (and refunds the user).
  */
-async function validateAndUseActionId(res, userId, actionId, actionType) {
-    if (!actionId) {
-        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400);
-        return false;
+async function handleAdminUpdateWithdrawal(req, res, body, adminId, newStatus) {
+    const withdrawalId = parseInt(body.withdrawal_id);
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    const txHash = typeof body.tx_hash === 'string' ? body.tx_hash.trim() : '';
+
+    if (!withdrawalId) {
+        return sendError(res, 'Missing withdrawal_id.', 400);
     }
-    
+    if (newStatus === 'rejected' && !reason) {
+        return sendError(res, 'A reason is required to reject a withdrawal.', 400);
+    }
+    if (newStatus === 'completed' && !txHash) {
+        return sendError(res, 'A tx_hash is required to complete a withdrawal.', 400);
+    }
+
     try {
-        const query = `?user_id=eq.${userId}&action_id=eq.${actionId}&action_type=eq.${actionType}&select=id,created_at`;
-        const records = await supabaseFetch('temp_actions', 'GET', null, query);
-        
-        if (!Array.isArray(records) || records.length === 0) {
-            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409); 
-            return false;
+        // 1. Load the withdrawal and make sure the status change is allowed
+        const withdrawals = await supabaseFetch('withdrawals', 'GET', null, `?id=eq.${encodeQueryValue(withdrawalId)}&select=id,user_id,amount,status`);
+        if (!Array.isArray(withdrawals) || withdrawals.length === 0) {
+            return sendError(res, 'Withdrawal not found.', 404, 'withdrawal_not_found');
         }
-        
-        const record = records[0];
-        const recordTime = new Date(record.created_at).getTime();
-        
-        // 1. Check Expiration (60 seconds)
-        if (Date.now() - recordTime > ACTION_ID_EXPIRY_MS) {
-            await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
-            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408); 
-            return false;
+        const withdrawal = withdrawals[0];
+
+        if (!(WITHDRAWAL_TRANSITIONS[withdrawal.status] || []).includes(newStatus)) {
+            return sendError(res, `Cannot move a ${withdrawal.status} withdrawal to ${newStatus}.`, 409);
         }
 
-        // 2. Use the token: Delete it to prevent reuse
-        await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
+        // 2. Update the status (refunds on rejection)
+        const fields = {};
+        if (newStatus === 'rejected') fields.rejection_reason = reason;
+        if (newStatus === 'completed') fields.tx_hash = txHash;
 
-        return true;
+        const result = await transitionWithdrawal(withdrawal, newStatus, fields);
+        if (!result.changed) {
+            return sendError(res, 'Withdrawal was modified by another request.', 409, 'withdrawal_conflict');
+        }
+
+        // 3. Audit
+        const auditActions = { pending: 'release_withdrawal', processing: 'process_withdrawal', completed: 'complete_withdrawal', rejected: 'reject_withdrawal' };
+        await writeAdminAudit(adminId, auditActions[newStatus], 'withdrawal', withdrawalId,
+            { user_id: withdrawal.user_id, amount: withdrawal.amount, from_status: withdrawal.status, ...fields });
+
+        // 4. Let the user know through the bot
+        await notifyUser(withdrawal.user_id, getWithdrawalNotice(withdrawal, newStatus, fields));
+
+        // 5. Withdrawal achievements (counted on completion so cancelled requests don't qualify)
+        if (newStatus === 'completed') {
+            const completed = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${encodeQueryValue(withdrawal.user_id)}&status=eq.completed&select=id`);
+            await unlockAchievements(withdrawal.user_id, { withdrawals_completed: Array.isArray(completed) ? completed.length : 0 });
+        }
+
+        sendSuccess(res, { withdrawal_id: withdrawalId, status: newStatus, user_balance: result.user_balance });
 
     } catch (error) {
-        console.error(`Error validating Action ID ${actionId}:`, error.message);
-        sendError(res, 'Security validation failed.', 500);
-        return false;
+        console.error('AdminUpdateWithdrawal failed:', error.message);
+        sendError(res, `Failed to update withdrawal: ${error.message}`, 500);
     }
 }
 
-// --- API Handlers ---
-
 /**
- * HANDLER: type: "getUserData"
- * ⚠️ Fix: Now selects new limit columns and task_completed.
+ * ADMIN HANDLER: type: "adminBanUser" / "adminUnbanUser"
  */
-async function handleGetUserData(req, res, body) {
-    const { user_id } = body;
-    if (!user_id) {
-        return sendError(res, 'Missing user_id for data fetch.');
+async function handleAdminSetBan(req, res, body, adminId, isBanned) {
+    const targetId = parseInt(body.target_user_id);
+    if (!targetId) {
+        return sendError(res, 'Missing target_user_id.', 400);
     }
-    const id = parseInt(user_id);
 
     try {
-        // 1. Check and reset daily limits (if 6 hours passed since limit reached)
-        await resetDailyLimitsIfExpired(id);
-
-        // 2. Fetch user data (including new limit columns AND task_completed)
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,spins_today,is_banned,ref_by,ads_limit_reached_at,spins_limit_reached_at,task_completed`);
-
-        if (!users || users.length === 0 || users.success) {
-            return sendSuccess(res, {
-                balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false, task_completed: false
-            });
+        const updated = await supabaseFetch('users', 'PATCH', { is_banned: isBanned }, `?id=eq.${encodeQueryValue(targetId)}`);
+        if (Array.isArray(updated) && updated.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
         }
 
-        const userData = users[0];
-
-        // 3. Banned Check - Exit immediately if banned
-        if (userData.is_banned) {
-             return sendSuccess(res, { is_banned: true, message: "User is banned from accessing the app." });
-        }
+        await writeAdminAudit(adminId, isBanned ? 'ban_user' : 'unban_user', 'user', targetId, { reason: body.reason || null });
 
+        sendSuccess(res, { user_id: targetId, is_banned: isBanned });
+    } catch (error) {
+        console.error('AdminSetBan failed:', error.message);
+        sendError(res, `Failed to update user: ${error.message}`, 500);
+    }
+}
 
-        // 4. Fetch referrals count
-        const referrals = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${id}&select=id`);
-        const referralsCount = Array.isArray(referrals) ? referrals.length : 0;
+/**
+ * ADMIN HANDLER: type: "adminAdjustBalance"
+ * Adds a signed amount to a user's balance. A reason is mandatory.
+ */
+async function handleAdminAdjustBalance(req, res, body, adminId) {
+    const targetId = parseInt(body.target_user_id);
+    const amount = parseFloat(body.amount);
+    const { reason } = body;
 
-        // 5. Fetch withdrawal history
-        const history = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${id}&select=amount,status,created_at&order=created_at.desc`);
-        const withdrawalHistory = Array.isArray(history) ? history : [];
+    if (!targetId || isNaN(amount) || amount === 0) {
+        return sendError(res, 'Missing target_user_id or a non-zero amount.', 400);
+    }
+    if (!reason) {
+        return sendError(res, 'A reason is required for balance adjustments.', 400);
+    }
 
-        // 6. Update last_activity (only for Rate Limit purposes now)
-        await supabaseFetch('users', 'PATCH',
-            { last_activity: new Date().toISOString() },
-            `?id=eq.${id}&select=id`);
+    try {
+        let newBalance;
+        try {
+            newBalance = await applyBalanceChange(targetId, amount, 'admin_adjustment', adminId);
+        } catch (error) {
+            if (error.message.includes('insufficient_balance')) {
+                return sendError(res, 'Adjustment would make the balance negative.', 400);
+            }
+            if (error.message.includes('user_not_found')) {
+                return sendError(res, 'User not found.', 404, 'user_not_found');
+            }
+            throw error;
+        }
 
-        sendSuccess(res, {
-            ...userData,
-            referrals_count: referralsCount,
-            withdrawal_history: withdrawalHistory
-        });
+        await writeAdminAudit(adminId, 'adjust_balance', 'user', targetId, { amount, reason, new_balance: newBalance });
 
+        sendSuccess(res, { user_id: targetId, new_balance: newBalance });
     } catch (error) {
-        console.error('GetUserData failed:', error.message);
-        sendError(res, `Failed to retrieve user data: ${error.message}`, 500);
+        console.error('AdminAdjustBalance failed:', error.message);
+        sendError(res, `Failed to adjust balance: ${error.message}`, 500);
     }
 }
 
 /**
- * NEW HANDLER: type: "getTasks"
- * ⚠️ يجلب المهام المتاحة من جدول tasks.
+ * ADMIN HANDLER: type: "adminCreateTask"
  */
-async function handleGetTasks(req, res, body) {
-    const { user_id } = body;
-    const id = parseInt(user_id);
-    
-    try {
-        // 1. جلب قائمة المهام المتاحة من جدول tasks
-        // نختار id, name, link, reward, max_participants
-        const availableTasks = await supabaseFetch('tasks', 'GET', null, `?select=id,name,link,reward,max_participants`);
+async function handleAdminCreateTask(req, res, body, adminId) {
+    const fields = pickTaskFields(body.task);
 
-        // 2. جلب المهام التي أكملها المستخدم
-        // يفترض وجود جدول باسم TASK_COMPLETIONS_TABLE (مثل: user_task_completions)
-        const completedTasks = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${id}&select=task_id`);
-        const completedTaskIds = Array.isArray(completedTasks) ? new Set(completedTasks.map(t => t.task_id)) : new Set();
-        
-        // 3. فلترة وتجهيز قائمة المهام
-        const tasksList = Array.isArray(availableTasks) ? availableTasks.map(task => {
-            const isCompleted = completedTaskIds.has(task.id);
-            
-            // ⚠️ ملاحظة: يمكن إضافة منطق للتحقق من عدد المشاركين في المهمة هنا أيضاً إذا لزم الأمر
-            
-            return {
-                task_id: task.id,
-                name: task.name,
-                link: task.link,
-                reward: task.reward,
-                max_participants: task.max_participants,
-                is_completed: isCompleted,
-                // يمكن إضافة حالة "الحد الأقصى وصل" بناءً على مقارنة max_participants بعدد السجلات في TASK_COMPLETIONS_TABLE 
-            };
-        }) : [];
+    if (!fields.name || !fields.link || !(parseFloat(fields.reward) > 0)) {
+        return sendError(res, 'Task requires name, link and a positive reward.', 400);
+    }
+    const fieldsError = validateTaskVerificationFields(fields) || validateTaskAvailabilityFields(fields);
+    if (fieldsError) {
+        return sendError(res, fieldsError, 400);
+    }
+    if (fields.is_active === undefined) {
+        fields.is_active = true;
+    }
 
-        sendSuccess(res, { tasks: tasksList });
+    try {
+        const created = await supabaseFetch('tasks', 'POST', fields, '?select=*');
+        const task = Array.isArray(created) ? created[0] : null;
+
+        await writeAdminAudit(adminId, 'create_task', 'task', task ? task.id : '', redactTaskFields(fields));
 
+        sendSuccess(res, { task });
     } catch (error) {
-        console.error('GetTasks failed:', error.message);
-        sendError(res, `Failed to retrieve tasks: ${error.message}`, 500);
+        console.error('AdminCreateTask failed:', error.message);
+        sendError(res, `Failed to create task: ${error.message}`, 500);
     }
 }
 
-
 /**
- * 1) type: "register"
- * ⚠️ Fix: Includes task_completed: false for new users.
+ * ADMIN HANDLER: type: "adminUpdateTask" / "adminDisableTask" / "adminPauseTask" / "adminResumeTask"
  */
-async function handleRegister(req, res, body) {
-  const { user_id, ref_by } = body;
-  const id = parseInt(user_id);
-
-  try {
-    // 1. Check if user exists
-    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=id,is_banned`);
+async function handleAdminUpdateTask(req, res, body, adminId, fields, action) {
+    const taskId = parseInt(body.task_id);
+    if (!taskId) {
+        return sendError(res, 'Missing task_id.', 400);
+    }
+    if (Object.keys(fields).length === 0) {
+        return sendError(res, 'No task fields to update.', 400);
+    }
+    const fieldsError = validateTaskVerificationFields(fields) || validateTaskAvailabilityFields(fields);
+    if (fieldsError) {
+        return sendError(res, fieldsError, 400);
+    }
 
-    if (!Array.isArray(users) || users.length === 0) {
-      // 2. User does not exist, create new user
-      const newUser = {
-        id,
-        balance: 0,
-        ads_watched_today: 0,
-        spins_today: 0,
-        ref_by: ref_by ? parseInt(ref_by) : null,
-        last_activity: new Date().toISOString(), // ⬅️ يبقى هنا للـ Rate Limit فقط
-        is_banned: false,
-        task_completed: false, // ⬅️ NEW: Default value for the original task
-        // الأعمدة الجديدة ستحتوي على NULL بشكل افتراضي
-      };
-      await supabaseFetch('users', 'POST', newUser, '?select=id');
-    } else {
-        if (users[0].is_banned) {
-             return sendError(res, 'User is banned.', 403);
+    try {
+        const updated = await supabaseFetch('tasks', 'PATCH', fields, `?id=eq.${encodeQueryValue(taskId)}`);
+        if (Array.isArray(updated) && updated.length === 0) {
+            return sendError(res, 'Task not found.', 404, 'task_not_found');
         }
+
+        await writeAdminAudit(adminId, action, 'task', taskId, redactTaskFields(fields));
+
+        sendSuccess(res, { task: Array.isArray(updated) ? updated[0] : null });
+    } catch (error) {
+        console.error('AdminUpdateTask failed:', error.message);
+        sendError(res, `Failed to update task: ${error.message}`, 500);
     }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminListTaskProofs"
+ * Proofs waiting for review (oldest first).
+ */
+async function handleAdminListTaskProofs(req, res, body) {
+    const limit = Math.min(parseInt(body.limit) || 50, 200);
+    const taskFilter = body.task_id ? `task_id=eq.${encodeQueryValue(parseInt(body.task_id))}&` : '';
 
-    sendSuccess(res, { message: 'User registered or already exists.' });
-  } catch (error) {
-    console.error('Registration failed:', error.message);
-    sendError(res, `Registration failed: ${error.message}`, 500);
-  }
+    try {
+        const proofs = await supabaseFetch(TASK_ATTEMPTS_TABLE, 'GET', null,
+            `?${taskFilter}status=eq.submitted&select=id,user_id,task_id,proof,created_at&order=created_at.asc&limit=${encodeQueryValue(limit)}`);
+        sendSuccess(res, { proofs: Array.isArray(proofs) ? proofs : [] });
+    } catch (error) {
+        console.error('AdminListTaskProofs failed:', error.message);
+        sendError(res, `Failed to list task proofs: ${error.message}`, 500);
+    }
 }
 
 /**
- * 2) type: "watchAd"
- * ⚠️ Fix: Updates ads_limit_reached_at when the limit is hit.
+ * ADMIN HANDLER: type: "adminApproveTaskProof" / "adminRejectTaskProof"
+ * Approval completes the task and pays the reward; rejection lets the user submit again.
  */
-async function handleWatchAd(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    const reward = REWARD_PER_AD;
+async function handleAdminReviewTaskProof(req, res, body, adminId, approve) {
+    const attemptId = parseInt(body.proof_id);
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
 
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'watchAd')) return;
+    if (!attemptId) {
+        return sendError(res, 'Missing proof_id.', 400);
+    }
+    if (!approve && !reason) {
+        return sendError(res, 'A reason is required to reject a proof.', 400);
+    }
 
     try {
-        // 2. Check and reset daily limits (if 6 hours passed since limit reached)
-        await resetDailyLimitsIfExpired(id);
-
-        // 3. Fetch current user data 
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,is_banned,ref_by`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        // 1. Load the proof and its task
+        const attempts = await supabaseFetch(TASK_ATTEMPTS_TABLE, 'GET', null, `?id=eq.${encodeQueryValue(attemptId)}&select=id,user_id,task_id,status`);
+        if (!Array.isArray(attempts) || attempts.length === 0) {
+            return sendError(res, 'Proof not found.', 404);
         }
-        
-        const user = users[0];
-        const referrerId = user.ref_by; 
-
-        // 4. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+        const attempt = attempts[0];
+        if (attempt.status !== 'submitted') {
+            return sendError(res, `Proof is already ${attempt.status}.`, 409);
         }
 
-        // 5. Rate Limit Check 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
+        const tasks = await supabaseFetch('tasks', 'GET', null, `?id=eq.${encodeQueryValue(attempt.task_id)}&select=id,name,reward`);
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return sendError(res, 'Task not found.', 404, 'task_not_found');
         }
-
-        // 6. Check maximum ad limit
-        if (user.ads_watched_today >= DAILY_MAX_ADS) {
-            return sendError(res, `Daily ad limit (${DAILY_MAX_ADS}) reached.`, 403);
+        const task = tasks[0];
+
+        // 2. Update the proof (guarded by status so two admins can't both act)
+        const newStatus = approve ? 'approved' : 'rejected';
+        const updated = await supabaseFetch(TASK_ATTEMPTS_TABLE, 'PATCH',
+            { status: newStatus, rejection_reason: approve ? null : reason, reviewed_at: new Date().toISOString(), reviewed_by: adminId },
+            `?id=eq.${encodeQueryValue(attemptId)}&status=eq.submitted`);
+        if (Array.isArray(updated) && updated.length === 0) {
+            return sendError(res, 'Proof was modified by another request.', 409);
         }
 
-        // 7. Calculate new values
-        const newBalance = user.balance + reward;
-        const newAdsCount = user.ads_watched_today + 1;
-        const updatePayload = {
-            balance: newBalance,
-            ads_watched_today: newAdsCount,
-            last_activity: new Date().toISOString() // ⬅️ تحديث لـ Rate Limit
-        };
-
-        // 8. ⚠️ NEW LOGIC: Check if the limit is reached NOW
-        if (newAdsCount >= DAILY_MAX_ADS) {
-            updatePayload.ads_limit_reached_at = new Date().toISOString();
+        // 3. Pay the task on approval
+        let newBalance = null;
+        if (approve) {
+            const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(attempt.user_id)}&select=ref_by`);
+            const refBy = Array.isArray(users) && users[0] ? users[0].ref_by : null;
+            ({ newBalance } = await completeTaskForUser(task, attempt.user_id, refBy));
         }
 
-        // 9. Update user record
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
-
-        // 10. Commission Call
-        if (referrerId) {
-            processCommission(referrerId, id, reward).catch(e => {
-                console.error(`WatchAd Commission failed silently for referrer ${referrerId}:`, e.message);
-            });
-        }
-          
-        // 11. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_ads_count: newAdsCount });
+        // 4. Audit and notify
+        await writeAdminAudit(adminId, approve ? 'approve_task_proof' : 'reject_task_proof', 'task_attempt', attemptId,
+            { user_id: attempt.user_id, task_id: attempt.task_id, reason: reason || null });
+        await notifyUser(attempt.user_id, approve
+            ? `✅ Your proof for "${task.name}" was approved. +${Number(task.reward).toLocaleString('en-US')} SHIB`
+            : `❌ Your proof for "${task.name}" was rejected.\nReason: ${reason}`);
 
+        sendSuccess(res, { proof_id: attemptId, status: newStatus, user_balance: newBalance });
     } catch (error) {
-        console.error('WatchAd failed:', error.message);
-        sendError(res, `Failed to process ad watch: ${error.message}`, 500);
+        const completionError = getTaskCompletionError(error);
+        if (completionError) {
+            return sendError(res, completionError.message, 409, completionError.code);
+        }
+        console.error('AdminReviewTaskProof failed:', error.message);
+        sendError(res, `Failed to review proof: ${error.message}`, 500);
     }
 }
 
 /**
- * 3) type: "commission" (No change)
+ * ADMIN HANDLER: type: "adminListFraudFlags"
+ * Flagged users (highest risk first) with their open signals, for manual review.
  */
-async function handleCommission(req, res, body) {
-    const { referrer_id, referee_id, source_reward } = body;
-    const referrerId = parseInt(referrer_id);
-    const refereeId = parseInt(referee_id);
-    const sourceReward = parseFloat(source_reward) || REWARD_PER_AD; 
+async function handleAdminListFraudFlags(req, res, body) {
+    const limit = Math.min(parseInt(body.limit) || 50, 200);
+    const statuses = FRAUD_STATUSES.includes(body.status) ? [body.status] : ['review', 'soft_banned'];
 
-    const result = await processCommission(referrerId, refereeId, sourceReward);
+    try {
+        const users = await supabaseFetch('users', 'GET', null,
+            `?fraud_status=in.(${statuses.map(encodeQueryValue).join(',')})&select=id,balance,risk_score,fraud_status,fraud_reasons,is_banned&order=risk_score.desc&limit=${encodeQueryValue(limit)}`);
+        const flagged = Array.isArray(users) ? users : [];
+
+        for (const user of flagged) {
+            const signals = await supabaseFetch(FRAUD_SIGNALS_TABLE, 'GET', null,
+                `?user_id=eq.${encodeQueryValue(user.id)}&reviewed_at=is.null&select=id,signal,weight,details,created_at&order=created_at.desc&limit=50`);
+            user.signals = Array.isArray(signals) ? signals : [];
+        }
 
-    if (result.ok) {
-        sendSuccess(res, { new_referrer_balance: result.new_referrer_balance, message: 'Commission successfully processed.' });
-    } else {
-        console.log(`handleCommission failed: ${result.error}`);
-        sendError(res, 'Commission processing failed on the server. ' + result.error, 500); 
+        sendSuccess(res, { users: flagged });
+    } catch (error) {
+        console.error('AdminListFraudFlags failed:', error.message);
+        sendError(res, `Failed to list fraud flags: ${error.message}`, 500);
     }
 }
 
 /**
- * 4) type: "preSpin" (No change)
+ * ADMIN HANDLER: type: "adminClearFraudFlag"
+ * Marks the user's signals as reviewed and resets their status. With release_withdrawals: true,
+ * held withdrawals go back to pending.
  */
-async function handlePreSpin(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    
-    if (!await validateAndUseActionId(res, id, action_id, 'preSpin')) return;
+async function handleAdminClearFraudFlag(req, res, body, adminId) {
+    const targetId = parseInt(body.target_user_id);
+    if (!targetId) {
+        return sendError(res, 'Missing target_user_id.', 400);
+    }
 
     try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        // 1. Close the open signals so they stop counting
+        const now = new Date().toISOString();
+        await supabaseFetch(FRAUD_SIGNALS_TABLE, 'PATCH',
+            { reviewed_at: now, reviewed_by: adminId },
+            `?user_id=eq.${encodeQueryValue(targetId)}&reviewed_at=is.null`);
+
+        // 2. Reset the user's score and status
+        const updated = await supabaseFetch('users', 'PATCH',
+            { risk_score: 0, fraud_status: 'ok', fraud_reasons: [] },
+            `?id=eq.${encodeQueryValue(targetId)}`);
+        if (Array.isArray(updated) && updated.length === 0) {
+            return sendError(res, 'User not found.', 404, 'user_not_found');
         }
-        
-        if (users[0].is_banned) {
-            return sendError(res, 'User is banned.', 403);
+
+        // 3. Optionally release held withdrawals
+        let released = [];
+        if (body.release_withdrawals === true) {
+            const rows = await supabaseFetch('withdrawals', 'PATCH',
+                { status: 'pending', updated_at: now },
+                `?user_id=eq.${encodeQueryValue(targetId)}&status=eq.on_hold`);
+            released = Array.isArray(rows) ? rows.map(row => row.id) : [];
         }
 
-        sendSuccess(res, { message: "Pre-spin action secured." });
+        // 4. Audit
+        await writeAdminAudit(adminId, 'clear_fraud_flag', 'user', targetId, { released_withdrawals: released });
 
+        sendSuccess(res, { user_id: targetId, fraud_status: 'ok', released_withdrawals: released });
     } catch (error) {
-        console.error('PreSpin failed:', error.message);
-        sendError(res, `Failed to secure pre-spin: ${error.message}`, 500);
+        console.error('AdminClearFraudFlag failed:', error.message);
+        sendError(res, `Failed to clear fraud flag: ${error.message}`, 500);
     }
 }
 
-
 /**
- * 5) type: "spinResult"
- * ⚠️ Fix: Updates spins_limit_reached_at when the limit is hit.
+ * ADMIN HANDLER: type: "adminSendLimitResetReminders"
+ * Intended for a scheduler; see sendLimitResetReminders().
  */
-async function handleSpinResult(req, res, body) {
-    const { user_id, action_id } = body; 
-    const id = parseInt(user_id);
-    
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'spinResult')) return; 
-    
-    // 2. Check and reset daily limits (if 6 hours passed since limit reached)
-    await resetDailyLimitsIfExpired(id);
+async function handleAdminSendLimitResetReminders(req, res, body, adminId) {
+    const limit = Math.min(parseInt(body.limit) || 100, 500);
 
     try {
-        // 3. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,spins_today,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        
-        const user = users[0];
+        const result = await sendLimitResetReminders(limit);
+        sendSuccess(res, result);
+    } catch (error) {
+        console.error('AdminSendLimitResetReminders failed:', error.message);
+        sendError(res, `Failed to send reminders: ${error.message}`, 500);
+    }
+}
 
-        // 4. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
-        
-        // 5. Rate Limit Check 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
-        }
+/**
+ * Router for all "admin*" request types. Runs instead of the user-facing initData/user_id checks.
+ */
+async function handleAdminRequest(req, res, body) {
+    const adminId = authenticateAdmin(req, body);
+    if (!adminId) {
+        return sendError(res, 'Admin authentication failed.', 401);
+    }
+    if (!validateRequest(res, body)) {
+        return;
+    }
 
-        // 6. Check maximum spin limit
-        if (user.spins_today >= DAILY_MAX_SPINS) {
-            return sendError(res, `Daily spin limit (${DAILY_MAX_SPINS}) reached.`, 403);
-        }
-        
-        // --- All checks passed: Process Spin Result ---
+    switch (body.type) {
+        case 'adminListWithdrawals':
+            await handleAdminListWithdrawals(req, res, body);
+            break;
+        case 'adminProcessWithdrawal':
+            await handleAdminUpdateWithdrawal(req, res, body, adminId, 'processing');
+            break;
+        case 'adminCompleteWithdrawal':
+            await handleAdminUpdateWithdrawal(req, res, body, adminId, 'completed');
+            break;
+        case 'adminRejectWithdrawal':
+            await handleAdminUpdateWithdrawal(req, res, body, adminId, 'rejected');
+            break;
+        case 'adminReleaseWithdrawal':
+            await handleAdminUpdateWithdrawal(req, res, body, adminId, 'pending');
+            break;
+        case 'adminListTaskProofs':
+            await handleAdminListTaskProofs(req, res, body);
+            break;
+        case 'adminApproveTaskProof':
+            await handleAdminReviewTaskProof(req, res, body, adminId, true);
+            break;
+        case 'adminRejectTaskProof':
+            await handleAdminReviewTaskProof(req, res, body, adminId, false);
+            break;
+        case 'adminListFraudFlags':
+            await handleAdminListFraudFlags(req, res, body);
+            break;
+        case 'adminClearFraudFlag':
+            await handleAdminClearFraudFlag(req, res, body, adminId);
+            break;
+        case 'adminBanUser':
+            await handleAdminSetBan(req, res, body, adminId, true);
+            break;
+        case 'adminUnbanUser':
+            await handleAdminSetBan(req, res, body, adminId, false);
+            break;
+        case 'adminAdjustBalance':
+            await handleAdminAdjustBalance(req, res, body, adminId);
+            break;
+        case 'adminCreateTask':
+            await handleAdminCreateTask(req, res, body, adminId);
+            break;
+        case 'adminUpdateTask':
+            await handleAdminUpdateTask(req, res, body, adminId, pickTaskFields(body.task), 'update_task');
+            break;
+        case 'adminDisableTask':
+            await handleAdminUpdateTask(req, res, body, adminId, { is_active: false }, 'disable_task');
+            break;
+        case 'adminPauseTask':
+            await handleAdminUpdateTask(req, res, body, adminId, { is_paused: true }, 'pause_task');
+            break;
+        case 'adminResumeTask':
+            // Only lifts a pause; a disabled task stays disabled
+            await handleAdminUpdateTask(req, res, body, adminId, { is_paused: false }, 'resume_task');
+            break;
+        case 'adminSendLimitResetReminders':
+            await handleAdminSendLimitResetReminders(req, res, body, adminId);
+            break;
+        default:
+            sendError(res, `Unknown admin request type: ${body.type}`, 400);
+            break;
+    }
+}
 
-        const { prize, prizeIndex } = calculateRandomSpinPrize();
-        const newSpinsCount = user.spins_today + 1;
-        const newBalance = user.balance + prize;
-        
-        const updatePayload = {
-            balance: newBalance,
-            spins_today: newSpinsCount,
-            last_activity: new Date().toISOString() // ⬅️ تحديث لـ Rate Limit
-        };
 
-        // 7. ⚠️ NEW LOGIC: Check if the limit is reached NOW
-        if (newSpinsCount >= DAILY_MAX_SPINS) {
-            updatePayload.spins_limit_reached_at = new Date().toISOString();
-        }
+// ------------------------------------------------------------------
+// 🤖 Telegram Bot Webhook
+// ------------------------------------------------------------------
+// Register with: setWebhook?url=https://<host>/api/?telegram_webhook&secret_token=<TELEGRAM_WEBHOOK_SECRET>
+// Telegram retries non-2xx responses, so every authenticated update is answered with 200.
 
-        // 8. Update user record
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
+/**
+ * Inline keyboard with an "Open App" button, or nothing if WEBAPP_URL is not configured.
+ */
+function getWebAppReplyMarkup() {
+    if (!WEBAPP_URL) {
+        return {};
+    }
+    return { reply_markup: { inline_keyboard: [[{ text: '🚀 Open App', web_app: { url: WEBAPP_URL } }]] } };
+}
 
-        // 9. Save to spin_results
-        await supabaseFetch('spin_results', 'POST',
-          { user_id: id, prize },
-          '?select=user_id');
+const BOT_HELP_TEXT = [
+    'Earn SHIB by watching ads, spinning the wheel and completing tasks in the Mini App.',
+    '',
+    '/start - Open the app',
+    '/balance - Show your SHIB balance',
+    '/help - Show this message'
+].join('\n');
 
-        // 10. Return the actual, server-calculated prize and index
-        sendSuccess(res, { 
-            new_balance: newBalance, 
-            actual_prize: prize, 
-            prize_index: prizeIndex,
-            new_spins_count: newSpinsCount
-        });
+/**
+ * BOT COMMAND: /start [referrer_id]
+ * Registers the user (with the referral payload, same rules as "register") and sends the app button.
+ */
+async function handleBotStart(chatId, userId, payload, from) {
+    const { user } = await registerUser(userId, payload, getTelegramDisplayName(from));
+    if (user.is_banned) {
+        return notifyUser(chatId, 'This account has been restricted for violating policies.');
+    }
+    return notifyUser(chatId, `👋 Welcome! Tap the button below to start earning SHIB.\n\n${BOT_HELP_TEXT}`, getWebAppReplyMarkup());
+}
 
-    } catch (error) {
-        console.error('Spin result failed:', error.message);
-        sendError(res, `Failed to process spin result: ${error.message}`, 500);
+/**
+ * BOT COMMAND: /balance
+ */
+async function handleBotBalance(chatId, userId) {
+    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${encodeQueryValue(userId)}&select=balance,is_banned`);
+    if (!Array.isArray(users) || users.length === 0) {
+        return notifyUser(chatId, 'You are not registered yet. Send /start to begin.');
+    }
+    if (users[0].is_banned) {
+        return notifyUser(chatId, 'This account has been restricted for violating policies.');
     }
+    const balance = Number(users[0].balance).toLocaleString('en-US', { maximumFractionDigits: 4 });
+    return notifyUser(chatId, `💰 Your balance: ${balance} SHIB`, getWebAppReplyMarkup());
 }
 
 /**
- * 7) NEW HANDLER: type: "completeTask"
- * ⚠️ Handles the one-time channel join reward task.
+ * HANDLER: POST /api/?telegram_webhook
  */
-async function handleCompleteTask(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    const reward = TASK_REWARD;
+async function handleTelegramWebhook(req, res, update) {
+    // 1. Only Telegram knows the secret token given to setWebhook
+    const providedSecret = req.headers['x-telegram-bot-api-secret-token'];
+    if (!TELEGRAM_WEBHOOK_SECRET || typeof providedSecret !== 'string') {
+        return sendError(res, 'Webhook authentication failed.', 401);
+    }
+    const expected = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+    const provided = Buffer.from(providedSecret);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return sendError(res, 'Webhook authentication failed.', 401);
+    }
 
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'completeTask')) return;
+    // 2. Only text commands in private chats are handled; everything else is acknowledged and ignored
+    const message = update && update.message;
+    if (!message || !message.from || !message.chat || message.chat.type !== 'private' || typeof message.text !== 'string') {
+        return sendSuccess(res);
+    }
 
-    try {
-        // 2. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned,task_completed`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        
-        const user = users[0];
+    const [commandWithMention, payload] = message.text.trim().split(/\s+/);
+    const command = commandWithMention.split('@')[0].toLowerCase();
+    const chatId = message.chat.id;
+    const userId = parseInt(message.from.id);
 
-        // 3. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
-        
-        // 4. Check if task is already completed (NOTE: This handles the original single task)
-        if (user.task_completed) {
-            return sendError(res, 'Task already completed.', 403);
-        }
-        
-        // 5. Check Rate Limit (Good practice for anti-spam)
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
+    // 3. Dispatch the command
+    try {
+        switch (command) {
+            case '/start':
+                await handleBotStart(chatId, userId, payload, message.from);
+                break;
+            case '/balance':
+                await handleBotBalance(chatId, userId);
+                break;
+            default:
+                await notifyUser(chatId, BOT_HELP_TEXT);
+                break;
         }
+    } catch (error) {
+        console.error(`Bot command ${command} failed:`, error.message);
+    }
 
-        // 6. 🚨 CRITICAL: Check Channel Membership using Telegram API
-        const isMember = await checkChannelMembership(id, TELEGRAM_CHANNEL_USERNAME);
-
-        if (!isMember) {
-            return sendError(res, 'User has not joined the required channel.', 400);
-        }
+    sendSuccess(res);
+}
 
-        // 7. Process Reward and Update User Data
-        const newBalance = user.balance + reward;
-        
-        const updatePayload = {
-            balance: newBalance,
-            task_completed: true, // Mark as completed
-            last_activity: new Date().toISOString() // Update for Rate Limit
-        };
 
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
-          
-        // 8. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, message: 'Task completed successfully.' });
+// ------------------------------------------------------------------
+// 🧹 Scheduled Maintenance
+// ------------------------------------------------------------------
+// GET or POST /api/?maintenance with "Authorization: Bearer <CRON_SECRET>". Scheduled hourly by
+// vercel.json; locally: curl -H "Authorization: Bearer $CRON_SECRET" "http://localhost:3000/api/?maintenance"
+// Each run purges expired action IDs, resets expired ads/spins limits in bulk (notifying users when
+// limit_reset_notifications is on) and rolls up yesterday's and today's numbers into daily_stats.
+// Steps run independently; a failed step is reported without skipping the others.
 
-    } catch (error) {
-        console.error('CompleteTask failed:', error.message);
-        sendError(res, `Failed to complete task: ${error.message}`, 500);
+/**
+ * Checks the CRON_SECRET bearer token. The route is disabled while CRON_SECRET is unset.
+ */
+function authenticateCron(req) {
+    const providedSecret = getBearerToken(req);
+    if (!CRON_SECRET || !providedSecret) {
+        return false;
     }
+    const expected = Buffer.from(CRON_SECRET);
+    const provided = Buffer.from(providedSecret);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
 }
 
-
 /**
- * 6) type: "withdraw" (No change, only uses last_activity for rate limit check in checkRateLimit)
+ * Deletes action IDs older than ACTION_ID_EXPIRY_MS (they can no longer be claimed).
+ * Returns the number of rows removed.
  */
-async function handleWithdraw(req, res, body) {
-    const { user_id, binanceId, amount, action_id } = body;
-    const id = parseInt(user_id);
-    const withdrawalAmount = parseFloat(amount);
-    const MIN_WITHDRAW = 400;
-
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
+async function purgeExpiredActionIds() {
+    const cutoff = new Date(Date.now() - ACTION_ID_EXPIRY_MS).toISOString();
+    const removed = await supabaseFetch('temp_actions', 'DELETE', null, `?created_at=lt.${encodeQueryValue(cutoff)}&select=id`);
+    return Array.isArray(removed) ? removed.length : 0;
+}
 
-    if (withdrawalAmount < MIN_WITHDRAW) {
-        return sendError(res, `Minimum withdrawal amount is ${MIN_WITHDRAW} SHIB.`, 400);
+/**
+ * HANDLER: GET/POST /api/?maintenance
+ */
+async function handleMaintenance(req, res) {
+    // 1. Only the scheduler knows the secret
+    if (!authenticateCron(req)) {
+        return sendError(res, 'Maintenance authentication failed.', 401);
     }
 
-    try {
-        // 2. Fetch current user balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+    const results = {};
+    const failed = [];
+    const runStep = async (name, step) => {
+        try {
+            results[name] = await step();
+        } catch (error) {
+            console.error(`Maintenance step ${name} failed:`, error.message);
+            failed.push(name);
         }
+    };
 
-        const user = users[0];
+    // 2. Expired action IDs
+    await runStep('purged_action_ids', purgeExpiredActionIds);
 
-        // 3. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
-        
-        // 4. Check sufficient balance
-        if (user.balance < withdrawalAmount) {
-            return sendError(res, 'Insufficient balance.', 400);
-        }
+    // 3. Expired ads/spins limits, with the "your limits are back" message if enabled
+    await runStep('limits_reset', async () => {
+        const settings = await getSettings();
+        const reset = await resetExpiredDailyLimits(MAINTENANCE_RESET_BATCH);
+        const notified = settings.limit_reset_notifications ? await notifyLimitsReset(reset) : 0;
+        return { ads: reset.ads.length, spins: reset.spins.length, notified };
+    });
 
-        // 5. Calculate new balance
-        const newBalance = user.balance - withdrawalAmount;
+    // 4. Daily statistics (yesterday is finalized, today is refreshed)
+    await runStep('daily_stats', () => Promise.all(
+        [getUtcDateString(-1), getUtcDateString()].map(day => supabaseRpc('rollup_daily_stats', { p_day: day }))
+    ));
 
-        // 6. Update user balance
-        await supabaseFetch('users', 'PATCH',
-          { 
-              balance: newBalance,
-              last_activity: new Date().toISOString() // ⬅️ تحديث لـ Rate Limit
-          },
-          `?id=eq.${id}`);
-
-        // 7. Record the withdrawal request
-        await supabaseFetch('withdrawals', 'POST',
-          { user_id: id, amount: withdrawalAmount, binance_id: binanceId, status: 'pending' },
-          '?select=user_id');
+    if (failed.length > 0) {
+        return sendError(res, `Maintenance failed: ${failed.join(', ')}.`, 500, 'maintenance_failed', { failed, results });
+    }
+    sendSuccess(res, results);
+}
 
-        // 8. Success
-        sendSuccess(res, { new_balance: newBalance });
 
-    } catch (error) {
-        console.error('Withdrawal failed:', error.message);
-        sendError(res, `Withdrawal failed: ${error.message}`, 500);
+// ------------------------------------------------------------------
+// 🧾 Request Validation
+// ------------------------------------------------------------------
+// Every request type declares the fields it reads. The router checks the body against the schema
+// before dispatch, so handlers never see a wrong type, an out-of-range number or an unexpected value.
+// Rules: type ('string' | 'integer' | 'number' | 'boolean' | 'object'), required, min/max (numbers),
+// maxLength/pattern (strings) and values (allowed values). Numeric strings are accepted for
+// integer/number fields and written back to the body as numbers. Fields not listed are ignored.
+const ACTION_ID_FIELD = { type: 'string', required: true, pattern: /^[a-f0-9]{64}$/ }; // generateStrongId() output
+const TASK_ID_FIELD = { type: 'integer', required: true, min: 1 };
+const TARGET_USER_ID_FIELD = { type: 'integer', required: true, min: 1 };
+const REASON_FIELD = { type: 'string', maxLength: 500 };
+const PAGE_FIELDS = {
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer', min: 0 }
+};
+const ADMIN_WITHDRAWAL_FIELDS = {
+    withdrawal_id: { type: 'integer', required: true, min: 1 },
+    reason: REASON_FIELD,
+    tx_hash: { type: 'string', maxLength: 200 }
+};
+const ADMIN_TASK_ID_FIELDS = { task_id: TASK_ID_FIELD };
+
+const REQUEST_SCHEMAS = {
+    startSession: { initData: { type: 'string', required: true, maxLength: 8192 } },
+    refreshSession: { session_token: { type: 'string', maxLength: 2048 } },
+    getUserData: {},
+    getTasks: {},
+    getConfig: {},
+    getAchievements: {},
+    getLeaderboard: {
+        board: { type: 'string', values: LEADERBOARD_BOARDS },
+        period: { type: 'string', values: LEADERBOARD_PERIODS }
+    },
+    getReferrals: PAGE_FIELDS,
+    getTransactions: PAGE_FIELDS,
+    register: { ref_by: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/ } }, // Telegram start_param
+    generateActionId: {
+        action_type: { type: 'string', required: true, values: ['dailyCheckIn', 'watchAd', 'preSpin', 'completeTask', 'withdraw'] }
+    },
+    dailyCheckIn: { action_id: ACTION_ID_FIELD },
+    watchAd: { action_id: ACTION_ID_FIELD },
+    completeTask: { action_id: ACTION_ID_FIELD },
+    preSpin: {
+        action_id: ACTION_ID_FIELD,
+        client_seed: { type: 'string', pattern: /^[A-Za-z0-9]{8,64}$/ }
+    },
+    spinResult: { spin_id: { type: 'string', required: true, pattern: /^[a-f0-9]{64}$/ } },
+    withdraw: {
+        action_id: ACTION_ID_FIELD,
+        method: { type: 'string', required: true, pattern: /^[a-z0-9_]{1,32}$/ },
+        address: { type: 'string', required: true, maxLength: 256 },
+        amount: { type: 'number', required: true, min: 0 }
+    },
+    cancelWithdrawal: { withdrawal_id: { type: 'integer', required: true, min: 1 } },
+    startTask: { task_id: TASK_ID_FIELD },
+    claimTask: { task_id: TASK_ID_FIELD },
+    submitTaskProof: {
+        task_id: TASK_ID_FIELD,
+        proof: { type: 'string', required: true } // Size is checked by the handler (proof_too_large)
+    },
+
+    adminListWithdrawals: {
+        status: { type: 'string', values: ['pending', 'on_hold', 'processing', 'completed', 'rejected', 'cancelled'] },
+        limit: { type: 'integer', min: 1, max: 200 }
+    },
+    adminProcessWithdrawal: ADMIN_WITHDRAWAL_FIELDS,
+    adminCompleteWithdrawal: ADMIN_WITHDRAWAL_FIELDS,
+    adminRejectWithdrawal: ADMIN_WITHDRAWAL_FIELDS,
+    adminReleaseWithdrawal: ADMIN_WITHDRAWAL_FIELDS,
+    adminListTaskProofs: {
+        task_id: { type: 'integer', min: 1 },
+        limit: { type: 'integer', min: 1, max: 200 }
+    },
+    adminApproveTaskProof: { proof_id: { type: 'integer', required: true, min: 1 }, reason: REASON_FIELD },
+    adminRejectTaskProof: { proof_id: { type: 'integer', required: true, min: 1 }, reason: REASON_FIELD },
+    adminListFraudFlags: {
+        status: { type: 'string', values: FRAUD_STATUSES },
+        limit: { type: 'integer', min: 1, max: 200 }
+    },
+    adminClearFraudFlag: { target_user_id: TARGET_USER_ID_FIELD, release_withdrawals: { type: 'boolean' } },
+    adminBanUser: { target_user_id: TARGET_USER_ID_FIELD, reason: REASON_FIELD },
+    adminUnbanUser: { target_user_id: TARGET_USER_ID_FIELD, reason: REASON_FIELD },
+    adminAdjustBalance: {
+        target_user_id: TARGET_USER_ID_FIELD,
+        amount: { type: 'number', required: true },
+        reason: REASON_FIELD
+    },
+    adminCreateTask: { task: { type: 'object', required: true } },
+    adminUpdateTask: { task_id: TASK_ID_FIELD, task: { type: 'object', required: true } },
+    adminDisableTask: ADMIN_TASK_ID_FIELDS,
+    adminPauseTask: ADMIN_TASK_ID_FIELDS,
+    adminResumeTask: ADMIN_TASK_ID_FIELDS,
+    adminSendLimitResetReminders: { limit: { type: 'integer', min: 1, max: 500 } }
+};
+
+/**
+ * Returns the error message for one present field value, or null when it satisfies the rule.
+ */
+function getFieldError(rule, value) {
+    switch (rule.type) {
+        case 'integer':
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return rule.type === 'integer' ? 'must be an integer' : 'must be a number';
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return 'must be an integer';
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return `must be at least ${rule.min}`;
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return `must be at most ${rule.max}`;
+            }
+            break;
+        }
+        case 'string':
+            if (typeof value !== 'string') {
+                return 'must be a string';
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `must be at most ${rule.maxLength} characters`;
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return 'has an invalid format';
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return 'must be a boolean';
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return 'must be an object';
+            }
+            break;
+    }
+    if (rule.values && !rule.values.includes(value)) {
+        return `must be one of: ${rule.values.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Checks `body` against a schema from REQUEST_SCHEMAS and returns a list of { field, message }.
+ * Missing optional fields (undefined, null or '') are skipped; numeric strings are converted in place.
+ */
+function validateRequestBody(schema, body) {
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        let value = body[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                errors.push({ field, message: 'is required' });
+            }
+            continue;
+        }
+        if ((rule.type === 'integer' || rule.type === 'number') && typeof value === 'string' && value.trim() !== '') {
+            value = Number(value);
+            body[field] = value;
+        }
+        const message = getFieldError(rule, value);
+        if (message) {
+            errors.push({ field, message });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates the body of a known request type. Sends a 400 listing every field error and returns
+ * false when it doesn't match; unknown types pass through to the router's default case.
+ */
+function validateRequest(res, body) {
+    const schema = REQUEST_SCHEMAS[body.type];
+    if (!schema) {
+        return true;
+    }
+    const errors = validateRequestBody(schema, body);
+    if (errors.length > 0) {
+        const details = errors.map(error => `${error.field} ${error.message}`).join('; ');
+        sendError(res, `Invalid request: ${details}.`, 400, 'invalid_request', { fields: errors.map(error => error.field).join(', '), errors });
+        return false;
     }
+    return true;
 }
 
 
@@ -886,13 +4897,28 @@ async function handleWithdraw(req, res, body) {
 module.exports = async (req, res) => {
   // CORS configuration
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Secret');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
 
   if (req.method === 'OPTIONS') {
     return sendSuccess(res);
   }
 
+  const params = new URL(req.url || '/', 'http://localhost').searchParams;
+
+  // ⬅️ Ad network reward callbacks arrive as GET requests with query parameters
+  if (req.method === 'GET') {
+    if (params.has('ad_postback')) {
+      return handleAdPostback(req, res, params);
+    }
+  }
+
+  // ⬅️ Scheduled maintenance (Vercel Cron sends GET; no request body needed)
+  if (params.has('maintenance') && (req.method === 'GET' || req.method === 'POST')) {
+    return handleMaintenance(req, res);
+  }
+
   if (req.method !== 'POST') {
     return sendError(res, `Method ${req.method} not allowed. Only POST is supported.`, 405);
   }
@@ -900,13 +4926,30 @@ module.exports = async (req, res) => {
   let body;
   try {
     body = await new Promise((resolve, reject) => {
-      let data = '';
-      req.on('data', chunk => {
-        data += chunk.toString();
-      });
+      const chunks = [];
+      let received = 0;
+      const rejectTooLarge = () => {
+        const error = new Error('Request body is too large.');
+        error.statusCode = 413;
+        reject(error);
+      };
+      if (parseInt(req.headers['content-length']) > MAX_REQUEST_BODY_BYTES) {
+        return rejectTooLarge();
+      }
+      const onData = chunk => {
+        received += chunk.length;
+        if (received > MAX_REQUEST_BODY_BYTES) {
+          // Stop buffering; the connection is closed once the 413 is sent
+          req.removeListener('data', onData);
+          req.pause();
+          return rejectTooLarge();
+        }
+        chunks.push(chunk);
+      };
+      req.on('data', onData);
       req.on('end', () => {
         try {
-          resolve(JSON.parse(data));
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
         } catch (e) {
           reject(new Error('Invalid JSON payload.'));
         }
@@ -915,56 +4958,137 @@ module.exports = async (req, res) => {
     });
 
   } catch (error) {
-    return sendError(res, error.message, 400);
+    if (error.statusCode === 413) {
+      res.setHeader('Connection', 'close');
+      res.on('finish', () => req.destroy());
+    }
+    return sendError(res, error.message, error.statusCode || 400);
+  }
+
+  // ⬅️ Telegram bot updates (not part of the Mini App `type` protocol)
+  if (params.has('telegram_webhook')) {
+    return handleTelegramWebhook(req, res, body);
   }
 
   if (!body || !body.type) {
     return sendError(res, 'Missing "type" field in the request body.', 400);
   }
 
-  // ⬅️ initData Security Check
-  if (body.type !== 'commission' && (!body.initData || !validateInitData(body.initData))) {
-      return sendError(res, 'Invalid or expired initData. Security check failed.', 401);
+  // ⬅️ Admin requests use their own authentication (rate limited per IP only)
+  if (body.type.startsWith('admin')) {
+      const adminRateLimit = await checkRateLimit(req, 'admin');
+      if (!adminRateLimit.ok) {
+          return sendRateLimited(res, adminRateLimit);
+      }
+      return handleAdminRequest(req, res, body);
+  }
+
+  // ⬅️ Sessions: startSession needs initData, refreshSession a session token (rate limited per IP only)
+  if (body.type === 'startSession' || body.type === 'refreshSession') {
+      const sessionRateLimit = await checkRateLimit(req, body.type);
+      if (!sessionRateLimit.ok) {
+          return sendRateLimited(res, sessionRateLimit);
+      }
+      if (!validateRequest(res, body)) {
+          return;
+      }
+      return body.type === 'startSession' ? handleStartSession(req, res, body) : handleRefreshSession(req, res, body);
+  }
+
+  // ⬅️ Authentication: handlers get the user id from the session token or initData, never from the body
+  const auth = authenticateUser(req, body);
+  if (auth.error) {
+      return sendError(res, auth.error.message, auth.error.status, auth.error.code);
+  }
+  const session = auth.session;
+
+  // ⬅️ Anti-fraud: a client that still sends user_id can't claim to be another user
+  if (body.user_id !== undefined && parseInt(body.user_id) !== session.userId) {
+      await recordFraudSignal(session.userId, 'initdata_reuse', { type: body.type, claimed_user_id: body.user_id });
+      return sendError(res, 'user_id does not match the authenticated user.', 403, 'init_data_user_mismatch');
+  }
+
+  await trackRequestFrequency(session.userId);
+
+  // ⬅️ Per request type limits (per user and per IP)
+  const rateLimitResult = await checkRateLimit(req, body.type, session.userId);
+  if (!rateLimitResult.ok) {
+      return sendRateLimited(res, rateLimitResult);
+  }
+
+  if (FRAUD_RESTRICTED_TYPES.includes(body.type) && await getFraudStatus(session.userId) === 'soft_banned') {
+      return sendError(res, 'Your account is under review. Earning and withdrawals are suspended.', 403, 'account_under_review');
   }
 
-  if (!body.user_id && body.type !== 'commission') {
-      return sendError(res, 'Missing user_id in the request body.', 400);
+  // ⬅️ Field types, ranges and formats (see REQUEST_SCHEMAS)
+  if (!validateRequest(res, body)) {
+      return;
   }
 
   // Route the request based on the 'type' field
   switch (body.type) {
     case 'getUserData':
-      await handleGetUserData(req, res, body);
+      await handleGetUserData(req, res, body, session);
       break;
     case 'getTasks': // ⬅️ NEW: Added handler to get tasks list
-      await handleGetTasks(req, res, body);
+      await handleGetTasks(req, res, body, session);
+      break;
+    case 'getConfig':
+      await handleGetConfig(req, res, body, session);
+      break;
+    case 'getLeaderboard':
+      await handleGetLeaderboard(req, res, body, session);
+      break;
+    case 'getAchievements':
+      await handleGetAchievements(req, res, body, session);
+      break;
+    case 'getReferrals':
+      await handleGetReferrals(req, res, body, session);
+      break;
+    case 'dailyCheckIn':
+      await handleDailyCheckIn(req, res, body, session);
+      break;
+    case 'getTransactions':
+      await handleGetTransactions(req, res, body, session);
       break;
     case 'register':
-      await handleRegister(req, res, body);
+      await handleRegister(req, res, body, session);
       break;
     case 'watchAd':
-      await handleWatchAd(req, res, body);
-      break;
-    case 'commission':
-      await handleCommission(req, res, body);
+      await handleWatchAd(req, res, body, session);
       break;
     case 'preSpin': 
-      await handlePreSpin(req, res, body);
+      await handlePreSpin(req, res, body, session);
       break;
     case 'spinResult': 
-      await handleSpinResult(req, res, body);
+      await handleSpinResult(req, res, body, session);
       break;
     case 'withdraw':
-      await handleWithdraw(req, res, body);
+      await handleWithdraw(req, res, body, session);
+      break;
+    case 'cancelWithdrawal':
+      await handleCancelWithdrawal(req, res, body, session);
       break;
     case 'completeTask':
-      await handleCompleteTask(req, res, body);
+      await handleCompleteTask(req, res, body, session);
       break;
-    case 'generateActionId': 
-      await handleGenerateActionId(req, res, body);
+    case 'startTask':
+      await handleStartTask(req, res, body, session);
+      break;
+    case 'submitTaskProof':
+      await handleSubmitTaskProof(req, res, body, session);
+      break;
+    case 'claimTask':
+      await handleClaimTask(req, res, body, session);
+      break;
+    case 'generateActionId':
+      await handleGenerateActionId(req, res, body, session);
       break;
     default:
-      sendError(res, `Unknown request type: ${body.type}`, 400);
+      sendError(res, `Unknown request type: ${body.type}`, 400, 'unknown_request_type');
       break;
   }
 };
+
+// The in-memory backend, for tests/fake-postgrest.js (a fake Supabase REST API for the test suite)
+module.exports.createMemoryStorage = createMemoryStorage;
@@ -0,0 +1,57 @@
+-- Achievements and XP levels used by unlockAchievements() / handleGetAchievements() in api/index.js.
+-- The achievement catalogue and level table live in ACHIEVEMENTS / LEVELS; the database only
+-- records what each user unlocked. users.xp caches the sum of user_achievements.xp.
+
+alter table users add column if not exists xp integer not null default 0;
+alter table users add column if not exists lifetime_spins integer not null default 0;
+
+-- Existing users keep the spins they already made
+update users u
+   set lifetime_spins = s.spins
+  from (select user_id, count(*) as spins from spin_results group by user_id) s
+ where s.user_id = u.id and u.lifetime_spins = 0;
+
+create table if not exists user_achievements (
+    id bigserial primary key,
+    user_id bigint not null references users (id),
+    achievement_id text not null,
+    xp integer not null default 0,
+    reward numeric not null default 0,
+    unlocked_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+-- One unlock per achievement; a concurrent second unlock does nothing
+create unique index if not exists user_achievements_user_achievement
+    on user_achievements (user_id, achievement_id);
+
+-- Records an unlock, pays its bonus and refreshes users.xp in one transaction, so an unlock is
+-- never stored without its reward. Returns false if the user already had the achievement.
+create or replace function unlock_achievement(
+    p_user_id        bigint,
+    p_achievement_id text,
+    p_xp             integer,
+    p_reward         numeric
+) returns boolean
+language plpgsql
+as $$
+begin
+    insert into user_achievements (user_id, achievement_id, xp, reward)
+    values (p_user_id, p_achievement_id, p_xp, p_reward)
+    on conflict (user_id, achievement_id) do nothing;
+
+    if not found then
+        return false;
+    end if;
+
+    if p_reward > 0 then
+        perform apply_balance_transaction(p_user_id, p_reward, 'achievement_reward', 'achievement:' || p_achievement_id);
+    end if;
+
+    update users
+       set xp = (select coalesce(sum(xp), 0) from user_achievements where user_id = p_user_id)
+     where id = p_user_id;
+
+    return true;
+end;
+$$;
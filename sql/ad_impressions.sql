@@ -0,0 +1,18 @@
+-- Rewarded ad postbacks handled by handleAdPostback() in api/index.js.
+-- A postback marks one pending watchAd action ID as verified; each provider impression is
+-- claimed once (id = '<provider>:<impression_id>'), so replayed or retried postbacks are ignored.
+
+alter table temp_actions add column if not exists ad_verified_at timestamptz;
+alter table temp_actions add column if not exists ad_provider text;
+
+create table if not exists ad_impressions (
+    id            text        primary key,
+    provider      text        not null,
+    impression_id text        not null,
+    user_id       bigint      not null,
+    action_id     text        not null,
+    created_at    timestamptz not null default now(),
+    unique (provider, impression_id)
+);
+
+create index if not exists ad_impressions_user_created_idx on ad_impressions (user_id, created_at desc);
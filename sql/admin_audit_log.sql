@@ -0,0 +1,15 @@
+-- Audit trail written by writeAdminAudit() in api/index.js for every admin action.
+-- admin_id is what authenticateAdmin() returns: 'secret' or 'tg:<telegram id>'.
+
+create table if not exists admin_audit_log (
+    id          bigserial primary key,
+    admin_id    text        not null,
+    action      text        not null,
+    target_type text        not null,
+    target_id   text,
+    details     jsonb       not null default '{}'::jsonb,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_target_idx on admin_audit_log (target_type, target_id, created_at desc);
+create index if not exists admin_audit_log_created_idx on admin_audit_log (created_at desc);
@@ -0,0 +1,48 @@
+-- Append-only balance ledger.
+-- Every credit/debit goes through apply_balance_transaction(), which updates
+-- users.balance and inserts the ledger row in one statement-level transaction,
+-- so concurrent rewards can no longer overwrite each other.
+
+create table if not exists balance_transactions (
+    id            bigserial primary key,
+    user_id       bigint      not null references users (id),
+    type          text        not null,
+    amount        numeric     not null,
+    source_id     text,
+    balance_after numeric     not null,
+    created_at    timestamptz not null default now()
+);
+
+create index if not exists balance_transactions_user_created_idx
+    on balance_transactions (user_id, created_at desc);
+
+create or replace function apply_balance_transaction(
+    p_user_id   bigint,
+    p_amount    numeric,
+    p_type      text,
+    p_source_id text default null
+) returns numeric
+language plpgsql
+as $$
+declare
+    v_balance numeric;
+begin
+    update users
+       set balance = balance + p_amount
+     where id = p_user_id
+       and balance + p_amount >= 0
+    returning balance into v_balance;
+
+    if not found then
+        if exists (select 1 from users where id = p_user_id) then
+            raise exception 'insufficient_balance';
+        end if;
+        raise exception 'user_not_found';
+    end if;
+
+    insert into balance_transactions (user_id, type, amount, source_id, balance_after)
+    values (p_user_id, p_type, p_amount, p_source_id, v_balance);
+
+    return v_balance;
+end;
+$$;
@@ -0,0 +1,51 @@
+-- Multi-level referral commissions paid by processCommission() in api/index.js.
+-- pay_referral_commission() credits the referrer through the ledger and records the
+-- commission_history row in one transaction, so a credit is never left without its history.
+
+alter table commission_history add column if not exists source_type text not null default 'ad'; -- ad | spin | task
+alter table commission_history add column if not exists level integer not null default 1;         -- 1 = direct referrer
+alter table commission_history add column if not exists created_at timestamptz not null default now();
+
+create index if not exists commission_history_referrer_idx on commission_history (referrer_id, referee_id);
+
+create or replace function pay_referral_commission(
+    p_referrer_id   bigint,
+    p_referee_id    bigint,
+    p_amount        numeric,
+    p_source_reward numeric,
+    p_source_type   text,
+    p_level         integer
+) returns numeric
+language plpgsql
+as $$
+declare
+    v_balance numeric;
+begin
+    v_balance := apply_balance_transaction(p_referrer_id, p_amount, 'referral_commission', p_referee_id::text);
+
+    insert into commission_history (referrer_id, referee_id, amount, source_reward, source_type, level)
+    values (p_referrer_id, p_referee_id, p_amount, p_source_reward, p_source_type, p_level);
+
+    return v_balance;
+end;
+$$;
+
+-- Commission totals for handleGetReferrals(): one row with referee_id null holding the total over
+-- all referees, plus one row per referee in p_referee_ids that earned the referrer anything.
+create or replace function referral_commission_summary(
+    p_referrer_id bigint,
+    p_referee_ids bigint[]
+) returns table (referee_id bigint, amount numeric)
+language sql
+stable
+as $$
+    select null::bigint, coalesce(sum(ch.amount), 0)
+      from commission_history ch
+     where ch.referrer_id = p_referrer_id
+    union all
+    select ch.referee_id, sum(ch.amount)
+      from commission_history ch
+     where ch.referrer_id = p_referrer_id
+       and ch.referee_id = any (p_referee_ids)
+     group by ch.referee_id;
+$$;
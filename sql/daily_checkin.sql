@@ -0,0 +1,5 @@
+-- Daily check-in streak columns read by handleDailyCheckIn() in api/index.js.
+-- last_checkin_date is a UTC calendar day; the reward schedule lives in settings.checkin_rewards.
+
+alter table users add column if not exists checkin_streak integer not null default 0;
+alter table users add column if not exists last_checkin_date date;
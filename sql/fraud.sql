@@ -0,0 +1,46 @@
+-- Anti-fraud tables and columns used by the "Anti-Fraud Scoring" section of api/index.js.
+
+create table if not exists fraud_signals (
+    id          bigserial primary key,
+    user_id     bigint not null,
+    signal      text not null,
+    weight      numeric not null,
+    details     jsonb not null default '{}'::jsonb,
+    created_at  timestamptz not null default now(),
+    reviewed_at timestamptz,
+    reviewed_by text
+);
+
+create index if not exists fraud_signals_open_by_user on fraud_signals (user_id, created_at) where reviewed_at is null;
+
+alter table users add column if not exists risk_score numeric not null default 0;
+alter table users add column if not exists fraud_status text not null default 'ok'; -- ok | review | soft_banned
+alter table users add column if not exists fraud_reasons jsonb not null default '[]'::jsonb;
+
+-- Held withdrawals (on_hold) count as open too
+drop index if exists withdrawals_one_open_per_user;
+create unique index withdrawals_one_open_per_user
+    on withdrawals (user_id) where status in ('pending', 'on_hold', 'processing');
+create index if not exists withdrawals_address on withdrawals (address);
+
+-- A reward can be credited once per source (action ID, spin, task, check-in day), even if two
+-- claims get past the handler checks at the same time. Rows that break this are double payouts:
+-- review them before running this migration instead of deleting ledger history.
+do $$
+begin
+    if exists (
+        select 1
+          from balance_transactions
+         where type in ('ad_reward', 'spin_reward', 'task_reward', 'daily_checkin')
+           and source_id is not null
+         group by user_id, type, source_id
+        having count(*) > 1
+    ) then
+        raise exception 'balance_transactions has duplicate rewards for the same source; resolve them first';
+    end if;
+end;
+$$;
+
+create unique index if not exists balance_transactions_one_time_source
+    on balance_transactions (user_id, type, source_id)
+    where type in ('ad_reward', 'spin_reward', 'task_reward', 'daily_checkin') and source_id is not null;
@@ -0,0 +1,55 @@
+-- Leaderboards served by handleGetLeaderboard() in api/index.js.
+-- leaderboard_scores() aggregates one board since p_since (null = all time), ranks every user with
+-- a positive score (best first, ties by user id) and returns (user_id, score, rank) for the top
+-- p_limit users plus p_user_id's own row. Banned users are excluded.
+-- Earnings count the ledger types listed in LEADERBOARD_EARNING_TYPES.
+
+alter table users add column if not exists display_name text;
+
+create index if not exists balance_transactions_type_created_idx on balance_transactions (type, created_at);
+create index if not exists spin_results_created_idx on spin_results (created_at);
+create index if not exists users_ref_by_idx on users (ref_by);
+
+create or replace function leaderboard_scores(
+    p_board   text,
+    p_since   timestamptz default null,
+    p_limit   integer default 50,
+    p_user_id bigint default null
+) returns table (user_id bigint, score numeric, rank bigint)
+language sql
+stable
+as $$
+    with scores as (
+        select bt.user_id, sum(bt.amount) as score
+          from balance_transactions bt
+         where p_board = 'earnings'
+           and bt.type in ('ad_reward', 'spin_reward', 'task_reward')
+           and (p_since is null or bt.created_at >= p_since)
+         group by bt.user_id
+        union all
+        select u.ref_by, count(*)::numeric
+          from users u
+         where p_board = 'referrals'
+           and u.ref_by is not null
+           and (p_since is null or u.created_at >= p_since)
+         group by u.ref_by
+        union all
+        select sr.user_id, sum(sr.prize)
+          from spin_results sr
+         where p_board = 'spins'
+           and (p_since is null or sr.created_at >= p_since)
+         group by sr.user_id
+    ),
+    ranked as (
+        select s.user_id, s.score, row_number() over (order by s.score desc, s.user_id) as rank
+          from scores s
+          join users u on u.id = s.user_id
+         where not u.is_banned
+           and s.score > 0
+    )
+    select r.user_id, r.score, r.rank
+      from ranked r
+     where r.rank <= p_limit
+        or r.user_id = p_user_id
+     order by r.rank;
+$$;
@@ -0,0 +1,16 @@
+-- Limit reset policies used by resetDailyLimitsIfExpired() / resetExpiredDailyLimits() in api/index.js.
+-- The "daily" and "rolling" policies reset a counter relative to the first ad/spin of its window,
+-- stored in *_window_started_at (cleared together with the counter on every reset).
+
+alter table users add column if not exists ads_window_started_at timestamptz;
+alter table users add column if not exists spins_window_started_at timestamptz;
+
+create index if not exists users_ads_window_started_idx on users (ads_window_started_at);
+create index if not exists users_spins_window_started_idx on users (spins_window_started_at);
+create index if not exists users_ads_limit_reached_idx on users (ads_limit_reached_at);
+create index if not exists users_spins_limit_reached_idx on users (spins_limit_reached_at);
+
+-- Example: ads reset every day at 00:00 Moscow time, spins 24 hours after the first spin.
+-- insert into settings (key, value) values
+--     ('limit_reset_policies', '{"ads": {"type": "daily", "hour": 0, "timezone": "Europe/Moscow"}, "spins": {"type": "rolling", "window_ms": 86400000}}')
+-- on conflict (key) do update set value = excluded.value, updated_at = now();
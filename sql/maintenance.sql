@@ -0,0 +1,59 @@
+-- Scheduled maintenance run by handleMaintenance() in api/index.js (GET/POST /api/?maintenance).
+-- Expired temp_actions rows are purged by created_at, and rollup_daily_stats() recomputes one UTC
+-- day of activity into daily_stats (idempotent, so the job can refresh today's row every run).
+-- Rewards paid count the ledger types listed in STATS_REWARD_TYPES.
+
+create index if not exists temp_actions_created_idx on temp_actions (created_at);
+create index if not exists users_created_idx on users (created_at);
+create index if not exists withdrawals_created_idx on withdrawals (created_at);
+
+create table if not exists daily_stats (
+    day                   date        primary key,
+    new_users             integer     not null default 0,
+    ads_watched           integer     not null default 0,
+    spins                 integer     not null default 0,
+    rewards_paid          numeric     not null default 0,
+    withdrawals_requested integer     not null default 0,
+    withdrawals_amount    numeric     not null default 0,
+    updated_at            timestamptz not null default now()
+);
+
+create or replace function rollup_daily_stats(
+    p_day date
+) returns daily_stats
+language sql
+as $$
+    with bounds as (
+        select p_day::timestamp at time zone 'UTC' as day_start,
+               (p_day + 1)::timestamp at time zone 'UTC' as day_end
+    )
+    insert into daily_stats as ds (
+        day, new_users, ads_watched, spins, rewards_paid, withdrawals_requested, withdrawals_amount, updated_at
+    )
+    select p_day,
+           (select count(*) from users u
+             where u.created_at >= b.day_start and u.created_at < b.day_end),
+           (select count(*) from balance_transactions bt
+             where bt.type = 'ad_reward'
+               and bt.created_at >= b.day_start and bt.created_at < b.day_end),
+           (select count(*) from spin_results sr
+             where sr.created_at >= b.day_start and sr.created_at < b.day_end),
+           (select coalesce(sum(bt.amount), 0) from balance_transactions bt
+             where bt.type in ('ad_reward', 'spin_reward', 'task_reward', 'daily_checkin', 'referral_commission', 'achievement_reward')
+               and bt.created_at >= b.day_start and bt.created_at < b.day_end),
+           (select count(*) from withdrawals w
+             where w.created_at >= b.day_start and w.created_at < b.day_end),
+           (select coalesce(sum(w.amount), 0) from withdrawals w
+             where w.created_at >= b.day_start and w.created_at < b.day_end),
+           now()
+      from bounds b
+    on conflict (day) do update
+       set new_users             = excluded.new_users,
+           ads_watched           = excluded.ads_watched,
+           spins                 = excluded.spins,
+           rewards_paid          = excluded.rewards_paid,
+           withdrawals_requested = excluded.withdrawals_requested,
+           withdrawals_amount    = excluded.withdrawals_amount,
+           updated_at            = excluded.updated_at
+    returning ds.*;
+$$;
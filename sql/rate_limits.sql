@@ -0,0 +1,41 @@
+-- Sliding-window rate limiting used by checkRateLimit() in api/index.js (RATE_LIMIT_STORE=storage).
+-- rate_limit_hit() records a hit for p_key unless p_limit hits already fall inside the last
+-- p_window_ms milliseconds. It returns 0 when the hit was allowed, otherwise the number of
+-- milliseconds until the oldest hit leaves the window (sent to the client as Retry-After).
+
+create table if not exists rate_limit_hits (
+    key    text        not null,
+    hit_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_key_hit_at_idx on rate_limit_hits (key, hit_at);
+
+create or replace function rate_limit_hit(
+    p_key       text,
+    p_window_ms integer,
+    p_limit     integer
+) returns integer
+language plpgsql
+as $$
+declare
+    v_window_start timestamptz := now() - make_interval(secs => p_window_ms / 1000.0);
+    v_count        integer;
+    v_oldest       timestamptz;
+begin
+    -- Serialize hits per key so concurrent requests can't both take the last slot
+    perform pg_advisory_xact_lock(hashtext(p_key));
+
+    delete from rate_limit_hits where key = p_key and hit_at <= v_window_start;
+
+    select count(*), min(hit_at) into v_count, v_oldest
+      from rate_limit_hits
+     where key = p_key;
+
+    if v_count >= p_limit then
+        return greatest(1, ceil(extract(epoch from (v_oldest - v_window_start)) * 1000))::integer;
+    end if;
+
+    insert into rate_limit_hits (key) values (p_key);
+    return 0;
+end;
+$$;
@@ -0,0 +1,11 @@
+-- Referral activity columns used by payReferralCommissions() in api/index.js.
+-- lifetime_ads_watched gates level-1 commissions (referral_min_referee_ads) and is never reset,
+-- unlike ads_watched_today.
+
+alter table users add column if not exists lifetime_ads_watched integer not null default 0;
+
+-- Existing users keep the ads they already watched (one ad_reward ledger row per ad)
+update users u
+   set lifetime_ads_watched = a.ads
+  from (select user_id, count(*) as ads from balance_transactions where type = 'ad_reward' group by user_id) a
+ where a.user_id = u.id and u.lifetime_ads_watched = 0;
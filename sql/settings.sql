@@ -0,0 +1,16 @@
+-- Reward economy settings read by getSettings() in api/index.js.
+-- Each row overrides one key of DEFAULT_SETTINGS; invalid values are ignored by the API.
+
+create table if not exists settings (
+    key        text primary key,
+    value      jsonb       not null,
+    updated_at timestamptz not null default now()
+);
+
+-- Example:
+-- insert into settings (key, value) values
+--     ('reward_per_ad', '3'),
+--     ('daily_max_ads', '100'),
+--     ('spin_sectors', '[5, 10, 15, 20, 5]'),
+--     ('min_withdraw', '400')
+-- on conflict (key) do update set value = excluded.value, updated_at = now();
@@ -0,0 +1,17 @@
+-- Provably fair spins (handlePreSpin / handleSpinResult in api/index.js).
+-- preSpin draws, counts and pays a spin and stores its commitment; only server_seed_hash is sent
+-- to the client until spinResult reveals server_seed and sets used_at.
+
+create table if not exists spin_commitments (
+    spin_id          text        primary key,
+    user_id          bigint      not null references users (id),
+    server_seed      text        not null,
+    server_seed_hash text        not null,
+    client_seed      text        not null,
+    prize_index      integer     not null,
+    prize            numeric     not null,
+    created_at       timestamptz not null default now(),
+    used_at          timestamptz
+);
+
+create index if not exists spin_commitments_user_created_idx on spin_commitments (user_id, created_at desc);
@@ -0,0 +1,48 @@
+-- One completion per (user, task), recorded and paid by complete_task() in one transaction.
+-- completeTaskForUser() in api/index.js maps the 'task_already_completed' / 'task_full'
+-- exceptions to the matching API errors.
+
+alter table user_task_completions add column if not exists reward numeric;
+alter table user_task_completions add column if not exists created_at timestamptz not null default now();
+
+-- Keep the first completion of any pair claimed twice before the constraint existed
+delete from user_task_completions a
+ using user_task_completions b
+ where a.user_id = b.user_id
+   and a.task_id = b.task_id
+   and a.ctid > b.ctid;
+
+alter table user_task_completions drop constraint if exists user_task_completions_user_task_key;
+alter table user_task_completions add constraint user_task_completions_user_task_key unique (user_id, task_id);
+
+create or replace function complete_task(
+    p_user_id          bigint,
+    p_task_id          bigint,
+    p_reward           numeric,
+    p_max_participants integer default null
+) returns numeric
+language plpgsql
+as $$
+declare
+    v_balance numeric;
+begin
+    -- Serialize completions of the same task so max_participants can't be overshot
+    perform 1 from tasks where id = p_task_id for update;
+
+    if p_max_participants is not null
+       and (select count(*) from user_task_completions where task_id = p_task_id) >= p_max_participants then
+        raise exception 'task_full';
+    end if;
+
+    insert into user_task_completions (user_id, task_id, reward)
+    values (p_user_id, p_task_id, p_reward)
+    on conflict (user_id, task_id) do nothing;
+
+    if not found then
+        raise exception 'task_already_completed';
+    end if;
+
+    v_balance := apply_balance_transaction(p_user_id, p_reward, 'task_reward', 'task:' || p_task_id);
+    return v_balance;
+end;
+$$;
@@ -0,0 +1,41 @@
+-- Task scheduling, participant caps and targeting checked by getTaskAvailabilityError() in api/index.js.
+-- is_active = false disables a task (adminDisableTask); is_paused hides it until adminResumeTask.
+-- starts_at / ends_at bound when it can be claimed (null = open-ended).
+-- languages holds Telegram language codes ("en", "ar", ...); null or empty = every language.
+
+alter table tasks add column if not exists is_paused boolean not null default false;
+alter table tasks add column if not exists starts_at timestamptz;
+alter table tasks add column if not exists ends_at timestamptz;
+alter table tasks add column if not exists min_account_age_days integer;
+alter table tasks add column if not exists languages text[];
+alter table tasks add column if not exists referred_only boolean not null default false;
+
+alter table tasks drop constraint if exists tasks_schedule_check;
+alter table tasks add constraint tasks_schedule_check
+    check (starts_at is null or ends_at is null or ends_at > starts_at);
+
+-- Account age for min_account_age_days. Existing users get the time of their first ledger row;
+-- users who never earned anything stay null, which getTaskAvailabilityError() treats as old enough.
+-- Only users inserted from now on default to now().
+alter table users add column if not exists created_at timestamptz;
+
+update users u
+   set created_at = l.first_at
+  from (select user_id, min(created_at) as first_at from balance_transactions group by user_id) l
+ where l.user_id = u.id and u.created_at is null;
+
+alter table users alter column created_at set default now();
+
+create index if not exists user_task_completions_task_idx on user_task_completions (task_id);
+
+-- Completions per task for getTasks / claimTask (tasks without completions return 0)
+create or replace function task_completion_counts(p_task_ids bigint[])
+returns table (task_id bigint, completions bigint)
+language sql
+stable
+as $$
+    select t.id, count(c.task_id)
+      from unnest(p_task_ids) as t(id)
+      left join user_task_completions c on c.task_id = t.id
+     group by t.id;
+$$;
@@ -0,0 +1,31 @@
+-- Task verification types used by TASK_VERIFIERS / handleStartTask() / handleSubmitTaskProof() in api/index.js.
+-- verification_config is per type: channel_join {chat}, bot_start {bot_token}, link_visit {min_seconds},
+-- referral_milestone {referrals, active_only}, manual_review {}.
+
+alter table tasks add column if not exists verification_type text not null default 'channel_join';
+alter table tasks add column if not exists verification_config jsonb not null default '{}'::jsonb;
+
+alter table tasks drop constraint if exists tasks_verification_type_check;
+alter table tasks add constraint tasks_verification_type_check
+    check (verification_type in ('channel_join', 'bot_start', 'link_visit', 'referral_milestone', 'manual_review'));
+
+-- Link visits (status "started") and proofs for manual review (submitted → approved / rejected)
+create table if not exists task_attempts (
+    id bigserial primary key,
+    user_id bigint not null references users (id),
+    task_id bigint not null references tasks (id),
+    status text not null check (status in ('started', 'submitted', 'approved', 'rejected')),
+    proof text,
+    rejection_reason text,
+    started_at timestamptz not null default now(),
+    reviewed_at timestamptz,
+    reviewed_by text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists task_attempts_user_task on task_attempts (user_id, task_id, created_at desc);
+create index if not exists task_attempts_review_queue on task_attempts (created_at) where status = 'submitted';
+
+-- Backs the "one proof in review per task" check against concurrent requests
+create unique index if not exists task_attempts_one_submitted
+    on task_attempts (user_id, task_id) where status = 'submitted';
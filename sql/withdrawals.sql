@@ -0,0 +1,18 @@
+-- Withdrawal pipeline columns used by handleWithdraw() / handleAdminUpdateWithdrawal() in api/index.js.
+-- Status lifecycle: pending → processing → completed / rejected; users may cancel while pending.
+
+alter table withdrawals add column if not exists method text;
+alter table withdrawals add column if not exists address text;
+alter table withdrawals add column if not exists fee numeric not null default 0;
+alter table withdrawals add column if not exists net_amount numeric;
+alter table withdrawals add column if not exists rejection_reason text;
+alter table withdrawals add column if not exists tx_hash text;
+alter table withdrawals add column if not exists updated_at timestamptz;
+
+-- Older rows stored the payout id in binance_id; new rows use method + address
+alter table withdrawals alter column binance_id drop not null;
+update withdrawals set method = 'binance_pay', address = binance_id where method is null and binance_id is not null;
+
+-- Backs the "one open withdrawal per user" check against concurrent requests
+create unique index if not exists withdrawals_one_open_per_user
+    on withdrawals (user_id) where status in ('pending', 'processing');
@@ -0,0 +1,81 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [userRow(1600, { lifetime_ads_watched: 99 }), userRow(1601), userRow(1602, { ref_by: 1601 })],
+            settings: [{ key: 'daily_max_ads', value: 20 }, { key: 'daily_max_spins', value: 5 }]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+async function watchAd(userId) {
+    const actionId = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, userId);
+    mock.timers.tick(5000);
+    return api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, userId);
+}
+
+const unlockCalls = () => api.postgrest.requests.filter(request => request.path === '/rest/v1/rpc/unlock_achievement');
+
+describe('unlocking', () => {
+    it('unlocks reached achievements, pays their bonus and adds their XP in one RPC each', async () => {
+        const response = await watchAd(1600);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.achievements_unlocked, [
+            { id: 'first_ad', title: 'First Ad', xp: 10, reward: 0 },
+            { id: 'ads_100', title: 'Ad Fan', xp: 100, reward: 100 }
+        ]);
+        assert.deepEqual(unlockCalls().map(request => request.body), [
+            { p_user_id: 1600, p_achievement_id: 'first_ad', p_xp: 10, p_reward: 0 },
+            { p_user_id: 1600, p_achievement_id: 'ads_100', p_xp: 100, p_reward: 100 }
+        ]);
+
+        const user = api.rows('users').find(row => row.id === 1600);
+        assert.equal(user.xp, 110);
+        assert.equal(user.balance, 103);
+        const bonus = api.rows('balance_transactions').filter(row => row.user_id === 1600 && row.type === 'achievement_reward');
+        assert.deepEqual(bonus.map(row => [row.amount, row.source_id]), [[100, 'achievement:ads_100']]);
+    });
+
+    it('unlocks each achievement once', async () => {
+        const calls = unlockCalls().length;
+        const response = await watchAd(1600);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.achievements_unlocked, []);
+        assert.equal(unlockCalls().length, calls);
+        assert.equal(api.rows('users').find(row => row.id === 1600).balance, 106);
+    });
+});
+
+describe('getAchievements', () => {
+    it('returns the level, its perks and the progress of every achievement', async () => {
+        const response = await api.call({ type: 'getAchievements' }, 1600);
+        assert.equal(response.status, 200);
+
+        const data = response.body.data;
+        assert.deepEqual([data.xp, data.level, data.level_xp, data.next_level_xp], [110, 2, 100, 300]);
+        assert.deepEqual(data.daily_limits, { ads: 25, spins: 5 });
+
+        const byId = new Map(data.achievements.map(achievement => [achievement.id, achievement]));
+        assert.equal(byId.get('ads_100').unlocked, true);
+        assert.deepEqual([byId.get('ads_1000').progress, byId.get('ads_1000').unlocked], [101, false]);
+        assert.equal(byId.get('first_spin').progress, 0);
+    });
+
+    it('counts referrals towards the referral achievements', async () => {
+        const response = await api.call({ type: 'getAchievements' }, 1601);
+        const firstReferral = response.body.data.achievements.find(achievement => achievement.id === 'first_referral');
+        assert.deepEqual([firstReferral.progress, firstReferral.unlocked], [1, false]);
+    });
+});
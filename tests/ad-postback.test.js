@@ -0,0 +1,85 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+const POSTBACK_SECRET = 'test-monetag-secret';
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        env: { AD_PROVIDER: 'monetag', AD_PROVIDER_BLOCK_ID: '9001', MONETAG_POSTBACK_SECRET: POSTBACK_SECRET },
+        seed: { users: [userRow(300), userRow(301)] }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+const postback = fields => api.request('GET', `/api/?${new URLSearchParams({ ad_postback: 'monetag', secret: POSTBACK_SECRET, ...fields })}`);
+
+async function newActionId(userId) {
+    const response = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, userId);
+    assert.equal(response.status, 200);
+    mock.timers.tick(5000);
+    return response.body.data.action_id;
+}
+
+describe('monetag postbacks', () => {
+    it('tells the client which provider to load', async () => {
+        const response = await api.call({ type: 'getConfig' }, 300);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.ad_provider, { name: 'monetag', block_id: '9001', verification_required: true, available: true });
+    });
+
+    it('pays watchAd only after the postback verified the action ID', async () => {
+        const actionId = await newActionId(300);
+
+        const early = await api.call({ type: 'watchAd', action_id: actionId }, 300);
+        assert.equal(early.status, 425);
+
+        const verified = await postback({ telegram_id: '300', ymid: actionId, event_id: 'evt-1' });
+        assert.equal(verified.status, 200);
+        assert.deepEqual(api.rows('ad_impressions').map(row => [row.id, row.user_id, row.action_id]), [['monetag:evt-1', 300, actionId]]);
+
+        const paid = await api.call({ type: 'watchAd', action_id: actionId }, 300);
+        assert.equal(paid.status, 200);
+        assert.equal(paid.body.data.new_balance, 3);
+    });
+
+    it('counts a replayed impression only once', async () => {
+        const actionId = await newActionId(301);
+        const replay = await postback({ telegram_id: '301', ymid: actionId, event_id: 'evt-1' });
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.data.message, 'Impression already processed.');
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId }, 301);
+        assert.equal(response.status, 425);
+    });
+
+    it('rejects postbacks without the secret or for unknown action IDs', async () => {
+        const actionId = await newActionId(301);
+
+        const wrongSecret = await postback({ secret: 'guess', telegram_id: '301', ymid: actionId, event_id: 'evt-2' });
+        assert.equal(wrongSecret.status, 401);
+
+        const otherUser = await postback({ telegram_id: '300', ymid: actionId, event_id: 'evt-3' });
+        assert.equal(otherUser.status, 404);
+
+        const missingEvent = await postback({ telegram_id: '301', ymid: actionId });
+        assert.equal(missingEvent.status, 400);
+
+        const unknownProvider = await api.request('GET', '/api/?ad_postback=adsgram&userid=301');
+        assert.equal(unknownProvider.status, 404);
+    });
+
+    it('ignores mock postbacks unless AD_MOCK_ENABLED is set', async () => {
+        const actionId = await newActionId(301);
+        const response = await api.request('GET', `/api/?ad_postback=mock&user_id=301&action_id=${actionId}&impression_id=mock-1`);
+        assert.equal(response.status, 401);
+    });
+});
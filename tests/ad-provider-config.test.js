@@ -0,0 +1,48 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+let consoleError;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    consoleError = mock.method(console, 'error', () => {});
+
+    // Monetag needs MONETAG_POSTBACK_SECRET to verify rewards; it is missing here
+    api = await startHarness({
+        env: { AD_PROVIDER: 'monetag' },
+        seed: { users: [userRow(310)] }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+describe('misconfigured ad provider', () => {
+    it('logs the problem once at startup', () => {
+        const messages = consoleError.mock.calls.map(call => call.arguments.join(' '));
+        assert.deepEqual(messages.filter(message => message.includes('MONETAG_POSTBACK_SECRET')), [
+            'Rewarded ads are disabled: AD_PROVIDER=monetag requires verified postbacks: set MONETAG_POSTBACK_SECRET.'
+        ]);
+    });
+
+    it('reports ads as unavailable in getConfig', async () => {
+        const response = await api.call({ type: 'getConfig' }, 310);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.ad_provider.available, false);
+    });
+
+    it('answers watchAd with 503 and keeps the rest of the API running', async () => {
+        const actionId = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 310);
+        assert.equal(actionId.status, 200);
+        mock.timers.tick(5000);
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, 310);
+        assert.equal(response.status, 503);
+        assert.equal(api.rows('users').find(row => row.id === 310).balance, 0);
+    });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createInitData, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        env: { ADMIN_TELEGRAM_IDS: '900' },
+        seed: {
+            users: [userRow(800, { balance: 100 }), userRow(801, { balance: 50 }), userRow(802)],
+            withdrawals: [
+                { id: 1, user_id: 800, amount: 400, fee: 0, net_amount: 400, method: 'binance_pay', address: '12345678', status: 'pending' },
+                { id: 2, user_id: 801, amount: 500, fee: 0, net_amount: 500, method: 'binance_pay', address: '87654321', status: 'pending' }
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+const auditActions = () => api.rows('admin_audit_log').map(row => row.action);
+
+describe('admin authentication', () => {
+    it('rejects requests without the admin secret', async () => {
+        const response = await api.call({ type: 'adminListWithdrawals' }, null, { 'x-admin-secret': 'wrong' });
+        assert.equal(response.status, 401);
+    });
+
+    it('rejects Telegram users that are not admins', async () => {
+        const response = await api.call({ type: 'adminListWithdrawals' }, 800);
+        assert.equal(response.status, 401);
+    });
+
+    it('accepts initData of a Telegram user listed in ADMIN_TELEGRAM_IDS', async () => {
+        const response = await api.call({ type: 'adminListWithdrawals', initData: createInitData(900) });
+        assert.equal(response.status, 200);
+    });
+});
+
+describe('withdrawals', () => {
+    it('lists withdrawals by status', async () => {
+        const response = await api.admin({ type: 'adminListWithdrawals', status: 'pending' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.withdrawals.map(row => row.id).sort(), [1, 2]);
+    });
+
+    it('processes and completes a withdrawal', async () => {
+        const processing = await api.admin({ type: 'adminProcessWithdrawal', withdrawal_id: 1 });
+        assert.equal(processing.status, 200);
+        assert.equal(processing.body.data.status, 'processing');
+
+        const missingTx = await api.admin({ type: 'adminCompleteWithdrawal', withdrawal_id: 1 });
+        assert.equal(missingTx.status, 400);
+
+        const completed = await api.admin({ type: 'adminCompleteWithdrawal', withdrawal_id: 1, tx_hash: '0xabc' });
+        assert.equal(completed.status, 200);
+        assert.equal(api.rows('withdrawals').find(row => row.id === 1).tx_hash, '0xabc');
+
+        const again = await api.admin({ type: 'adminRejectWithdrawal', withdrawal_id: 1, reason: 'Too late' });
+        assert.equal(again.status, 409);
+        assert.deepEqual(auditActions().slice(-2), ['process_withdrawal', 'complete_withdrawal']);
+    });
+
+    it('rejects a withdrawal with a reason and refunds it', async () => {
+        const response = await api.admin({ type: 'adminRejectWithdrawal', withdrawal_id: 2, reason: 'Invalid Pay ID' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.user_balance, 550);
+        assert.equal(api.rows('withdrawals').find(row => row.id === 2).rejection_reason, 'Invalid Pay ID');
+    });
+});
+
+describe('users', () => {
+    it('bans and unbans a user', async () => {
+        const banned = await api.admin({ type: 'adminBanUser', target_user_id: 802, reason: 'Multiple accounts' });
+        assert.equal(banned.status, 200);
+        assert.equal(api.rows('users').find(row => row.id === 802).is_banned, true);
+
+        const unbanned = await api.admin({ type: 'adminUnbanUser', target_user_id: 802 });
+        assert.equal(unbanned.status, 200);
+        assert.equal(api.rows('users').find(row => row.id === 802).is_banned, false);
+
+        const unknown = await api.admin({ type: 'adminBanUser', target_user_id: 999 });
+        assert.equal(unknown.status, 404);
+        assert.deepEqual(auditActions().slice(-2), ['ban_user', 'unban_user']);
+    });
+
+    it('adjusts a balance through the ledger with a reason', async () => {
+        const noReason = await api.admin({ type: 'adminAdjustBalance', target_user_id: 800, amount: 10 });
+        assert.equal(noReason.status, 400);
+
+        const response = await api.admin({ type: 'adminAdjustBalance', target_user_id: 800, amount: -30, reason: 'Chargeback' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.new_balance, 70);
+
+        const [entry] = api.rows('balance_transactions').filter(row => row.user_id === 800 && row.type === 'admin_adjustment');
+        assert.equal(entry.amount, -30);
+        assert.equal(entry.source_id, 'secret');
+
+        const negative = await api.admin({ type: 'adminAdjustBalance', target_user_id: 800, amount: -1000, reason: 'Too much' });
+        assert.equal(negative.status, 400);
+    });
+});
+
+describe('tasks', () => {
+    it('creates, updates and disables a task', async () => {
+        const invalid = await api.admin({ type: 'adminCreateTask', task: { name: 'No link', reward: 10 } });
+        assert.equal(invalid.status, 400);
+
+        const created = await api.admin({ type: 'adminCreateTask', task: { name: 'Join us', link: 'https://t.me/joinus', reward: 25 } });
+        assert.equal(created.status, 200);
+        const taskId = created.body.data.task.id;
+        assert.equal(created.body.data.task.is_active, true);
+
+        const updated = await api.admin({ type: 'adminUpdateTask', task_id: taskId, task: { reward: 30, unknown_column: 'ignored' } });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.data.task.reward, 30);
+        assert.equal(updated.body.data.task.unknown_column, undefined);
+
+        const disabled = await api.admin({ type: 'adminDisableTask', task_id: taskId });
+        assert.equal(disabled.status, 200);
+        assert.equal(disabled.body.data.task.is_active, false);
+
+        const missing = await api.admin({ type: 'adminUpdateTask', task_id: 999, task: { reward: 1 } });
+        assert.equal(missing.status, 404);
+        assert.deepEqual(auditActions().slice(-3), ['create_task', 'update_task', 'disable_task']);
+    });
+});
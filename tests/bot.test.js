@@ -0,0 +1,86 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow, BOT_TOKEN, WEBHOOK_SECRET } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    api = await startHarness({
+        env: { WEBAPP_URL: 'https://app.example.com' },
+        seed: {
+            users: [
+                userRow(400, { balance: 1234.5 }),
+                userRow(401, { is_banned: true }),
+                userRow(403, { ads_watched_today: 100, ads_limit_reached_at: new Date(Date.now() - 7 * 60 * 60 * 1000).toISOString() })
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.restoreAll();
+});
+
+function update(userId, text, chatType = 'private') {
+    return api.request('POST', '/api/?telegram_webhook', {
+        update_id: 1,
+        message: { message_id: 1, from: { id: userId, first_name: 'Ana', last_name: 'Lee' }, chat: { id: userId, type: chatType }, text }
+    }, { 'x-telegram-bot-api-secret-token': WEBHOOK_SECRET });
+}
+
+const lastMessageTo = chatId => api.telegram.messagesTo(chatId).at(-1).params;
+
+describe('telegram webhook', () => {
+    it('rejects updates without the secret token', async () => {
+        const response = await api.request('POST', '/api/?telegram_webhook', { update_id: 1 }, { 'x-telegram-bot-api-secret-token': 'wrong' });
+        assert.equal(response.status, 401);
+    });
+
+    it('registers the user on /start with the referral payload and sends the app button', async () => {
+        const response = await update(402, '/start 400');
+        assert.equal(response.status, 200);
+
+        const user = api.rows('users').find(row => row.id === 402);
+        assert.equal(user.ref_by, 400);
+        assert.equal(user.display_name, 'Ana Lee');
+
+        const message = lastMessageTo(402);
+        assert.match(message.text, /Welcome/);
+        assert.deepEqual(message.reply_markup, { inline_keyboard: [[{ text: '🚀 Open App', web_app: { url: 'https://app.example.com' } }]] });
+        assert.ok(api.telegram.calls.every(call => call.bot === BOT_TOKEN));
+    });
+
+    it('answers /balance', async () => {
+        await update(400, '/balance@shib_bot');
+        assert.equal(lastMessageTo(400).text, '💰 Your balance: 1,234.5 SHIB');
+
+        await update(401, '/balance');
+        assert.match(lastMessageTo(401).text, /restricted/);
+
+        await update(499, '/balance');
+        assert.match(lastMessageTo(499).text, /not registered/);
+    });
+
+    it('answers anything else with the help text and ignores group chats', async () => {
+        await update(400, 'hello');
+        assert.match(lastMessageTo(400).text, /\/help - Show this message/);
+
+        const callCount = api.telegram.calls.length;
+        const response = await update(400, '/balance', 'group');
+        assert.equal(response.status, 200);
+        assert.equal(api.telegram.calls.length, callCount);
+    });
+});
+
+describe('adminSendLimitResetReminders', () => {
+    it('resets expired limits and tells the users through the bot', async () => {
+        const response = await api.admin({ type: 'adminSendLimitResetReminders' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data, { checked: 1, notified: 1 });
+
+        assert.equal(api.rows('users').find(row => row.id === 403).ads_watched_today, 0);
+        assert.match(lastMessageTo('403').text, /limit has been reset/);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-10T12:00:00.000Z') });
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(600),
+                userRow(601, { checkin_streak: 6, last_checkin_date: '2026-03-09' }),
+                userRow(602, { checkin_streak: 4, last_checkin_date: '2026-03-01' }),
+                userRow(603, { is_banned: true })
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+async function checkIn(userId) {
+    const actionId = await api.call({ type: 'generateActionId', action_type: 'dailyCheckIn' }, userId);
+    assert.equal(actionId.status, 200);
+    return api.call({ type: 'dailyCheckIn', action_id: actionId.body.data.action_id }, userId);
+}
+
+describe('dailyCheckIn', () => {
+    it('pays the first day of the schedule once per UTC day', async () => {
+        const response = await checkIn(600);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.actual_reward, 5);
+        assert.equal(response.body.data.new_balance, 5);
+        assert.deepEqual(response.body.data.checkin, {
+            streak: 1,
+            checked_in_today: true,
+            last_checkin_date: '2026-03-10',
+            cycle_progress: 1,
+            next_reward: 10,
+            rewards: [5, 10, 15, 20, 25, 30, 50]
+        });
+
+        const again = await checkIn(600);
+        assert.equal(again.status, 409);
+
+        const [entry] = api.rows('balance_transactions').filter(row => row.user_id === 600);
+        assert.deepEqual([entry.type, entry.amount, entry.source_id], ['daily_checkin', 5, '2026-03-10']);
+    });
+
+    it('pays the last day of the schedule and unlocks the 7-day streak achievement', async () => {
+        const response = await checkIn(601);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.actual_reward, 50);
+        assert.equal(response.body.data.checkin.cycle_progress, 7);
+        assert.deepEqual(response.body.data.achievements_unlocked.map(achievement => achievement.id), ['streak_7']);
+    });
+
+    it('continues the streak the next day', async () => {
+        mock.timers.tick(DAY_MS);
+        const response = await checkIn(600);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.actual_reward, 10);
+        assert.equal(response.body.data.checkin.streak, 2);
+    });
+
+    it('restarts a broken streak at day one', async () => {
+        const response = await checkIn(602);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.actual_reward, 5);
+        assert.equal(response.body.data.checkin.streak, 1);
+    });
+
+    it('refuses banned users', async () => {
+        const response = await checkIn(603);
+        assert.equal(response.status, 403);
+    });
+});
+
+describe('getUserData', () => {
+    it('reports a lapsed streak as zero', async () => {
+        const response = await api.call({ type: 'getUserData' }, 602);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.checkin.checked_in_today, true);
+
+        mock.timers.tick(2 * DAY_MS);
+        const lapsed = await api.call({ type: 'getUserData' }, 602);
+        assert.equal(lapsed.body.data.checkin.streak, 0);
+        assert.equal(lapsed.body.data.checkin.next_reward, 5);
+    });
+});
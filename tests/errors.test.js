@@ -0,0 +1,92 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startHarness, userRow } = require('./harness');
+
+const ROOT = path.join(__dirname, '..');
+const LANGUAGES = ['en', 'ar', 'ru'];
+const SERVER_ONLY_CODES = ['maintenance_failed']; // Only the scheduler sees these
+
+// The I18N dictionary from the inline script of index.html
+function loadI18n() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const start = html.indexOf('const I18N = ') + 'const I18N = '.length;
+    const end = html.indexOf('\n        };', start) + '\n        }'.length;
+    return Function(`return ${html.slice(start, end)}`)();
+}
+
+// Every explicit code in api/index.js: sendError(res, message, status, 'code') and { code: 'code' }
+function loadErrorCodes() {
+    const source = fs.readFileSync(path.join(ROOT, 'api', 'index.js'), 'utf8');
+    const codes = new Set();
+    for (const match of source.matchAll(/\b\d{3}, '([a-z_]+)'/g)) codes.add(match[1]);
+    for (const match of source.matchAll(/\bcode: '([a-z_]+)'/g)) codes.add(match[1]);
+    return [...codes].filter(code => !SERVER_ONLY_CODES.includes(code));
+}
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [userRow(1700), userRow(1701, { spins_today: 15 })]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+describe('error responses', () => {
+    it('carry a stable code next to the English message', async () => {
+        const actionId = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 1700);
+        mock.timers.tick(5000);
+        await api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, 1700);
+        const replay = await api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, 1700);
+
+        assert.equal(replay.status, 409);
+        assert.deepEqual(replay.body, { ok: false, error: 'Invalid or previously used Server Token (Action ID).', code: 'action_token_invalid' });
+    });
+
+    it('send the values the message needs as params', async () => {
+        const actionId = await api.call({ type: 'generateActionId', action_type: 'preSpin' }, 1701);
+        mock.timers.tick(3000);
+        const response = await api.call({ type: 'preSpin', action_id: actionId.body.data.action_id }, 1701);
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'daily_spin_limit');
+        assert.deepEqual(response.body.params, { limit: 15 });
+    });
+
+    it('fall back to a code derived from the status', async () => {
+        const response = await api.request('POST', '/api/', '{"type":');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'bad_request');
+    });
+});
+
+describe('client translations', () => {
+    const i18n = loadI18n();
+
+    it('translate every error code into every language', () => {
+        const missing = [];
+        for (const code of loadErrorCodes()) {
+            LANGUAGES.filter(language => !i18n[language][`error.${code}`]).forEach(language => missing.push(`${language}: error.${code}`));
+        }
+        assert.deepEqual(missing, []);
+    });
+
+    it('use the same placeholders in every language', () => {
+        const placeholders = text => (text.match(/\{[a-z_]+\}/g) || []).sort();
+        for (const [key, text] of Object.entries(i18n.en)) {
+            for (const language of LANGUAGES.slice(1)) {
+                assert.ok(i18n[language][key], `${language} is missing ${key}`);
+                assert.deepEqual(placeholders(i18n[language][key]), placeholders(text), `${language} ${key}`);
+            }
+        }
+    });
+});
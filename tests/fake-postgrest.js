@@ -0,0 +1,254 @@
+/**
+ * Fake PostgREST (Supabase REST API) server for the API tests.
+ * The API runs with STORAGE_BACKEND=supabase against this server, so its HTTP client is exercised:
+ * URLs and query strings, apikey/Authorization and Prefer headers, error parsing and RPC call shapes.
+ * Rows and RPC results come from an in-memory store (createMemoryStorage() from api/index.js, whose
+ * RPCs are JS emulations of sql/*.sql). On top of it the server checks what PostgREST would:
+ *   - every request carries the anon key as apikey and bearer token
+ *   - writes only answer with rows under `Prefer: return=representation` (an empty 201/204 otherwise)
+ *   - HEAD/GET with `Prefer: count=exact` answer with a Content-Range total
+ *   - RPC arguments match the parameter names and types of the function in sql/*.sql, and the
+ *     emulation's result matches its declared return type
+ *   - errors use PostgREST's JSON shape ({ code, message, details, hint }); unique violations are 409/23505
+ * Every request is recorded in `requests` so tests can assert on paths and payloads.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SQL_DIR = path.join(__dirname, '..', 'sql');
+
+// Splits "a bigint, b numeric default null" on top-level commas
+function splitColumns(list) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of list) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current);
+    return parts.map(part => part.trim().split(/\s+/)).map(([name, type, ...rest]) => ({
+        name,
+        type: type.toLowerCase(),
+        hasDefault: rest.some(word => word.toLowerCase() === 'default')
+    }));
+}
+
+/**
+ * Function signatures declared in sql/*.sql: name -> { args: [{ name, type, hasDefault }], returns }.
+ * `returns` is { table: [columns] } or { type }.
+ */
+function loadSqlFunctions(sqlDir = SQL_DIR) {
+    const functions = {};
+    const pattern = /create\s+or\s+replace\s+function\s+(\w+)\s*\(([^)]*)\)\s*returns\s+(?:table\s*\(([^)]*)\)|([\w[\]]+))/gi;
+    fs.readdirSync(sqlDir).filter(file => file.endsWith('.sql')).sort().forEach(file => {
+        const sql = fs.readFileSync(path.join(sqlDir, file), 'utf8');
+        for (const match of sql.matchAll(pattern)) {
+            functions[match[1]] = {
+                file,
+                args: match[2].trim() ? splitColumns(match[2]) : [],
+                returns: match[3] !== undefined ? { table: splitColumns(match[3]).map(column => column.name) } : { type: match[4].toLowerCase() }
+            };
+        }
+    });
+    return functions;
+}
+
+const INTEGER_TYPES = ['bigint', 'integer', 'int', 'smallint'];
+const NUMERIC_TYPES = [...INTEGER_TYPES, 'numeric'];
+
+// Whether a JSON value is accepted by PostgREST for an argument of this SQL type
+function isValidArgument(type, value) {
+    if (value === null) return true;
+    if (type.endsWith('[]')) {
+        return Array.isArray(value) && value.every(item => isValidArgument(type.slice(0, -2), item));
+    }
+    if (INTEGER_TYPES.includes(type)) return Number.isInteger(Number(value)) && value !== '' && typeof value !== 'boolean';
+    if (type === 'numeric') return value !== '' && typeof value !== 'boolean' && !Number.isNaN(Number(value));
+    if (type === 'boolean') return typeof value === 'boolean';
+    if (type === 'date') return /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (type === 'timestamptz') return !Number.isNaN(new Date(value).getTime());
+    return typeof value !== 'object';
+}
+
+// Why an emulated RPC result doesn't fit the declared return type, or null
+function getResultMismatch(returns, result) {
+    if (returns.table) {
+        if (!Array.isArray(result)) return 'expected an array of rows';
+        const bad = result.find(row => Object.keys(row).sort().join(',') !== [...returns.table].sort().join(','));
+        return bad ? `row ${JSON.stringify(bad)} doesn't have the columns (${returns.table.join(', ')})` : null;
+    }
+    if (NUMERIC_TYPES.includes(returns.type)) {
+        return typeof result === 'number' ? null : `expected a number, got ${JSON.stringify(result)}`;
+    }
+    if (returns.type === 'boolean') {
+        return typeof result === 'boolean' ? null : `expected a boolean, got ${JSON.stringify(result)}`;
+    }
+    return null;
+}
+
+function pgError(status, code, message, details = null) {
+    return { status, body: { code, message, details, hint: null } };
+}
+
+// Maps an exception from the memory store to the response PostgREST would send
+function toPgError(error, isRpc) {
+    if (error.status) return error;
+    if (/duplicate key value violates unique constraint/.test(error.message)) {
+        return pgError(409, '23505', error.message);
+    }
+    if (/^Unsupported/.test(error.message)) {
+        return pgError(400, 'PGRST100', error.message);
+    }
+    // Exceptions raised inside a function ("raise exception 'task_full'") arrive as P0001
+    return isRpc ? pgError(400, 'P0001', error.message) : pgError(400, 'PGRST000', error.message);
+}
+
+/**
+ * Starts the server. Attach the store with setStorage() before the first request.
+ * Returns { baseUrl, anonKey, requests, setStorage, storage, failWhen, close }.
+ */
+function startFakePostgrest({ anonKey = 'test-anon-key', sqlDir = SQL_DIR } = {}) {
+    const sqlFunctions = loadSqlFunctions(sqlDir);
+    const requests = [];
+    const failures = [];
+    let storage = null;
+
+    async function handle(req, rawBody) {
+        const url = new URL(req.url, 'http://localhost');
+        const prefer = req.headers.prefer || '';
+        const body = rawBody ? JSON.parse(rawBody) : null;
+        const match = url.pathname.match(/^\/rest\/v1\/(rpc\/)?(\w+)$/);
+        const entry = { method: req.method, path: url.pathname, query: url.search, prefer, body };
+        requests.push(entry);
+
+        if (req.headers.apikey !== anonKey || req.headers.authorization !== `Bearer ${anonKey}`) {
+            return pgError(401, 'PGRST301', 'No API key found in request');
+        }
+        if (!match) {
+            return pgError(404, 'PGRST125', `Invalid path: ${url.pathname}`);
+        }
+        if (rawBody && !(req.headers['content-type'] || '').startsWith('application/json')) {
+            return pgError(415, 'PGRST107', 'Content-Type must be application/json');
+        }
+        const failure = failures.find(candidate => candidate.match(entry));
+        if (failure) {
+            return pgError(failure.status, 'PGRST000', failure.message);
+        }
+
+        // RPC: POST /rest/v1/rpc/<name> with the named arguments as a JSON object
+        if (match[1]) {
+            const name = match[2];
+            const signature = sqlFunctions[name];
+            const args = body || {};
+            const argNames = Object.keys(args);
+            if (req.method !== 'POST') {
+                return pgError(405, 'PGRST101', 'Only POST is supported for RPC calls in these tests');
+            }
+            if (!signature
+                || argNames.some(argName => !signature.args.some(arg => arg.name === argName))
+                || signature.args.some(arg => !arg.hasDefault && !argNames.includes(arg.name))) {
+                return pgError(404, 'PGRST202', `Could not find the function public.${name}(${argNames.sort().join(', ')}) in the schema cache`);
+            }
+            const invalid = signature.args.find(arg => argNames.includes(arg.name) && !isValidArgument(arg.type, args[arg.name]));
+            if (invalid) {
+                return pgError(400, '22P02', `invalid input syntax for type ${invalid.type}: "${JSON.stringify(args[invalid.name])}"`);
+            }
+
+            // Defaults are applied by Postgres, so the emulation sees them as null
+            const withDefaults = {};
+            signature.args.forEach(arg => {
+                withDefaults[arg.name] = argNames.includes(arg.name) ? args[arg.name] : null;
+            });
+            const result = await storage.rpc(name, withDefaults);
+            const mismatch = getResultMismatch(signature.returns, result);
+            if (mismatch) {
+                return pgError(500, 'XX000', `Emulated ${name}() doesn't match sql/${signature.file}: ${mismatch}`);
+            }
+            return { status: 200, body: result === undefined ? null : result };
+        }
+
+        // Tables: /rest/v1/<table>?<filters>
+        const table = match[2];
+        const query = url.search;
+        const wantsRows = prefer.includes('return=representation');
+        const headers = {};
+
+        if (prefer.includes('count=exact') && (req.method === 'GET' || req.method === 'HEAD')) {
+            const total = await storage.count(table, query);
+            headers['Content-Range'] = total > 0 ? `0-${total - 1}/${total}` : '*/0';
+        }
+
+        switch (req.method) {
+            case 'HEAD':
+                return { status: 200, headers, body: undefined };
+            case 'GET':
+                return { status: 200, headers, body: await storage.request(table, 'GET', null, query) };
+            case 'POST': {
+                const rows = await storage.request(table, 'POST', body, query);
+                return wantsRows ? { status: 201, body: rows } : { status: 201, body: undefined };
+            }
+            case 'PATCH':
+            case 'DELETE': {
+                const rows = await storage.request(table, req.method, body, query);
+                return wantsRows ? { status: 200, body: rows } : { status: 204, body: undefined };
+            }
+            default:
+                return pgError(405, 'PGRST101', `Unsupported method ${req.method}`);
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            let response;
+            try {
+                response = await handle(req, Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                response = toPgError(error, req.url.includes('/rpc/'));
+            }
+            const headers = { ...(response.headers || {}) };
+            if (response.body !== undefined) {
+                headers['Content-Type'] = 'application/json; charset=utf-8';
+            }
+            res.writeHead(response.status, headers);
+            res.end(response.body !== undefined && req.method !== 'HEAD' ? JSON.stringify(response.body) : undefined);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                anonKey,
+                requests,
+                setStorage(memoryStorage) {
+                    storage = memoryStorage;
+                },
+                get storage() {
+                    return storage;
+                },
+                // Answers matching requests ({ method, path, query, prefer, body }) with an error until removed
+                failWhen(matchRequest, { status = 503, message = 'Service Unavailable' } = {}) {
+                    const failure = { match: matchRequest, status, message };
+                    failures.push(failure);
+                    return () => failures.splice(failures.indexOf(failure), 1);
+                },
+                close() {
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+module.exports = { startFakePostgrest, loadSqlFunctions };
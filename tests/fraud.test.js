@@ -0,0 +1,128 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createInitData, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(1300, { balance: 1000 }),
+                userRow(1301, { balance: 1000 }),
+                userRow(1302, { balance: 1000 }),
+                userRow(1303)
+            ],
+            withdrawals: [{ id: 1, user_id: 1301, amount: 400, fee: 0, net_amount: 400, method: 'binance_pay', address: '11112222', status: 'pending' }]
+        }
+    });
+    mock.method(console, 'warn', () => {});
+});
+
+after(async () => {
+    await api.close();
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+const userOf = userId => api.rows('users').find(row => row.id === userId);
+const signalsOf = userId => api.rows('fraud_signals').filter(row => row.user_id === userId).map(row => row.signal);
+
+// Valid initData of `userId` sent on behalf of `claimedUserId`
+const impersonate = (userId, claimedUserId) => api.request('POST', '/api/', { type: 'getUserData', user_id: claimedUserId, initData: createInitData(userId) });
+
+async function withdraw(userId, address) {
+    const actionId = await api.call({ type: 'generateActionId', action_type: 'withdraw' }, userId);
+    return api.call({ type: 'withdraw', method: 'binance_pay', address, amount: 400, action_id: actionId.body.data.action_id }, userId);
+}
+
+describe('signals', () => {
+    it('records ads claimed faster than they can be watched', async () => {
+        const actionId = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 1303);
+        const response = await api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, 1303);
+        assert.equal(response.status, 200);
+        assert.deepEqual(signalsOf(1303), ['fast_action_claim']);
+        assert.equal(userOf(1303).risk_score, 15);
+        assert.equal(userOf(1303).fraud_status, 'ok');
+    });
+
+    it('refuses initData sent for another user_id and holds the user\'s pending withdrawals', async () => {
+        const response = await impersonate(1301, 1300);
+        assert.equal(response.status, 403);
+
+        assert.deepEqual(signalsOf(1301), ['initdata_reuse']);
+        assert.equal(userOf(1301).fraud_status, 'review');
+        assert.equal(api.rows('withdrawals').find(row => row.id === 1).status, 'on_hold');
+    });
+
+    it('flags every account that withdraws to the same address', async () => {
+        const first = await withdraw(1300, '55556666');
+        assert.equal(first.status, 200);
+        assert.equal(first.body.data.withdrawal.status, 'pending');
+
+        const second = await withdraw(1302, '55556666');
+        assert.equal(second.status, 200);
+        assert.equal(second.body.data.withdrawal.status, 'pending');
+        assert.deepEqual(signalsOf(1302), ['shared_withdrawal_address']);
+        assert.deepEqual(signalsOf(1300), ['shared_withdrawal_address']);
+    });
+
+    it('soft-bans users over fraud_soft_ban_score from earning but not from viewing data', async () => {
+        await impersonate(1301, 1300);
+        assert.equal(userOf(1301).fraud_status, 'soft_banned');
+
+        const actionId = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 1301);
+        mock.timers.tick(5000);
+        const watchAd = await api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, 1301);
+        assert.equal(watchAd.status, 403);
+
+        const userData = await api.call({ type: 'getUserData' }, 1301);
+        assert.equal(userData.status, 200);
+    });
+});
+
+describe('operator review', () => {
+    it('lists flagged users with their open signals, highest risk first', async () => {
+        const response = await api.admin({ type: 'adminListFraudFlags' });
+        assert.equal(response.status, 200);
+
+        const [first] = response.body.data.users;
+        assert.deepEqual([first.id, first.risk_score, first.fraud_status], [1301, 100, 'soft_banned']);
+        assert.deepEqual(first.signals.map(signal => signal.signal), ['initdata_reuse', 'initdata_reuse']);
+    });
+
+    it('releases a held withdrawal back to pending', async () => {
+        const released = await api.admin({ type: 'adminReleaseWithdrawal', withdrawal_id: 1 });
+        assert.equal(released.status, 200);
+        assert.equal(api.rows('withdrawals').find(row => row.id === 1).status, 'pending');
+
+        const again = await api.admin({ type: 'adminReleaseWithdrawal', withdrawal_id: 1 });
+        assert.equal(again.status, 409);
+    });
+
+    it('clears the flag so the signals stop counting', async () => {
+        const response = await api.admin({ type: 'adminClearFraudFlag', target_user_id: 1301, release_withdrawals: true });
+        assert.equal(response.status, 200);
+        assert.equal(userOf(1301).fraud_status, 'ok');
+        assert.ok(api.rows('fraud_signals').filter(row => row.user_id === 1301).every(row => row.reviewed_by === 'secret'));
+
+        const listed = await api.admin({ type: 'adminListFraudFlags' });
+        assert.ok(!listed.body.data.users.some(user => user.id === 1301));
+    });
+});
+
+describe('one-time rewards', () => {
+    it('refuses a second ledger entry for the same reward source', async () => {
+        const [entry] = api.rows('balance_transactions').filter(row => row.user_id === 1303 && row.type === 'ad_reward');
+        const response = await fetch(`${api.postgrest.baseUrl}/rest/v1/rpc/apply_balance_transaction`, {
+            method: 'POST',
+            headers: { apikey: api.postgrest.anonKey, Authorization: `Bearer ${api.postgrest.anonKey}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ p_user_id: 1303, p_amount: 3, p_type: 'ad_reward', p_source_id: entry.source_id })
+        });
+        assert.equal(response.status, 409);
+        assert.match((await response.json()).message, /balance_transactions_one_time_source/);
+        assert.equal(userOf(1303).balance, 3);
+    });
+});
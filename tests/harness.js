@@ -0,0 +1,186 @@
+/**
+ * Test harness for api/index.js.
+ * Runs the exported (req, res) handler in-process against two fake servers on localhost:
+ *   - tests/fake-postgrest.js stands in for the Supabase REST API (the API runs with its real
+ *     Supabase storage backend, so every query goes over HTTP and is recorded)
+ *   - a fake Telegram Bot API (TELEGRAM_API_BASE), see startFakeTelegram()
+ * The API reads its configuration when it is loaded, so call startHarness() once per test file
+ * before anything requires api/index.js.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const { Readable } = require('stream');
+const { startFakePostgrest } = require('./fake-postgrest');
+
+const BOT_TOKEN = '123456:test-bot-token';
+const ADMIN_SECRET = 'test-admin-secret';
+const CRON_SECRET = 'test-cron-secret';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+/**
+ * Fake Telegram Bot API. Records every call as { bot, method, params } and answers:
+ *   - getChatMember from `members` ("<chat_id>:<user_id>" -> status, "left" when unknown)
+ *   - getChat with the private chat of users who started that bot (setStarted), an error otherwise
+ *   - sendMessage with the sent message
+ * Parameters may come as a JSON body or as a query string.
+ */
+function startFakeTelegram() {
+    const calls = [];
+    const members = new Map();
+    const started = new Set();
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const [, bot, method] = url.pathname.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+            const params = chunks.length > 0
+                ? JSON.parse(Buffer.concat(chunks).toString('utf8'))
+                : Object.fromEntries(url.searchParams.entries());
+            calls.push({ bot, method, params });
+
+            const reply = (status, payload) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            };
+
+            if (method === 'getChatMember') {
+                return reply(200, { ok: true, result: { status: members.get(`${params.chat_id}:${params.user_id}`) || 'left' } });
+            }
+            if (method === 'getChat') {
+                if (!started.has(`${bot}:${params.chat_id}`)) {
+                    return reply(400, { ok: false, error_code: 400, description: 'Bad Request: chat not found' });
+                }
+                return reply(200, { ok: true, result: { id: Number(params.chat_id), type: 'private' } });
+            }
+            if (method === 'sendMessage') {
+                return reply(200, { ok: true, result: { message_id: calls.length, chat: { id: params.chat_id }, text: params.text } });
+            }
+            reply(200, { ok: true, result: true });
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                calls,
+                setMember(chatId, userId, status = 'member') {
+                    members.set(`${chatId}:${userId}`, status);
+                },
+                setStarted(botToken, userId) {
+                    started.add(`${botToken}:${userId}`);
+                },
+                messagesTo(chatId) {
+                    return calls.filter(call => call.method === 'sendMessage' && String(call.params.chat_id) === String(chatId));
+                },
+                close() {
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Signed initData for a Telegram user, as the Mini App receives it.
+ */
+function createInitData(userId, { languageCode = 'en', authDate = Math.floor(Date.now() / 1000), botToken = BOT_TOKEN } = {}) {
+    const params = new URLSearchParams({
+        auth_date: String(authDate),
+        user: JSON.stringify({ id: userId, first_name: `User ${userId}`, language_code: languageCode })
+    });
+    const dataCheckString = [...params.entries()].map(([key, value]) => `${key}=${value}`).sort().join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+/**
+ * A users row for seeds, with the counters a registered user starts with.
+ */
+function userRow(id, fields = {}) {
+    return {
+        id, balance: 0, ads_watched_today: 0, spins_today: 0, lifetime_ads_watched: 0, lifetime_spins: 0,
+        xp: 0, is_banned: false, task_completed: false, created_at: '2020-01-01T00:00:00.000Z', ...fields
+    };
+}
+
+/**
+ * Starts the fake servers, seeds the store (`seed`: table name -> rows) and loads the API.
+ * Returns { call, admin, request, initData, postgrest, telegram, close }.
+ */
+async function startHarness({ seed = {}, env = {} } = {}) {
+    const postgrest = await startFakePostgrest();
+    const telegram = await startFakeTelegram();
+
+    Object.assign(process.env, {
+        NEXT_PUBLIC_SUPABASE_URL: postgrest.baseUrl,
+        NEXT_PUBLIC_SUPABASE_ANON_KEY: postgrest.anonKey,
+        TELEGRAM_API_BASE: telegram.baseUrl,
+        BOT_TOKEN,
+        ADMIN_SECRET,
+        CRON_SECRET,
+        TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET
+    }, env);
+    const handler = require('../api/index.js');
+    postgrest.setStorage(handler.createMemoryStorage(seed));
+
+    // Runs one request through the handler and resolves to { status, headers, body }
+    function request(method, url, body, headers = {}) {
+        const req = Readable.from(body === undefined ? [] : [Buffer.from(typeof body === 'string' ? body : JSON.stringify(body))]);
+        req.method = method;
+        req.url = url;
+        req.headers = { 'x-forwarded-for': '203.0.113.1', ...headers };
+
+        return new Promise((resolve, reject) => {
+            const res = {
+                statusCode: 200,
+                headers: {},
+                setHeader(name, value) {
+                    this.headers[name.toLowerCase()] = value;
+                },
+                on() {},
+                writeHead(statusCode, headers = {}) {
+                    this.statusCode = statusCode;
+                    Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+                },
+                end(payload) {
+                    resolve({ status: this.statusCode, headers: this.headers, body: payload ? JSON.parse(payload) : null });
+                }
+            };
+            Promise.resolve(handler(req, res)).catch(reject);
+        });
+    }
+
+    return {
+        request,
+        initData: createInitData,
+        postgrest,
+        telegram,
+        // Mini App request: POST /api/ with a JSON body, signed as `userId` (initData + user_id)
+        // when a user id is given, otherwise sent with `headers` only
+        call(body, userId = null, headers = {}) {
+            if (userId === null) {
+                return request('POST', '/api/', body, headers);
+            }
+            return request('POST', '/api/', { ...body, user_id: userId, initData: createInitData(userId) }, headers);
+        },
+        // Admin request authenticated with ADMIN_SECRET
+        admin(body) {
+            return request('POST', '/api/', body, { 'x-admin-secret': ADMIN_SECRET });
+        },
+        // Rows of a table in the fake database
+        rows(table) {
+            return postgrest.storage.store.table(table);
+        },
+        async close() {
+            await telegram.close();
+            await postgrest.close();
+        }
+    };
+}
+
+module.exports = { startHarness, createInitData, userRow, BOT_TOKEN, ADMIN_SECRET, CRON_SECRET, WEBHOOK_SECRET };
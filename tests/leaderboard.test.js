@@ -0,0 +1,78 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-11T12:00:00.000Z') });
+
+    // Users 1501..1555 earned 1501..1555 SHIB this week; 1555 is banned, 1556 earned nothing
+    const users = [];
+    const transactions = [];
+    for (let id = 1501; id <= 1555; id++) {
+        users.push(userRow(id, { display_name: id === 1554 ? 'Alexander' : null, is_banned: id === 1555 }));
+        transactions.push({ id, user_id: id, amount: id, type: 'ad_reward', source_id: `ad-${id}`, created_at: '2026-03-10T08:00:00.000Z' });
+    }
+    users.push(userRow(1556, { ref_by: 1501 }), userRow(1557, { ref_by: 1501 }), userRow(1558, { ref_by: 1502 }));
+    // Last week's earnings only count for all time
+    transactions.push({ id: 2000, user_id: 1501, amount: 100000, type: 'ad_reward', source_id: 'ad-old', created_at: '2026-03-01T08:00:00.000Z' });
+
+    api = await startHarness({ seed: { users, balance_transactions: transactions } });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+const scoreCalls = () => api.postgrest.requests.filter(request => request.path === '/rest/v1/rpc/leaderboard_scores').map(request => request.body);
+
+describe('getLeaderboard', () => {
+    it('returns the top 50 with masked names, ranked in SQL, without banned users', async () => {
+        const response = await api.call({ type: 'getLeaderboard', board: 'earnings', period: 'week' }, 1554);
+        assert.equal(response.status, 200);
+
+        const { entries, me } = response.body.data;
+        assert.equal(entries.length, 50);
+        assert.deepEqual(entries[0], { rank: 1, name: 'Al*****r', score: 1554, is_me: true });
+        assert.deepEqual(entries[49], { rank: 50, name: 'User ***505', score: 1505, is_me: false });
+        assert.deepEqual(me, { rank: 1, score: 1554 });
+
+        assert.deepEqual(scoreCalls(), [{ p_board: 'earnings', p_since: '2026-03-09T00:00:00.000Z', p_limit: 50, p_user_id: null }]);
+    });
+
+    it('asks SQL for the caller\'s own rank outside the top', async () => {
+        const response = await api.call({ type: 'getLeaderboard', board: 'earnings', period: 'week' }, 1501);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.me, { rank: 54, score: 1501 });
+        assert.deepEqual(scoreCalls().at(-1), { p_board: 'earnings', p_since: '2026-03-09T00:00:00.000Z', p_limit: 0, p_user_id: 1501 });
+
+        const nobody = await api.call({ type: 'getLeaderboard', board: 'earnings', period: 'week' }, 1556);
+        assert.deepEqual(nobody.body.data.me, { rank: null, score: 0 });
+    });
+
+    it('serves the board from the cache until it expires', async () => {
+        const callCount = scoreCalls().length;
+        await api.call({ type: 'getLeaderboard', board: 'earnings', period: 'week' }, 1554);
+        assert.equal(scoreCalls().length, callCount);
+
+        mock.timers.tick(5 * 60 * 1000);
+        await api.call({ type: 'getLeaderboard', board: 'earnings', period: 'week' }, 1554);
+        assert.equal(scoreCalls().length, callCount + 1);
+    });
+
+    it('ranks all-time earnings and referrals', async () => {
+        const allTime = await api.call({ type: 'getLeaderboard', board: 'earnings', period: 'all' }, 1501);
+        assert.deepEqual(allTime.body.data.me, { rank: 1, score: 101501 });
+
+        const referrals = await api.call({ type: 'getLeaderboard', board: 'referrals', period: 'all' }, 1502);
+        assert.deepEqual(referrals.body.data.entries.map(entry => [entry.rank, entry.score]), [[1, 2], [2, 1]]);
+        assert.deepEqual(referrals.body.data.me, { rank: 2, score: 1 });
+    });
+
+    it('rejects unknown boards and periods', async () => {
+        assert.equal((await api.call({ type: 'getLeaderboard', board: 'balance' }, 1501)).status, 400);
+        assert.equal((await api.call({ type: 'getLeaderboard', period: 'year' }, 1501)).status, 400);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-10T12:00:00.000Z') });
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(2100, { spins_today: 15, spins_limit_reached_at: '2026-03-10T10:00:00.000Z' }),
+                userRow(2101, { spins_today: 3, spins_limit_reached_at: null }),
+                userRow(2102, { ads_watched_today: 2, ads_window_started_at: '2026-03-10T09:00:00.000Z' }),
+                userRow(2103, { ads_watched_today: 100, ads_window_started_at: '2026-03-09T01:00:00.000Z' })
+            ],
+            settings: [{
+                key: 'limit_reset_policies',
+                value: { ads: { type: 'daily', hour: 4, timezone: 'Europe/Moscow' }, spins: { type: 'limit_reached' } }
+            }]
+        }
+    });
+    mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+    await api.close();
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+const resetTimes = async userId => {
+    const response = await api.call({ type: 'getUserData' }, userId);
+    assert.equal(response.status, 200);
+    return [response.body.data.ads_reset_at, response.body.data.spins_reset_at];
+};
+
+describe('reset times', () => {
+    it('reports reset_interval_ms after the limit was reached for limit_reached counters', async () => {
+        assert.deepEqual(await resetTimes(2100), [null, '2026-03-10T16:00:00.000Z']);
+        assert.deepEqual(await resetTimes(2101), [null, null]);
+    });
+
+    it('reports the next daily reset hour in the configured time zone', async () => {
+        // 04:00 in Moscow is 01:00 UTC
+        assert.deepEqual(await resetTimes(2102), ['2026-03-11T01:00:00.000Z', null]);
+    });
+
+    it('exposes the policies in getConfig', async () => {
+        const response = await api.call({ type: 'getConfig' }, 2100);
+        assert.deepEqual(response.body.data.limit_reset_policies.ads, { type: 'daily', hour: 4, timezone: 'Europe/Moscow' });
+    });
+});
+
+describe('resets', () => {
+    it('resets a counter whose daily boundary passed on the user\'s next request', async () => {
+        const actionId = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 2103);
+        mock.timers.tick(5000);
+        const response = await api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, 2103);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.new_ads_count, 1);
+
+        const user = api.rows('users').find(row => row.id === 2103);
+        assert.equal(user.ads_window_started_at, new Date(Date.now()).toISOString());
+    });
+
+    it('switches policies with the setting', async () => {
+        const setting = api.rows('settings').find(row => row.key === 'limit_reset_policies');
+        setting.value = { ads: { type: 'rolling', window_ms: 2 * HOUR_MS } };
+        mock.timers.tick(60 * 1000); // Settings are cached for a minute
+
+        // User 2102's window started at 09:00, so their ads are back now; 2103's started at 12:00:05
+        assert.deepEqual(await resetTimes(2102), [null, null]);
+        assert.equal(api.rows('users').find(row => row.id === 2102).ads_watched_today, 0);
+        assert.deepEqual(await resetTimes(2103), ['2026-03-10T14:00:05.000Z', null]);
+    });
+});
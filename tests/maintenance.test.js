@@ -0,0 +1,96 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow, CRON_SECRET } = require('./harness');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-10T12:00:00.000Z') });
+    const iso = offsetMs => new Date(Date.now() + offsetMs).toISOString();
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(2000, { ads_watched_today: 100, ads_limit_reached_at: iso(-7 * HOUR_MS) }),
+                userRow(2001, { ads_watched_today: 100, ads_limit_reached_at: iso(-HOUR_MS), spins_today: 15, spins_limit_reached_at: iso(-7 * HOUR_MS) }),
+                userRow(2002, { ads_watched_today: 40, created_at: iso(-HOUR_MS) }),
+                userRow(2003, { created_at: iso(-14 * HOUR_MS) })
+            ],
+            temp_actions: [
+                { id: 1, user_id: 2002, action_id: 'a'.repeat(64), action_type: 'watchAd', created_at: iso(-2 * HOUR_MS) },
+                { id: 2, user_id: 2002, action_id: 'b'.repeat(64), action_type: 'watchAd', created_at: iso(-1000) }
+            ],
+            balance_transactions: [
+                { id: 1, user_id: 2002, amount: 3, type: 'ad_reward', source_id: 'ad-1', created_at: iso(-HOUR_MS) },
+                { id: 2, user_id: 2002, amount: 10, type: 'daily_checkin', source_id: '2026-03-10', created_at: iso(-HOUR_MS) },
+                { id: 3, user_id: 2003, amount: 3, type: 'ad_reward', source_id: 'ad-2', created_at: iso(-14 * HOUR_MS) },
+                { id: 4, user_id: 2003, amount: -400, type: 'withdrawal', source_id: 'w-1', created_at: iso(-HOUR_MS) }
+            ],
+            withdrawals: [{ id: 1, user_id: 2003, amount: 400, fee: 0, net_amount: 400, method: 'binance_pay', address: '12345678', status: 'pending', created_at: iso(-HOUR_MS) }],
+            settings: [{ key: 'limit_reset_notifications', value: true }]
+        }
+    });
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+    await api.close();
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+const runMaintenance = (method = 'GET', secret = CRON_SECRET) => api.request(method, '/api/?maintenance', undefined, { authorization: `Bearer ${secret}` });
+
+describe('maintenance', () => {
+    it('requires the cron secret', async () => {
+        assert.equal((await runMaintenance('GET', 'wrong')).status, 401);
+        assert.equal((await api.request('GET', '/api/?maintenance')).status, 401);
+    });
+
+    it('purges expired action IDs, resets due limits and rolls up daily stats', async () => {
+        const response = await runMaintenance();
+        assert.equal(response.status, 200);
+
+        const { purged_action_ids: purged, limits_reset: limitsReset, daily_stats: dailyStats } = response.body.data;
+        assert.equal(purged, 1);
+        assert.deepEqual(api.rows('temp_actions').map(row => row.id), [2]);
+
+        assert.deepEqual(limitsReset, { ads: 1, spins: 1, notified: 2 });
+        const [user2000, user2001] = api.rows('users');
+        assert.deepEqual([user2000.ads_watched_today, user2000.ads_limit_reached_at], [0, null]);
+        assert.deepEqual([user2001.ads_watched_today, user2001.spins_today], [100, 0]);
+        assert.match(api.telegram.messagesTo('2000')[0].params.text, /ads limit has been reset/);
+        assert.match(api.telegram.messagesTo('2001')[0].params.text, /wheel spins limit has been reset/);
+
+        assert.deepEqual(dailyStats.map(row => row.day), ['2026-03-09', '2026-03-10']);
+        const today = api.rows('daily_stats').find(row => row.day === '2026-03-10');
+        assert.deepEqual(
+            [today.new_users, today.ads_watched, today.rewards_paid, today.withdrawals_requested, today.withdrawals_amount],
+            [1, 1, 13, 1, 400]
+        );
+        assert.equal(api.rows('daily_stats').find(row => row.day === '2026-03-09').ads_watched, 1);
+    });
+
+    it('is idempotent and accepts POST', async () => {
+        const response = await runMaintenance('POST');
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.limits_reset, { ads: 0, spins: 0, notified: 0 });
+        assert.equal(api.rows('daily_stats').length, 2);
+    });
+
+    it('reports a failed step without skipping the others', async () => {
+        mock.timers.tick(2 * HOUR_MS);
+        const restore = api.postgrest.failWhen(request => request.path === '/rest/v1/rpc/rollup_daily_stats');
+        try {
+            const response = await runMaintenance();
+            assert.equal(response.status, 500);
+            assert.deepEqual(response.body.params.failed, ['daily_stats']);
+            assert.equal(response.body.params.results.purged_action_ids, 1);
+        } finally {
+            restore();
+        }
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [userRow(1400), userRow(1401), userRow(1402)],
+            settings: [{ key: 'rate_limit_overrides', value: { getTransactions: { limit: 2, window_ms: 10000, ip_limit: 100 } } }]
+        }
+    });
+    mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+    await api.close();
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+const isRateLimitHit = request => request.path === '/rest/v1/rpc/rate_limit_hit';
+
+describe('per user limits', () => {
+    it('answers 429 with Retry-After once the window is used up', async () => {
+        assert.equal((await api.call({ type: 'getTransactions' }, 1400)).status, 200);
+        assert.equal((await api.call({ type: 'getTransactions' }, 1400)).status, 200);
+
+        const limited = await api.call({ type: 'getTransactions' }, 1400);
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers['retry-after'], '10');
+
+        // Other users have their own window
+        assert.equal((await api.call({ type: 'getTransactions' }, 1401)).status, 200);
+
+        mock.timers.tick(10000);
+        assert.equal((await api.call({ type: 'getTransactions' }, 1400)).status, 200);
+    });
+
+    it('keeps the windows in the shared store', async () => {
+        const hits = api.postgrest.requests.filter(isRateLimitHit).map(request => request.body.p_key);
+        assert.ok(hits.includes('getTransactions:user:1400'));
+        assert.ok(hits.includes('getTransactions:ip:203.0.113.1'));
+    });
+});
+
+describe('store failures', () => {
+    it('refuses writes and rewards with 503 but lets reads through', async () => {
+        const restore = api.postgrest.failWhen(isRateLimitHit);
+        try {
+            const write = await api.call({ type: 'register' }, 1402);
+            assert.equal(write.status, 503);
+            assert.equal(write.headers['retry-after'], '5');
+
+            const read = await api.call({ type: 'getUserData' }, 1402);
+            assert.equal(read.status, 200);
+        } finally {
+            restore();
+        }
+
+        assert.equal((await api.call({ type: 'register' }, 1402)).status, 200);
+    });
+});
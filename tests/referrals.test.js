@@ -0,0 +1,109 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const recently = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(1000),
+                userRow(1001, { ref_by: 1000, lifetime_ads_watched: 10, last_activity: recently }),
+                userRow(1002, { ref_by: 1001, lifetime_ads_watched: 10 }),
+                userRow(1003, { ref_by: 1000, lifetime_ads_watched: 2, last_activity: '2020-01-01T00:00:00.000Z' }),
+                userRow(1004, { is_banned: true }),
+                userRow(1200),
+                userRow(1201, { ref_by: 1200, last_activity: recently }),
+                userRow(1202, { ref_by: 1200, last_activity: '2020-01-01T00:00:00.000Z' }),
+                userRow(1203, { ref_by: 1200 })
+            ],
+            settings: [{ key: 'referral_commission_levels', value: [0.1, 0.05] }]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+async function watchAd(userId) {
+    const actionId = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, userId);
+    mock.timers.tick(5000);
+    const response = await api.call({ type: 'watchAd', action_id: actionId.body.data.action_id }, userId);
+    assert.equal(response.status, 200);
+    return response;
+}
+
+const balanceOf = userId => api.rows('users').find(row => row.id === userId).balance;
+
+describe('register with a referrer', () => {
+    it('stores a valid referrer', async () => {
+        assert.equal((await api.call({ type: 'register', ref_by: '1000' }, 1100)).status, 200);
+        assert.equal(api.rows('users').find(row => row.id === 1100).ref_by, 1000);
+    });
+
+    it('drops self-referrals and banned referrers', async () => {
+        assert.equal((await api.call({ type: 'register', ref_by: '1101' }, 1101)).status, 200);
+        assert.equal((await api.call({ type: 'register', ref_by: '1004' }, 1102)).status, 200);
+        assert.equal(api.rows('users').find(row => row.id === 1101).ref_by, null);
+        assert.equal(api.rows('users').find(row => row.id === 1102).ref_by, null);
+    });
+});
+
+describe('commissions', () => {
+    it('pays every referral level its rate of the reward', async () => {
+        await watchAd(1002);
+
+        assert.equal(balanceOf(1001), 3 * 0.1);
+        assert.equal(balanceOf(1000), 3 * 0.05);
+        const history = api.rows('commission_history').map(row => [row.referrer_id, row.referee_id, row.level, row.source_type]);
+        assert.deepEqual(history, [[1001, 1002, 1, 'ad'], [1000, 1002, 2, 'ad']]);
+        assert.ok(api.postgrest.requests.some(request => request.path === '/rest/v1/rpc/pay_referral_commission'));
+    });
+
+    it('pays nothing for referees below referral_min_referee_ads', async () => {
+        await watchAd(1003);
+        assert.equal(balanceOf(1000), 3 * 0.05);
+    });
+
+    it('is not a request type clients can call', async () => {
+        const response = await api.call({ type: 'commission', referrer_id: 1000, amount: 1000 }, 1001);
+        assert.equal(response.status, 400);
+        assert.equal(balanceOf(1000), 3 * 0.05);
+    });
+});
+
+describe('getReferrals', () => {
+    it('returns counts and commission totals without downloading every referral', async () => {
+        const requestCount = api.postgrest.requests.length;
+        const response = await api.call({ type: 'getReferrals', limit: 1 }, 1200);
+        assert.equal(response.status, 200);
+
+        const data = response.body.data;
+        assert.equal(data.total_count, 3);
+        assert.equal(data.active_count, 1);
+        assert.equal(data.total_commission, 0);
+        assert.equal(data.referrals.length, 1);
+
+        const requests = api.postgrest.requests.slice(requestCount);
+        const counts = requests.filter(request => request.method === 'HEAD' && request.path === '/rest/v1/users');
+        assert.equal(counts.length, 2);
+        assert.ok(counts.every(request => request.prefer === 'count=exact'));
+        const page = requests.find(request => request.method === 'GET' && request.path === '/rest/v1/users' && /ref_by=eq\.1200/.test(request.query));
+        assert.match(page.query, /limit=1&offset=0/);
+        const summary = requests.find(request => request.path === '/rest/v1/rpc/referral_commission_summary');
+        assert.deepEqual(summary.body, { p_referrer_id: 1200, p_referee_ids: data.referrals.map(referral => referral.user_id) });
+    });
+
+    it('reports the commission earned from each referee on the page', async () => {
+        const response = await api.call({ type: 'getReferrals' }, 1001);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.total_commission, 3 * 0.1);
+        assert.deepEqual(response.body.data.referrals.map(referral => [referral.user_id, referral.commission_earned]), [[1002, 3 * 0.1]]);
+    });
+});
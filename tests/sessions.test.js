@@ -0,0 +1,119 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createInitData, userRow } = require('./harness');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let api;
+
+before(async () => {
+    // Tokens carry whole seconds
+    mock.timers.enable({ apis: ['Date'], now: Math.floor(Date.now() / 1000) * 1000 });
+
+    api = await startHarness({
+        seed: { users: [userRow(1800, { balance: 42 }), userRow(1801), userRow(1802)] }
+    });
+    mock.method(console, 'warn', () => {});
+});
+
+after(async () => {
+    await api.close();
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+const withToken = (body, token) => api.request('POST', '/api/', body, { authorization: `Bearer ${token}` });
+
+async function startSession(userId) {
+    const response = await api.request('POST', '/api/', { type: 'startSession', initData: createInitData(userId) });
+    assert.equal(response.status, 200);
+    return response.body.data;
+}
+
+describe('startSession', () => {
+    it('exchanges valid initData for a token that authenticates later requests', async () => {
+        const session = await startSession(1800);
+        assert.equal(session.user_id, 1800);
+        assert.equal(Date.parse(session.expires_at) - Date.now(), HOUR_MS);
+
+        const response = await withToken({ type: 'getUserData' }, session.token);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.balance, 42);
+    });
+
+    it('refuses invalid initData', async () => {
+        const response = await api.request('POST', '/api/', { type: 'startSession', initData: createInitData(1800, { botToken: '1:other' }) });
+        assert.equal(response.status, 401);
+    });
+
+    it('keeps working after the initData window closed', async () => {
+        const session = await startSession(1801);
+        mock.timers.tick(30 * 60 * 1000);
+        assert.equal((await withToken({ type: 'getUserData' }, session.token)).status, 200);
+    });
+});
+
+describe('token checks', () => {
+    it('rejects forged and expired tokens', async () => {
+        const { token } = await startSession(1800);
+        const [header, , signature] = token.split('.');
+        const forgedPayload = Buffer.from(JSON.stringify({ sub: 1801, exp: 9999999999, sid_iat: 0 })).toString('base64url');
+
+        const forged = await withToken({ type: 'getUserData' }, `${header}.${forgedPayload}.${signature}`);
+        assert.equal(forged.status, 401);
+        assert.equal(forged.body.code, 'session_invalid');
+
+        mock.timers.tick(HOUR_MS);
+        const expired = await withToken({ type: 'getUserData' }, token);
+        assert.equal(expired.status, 401);
+        assert.equal(expired.body.code, 'session_expired');
+    });
+
+    it('takes the user from the token, not from body.user_id', async () => {
+        const { token } = await startSession(1800);
+        const response = await withToken({ type: 'getUserData', user_id: 1801 }, token);
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'init_data_user_mismatch');
+    });
+});
+
+describe('refreshSession', () => {
+    it('renews a token, and an expired one only within the grace window', async () => {
+        const { token } = await startSession(1800);
+
+        const refreshed = await withToken({ type: 'refreshSession' }, token);
+        assert.equal(refreshed.status, 200);
+        assert.equal((await withToken({ type: 'getUserData' }, refreshed.body.data.token)).status, 200);
+
+        mock.timers.tick(HOUR_MS + 60 * 1000);
+        const inGrace = await withToken({ type: 'refreshSession' }, refreshed.body.data.token);
+        assert.equal(inGrace.status, 200);
+
+        mock.timers.tick(HOUR_MS + 5 * 60 * 1000);
+        const tooLate = await withToken({ type: 'refreshSession' }, inGrace.body.data.token);
+        assert.equal(tooLate.status, 401);
+    });
+
+    it('stops at the maximum session age', async () => {
+        const session = await startSession(1801);
+        let token = session.token;
+        for (let hour = 0; hour < 7 * 24 - 1; hour++) {
+            mock.timers.tick(HOUR_MS - 1000);
+            const refreshed = await withToken({ type: 'refreshSession' }, token);
+            assert.equal(refreshed.status, 200);
+            token = refreshed.body.data.token;
+            assert.equal(refreshed.body.data.refresh_until, session.refresh_until);
+        }
+        // Still inside the grace window of the last token, but past SESSION_MAX_AGE_SECONDS
+        mock.timers.tick(HOUR_MS + 200 * 1000);
+        assert.equal((await withToken({ type: 'refreshSession' }, token)).status, 401);
+    });
+
+    it('refuses banned users', async () => {
+        const { token } = await startSession(1802);
+        assert.equal((await api.admin({ type: 'adminBanUser', target_user_id: 1802, reason: 'Bots' })).status, 200);
+
+        const response = await withToken({ type: 'refreshSession' }, token);
+        assert.equal(response.status, 403);
+    });
+});
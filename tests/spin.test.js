@@ -0,0 +1,85 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const now = new Date().toISOString();
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(300),
+                userRow(301, { spins_today: 15, spins_limit_reached_at: now, spins_window_started_at: now }),
+                userRow(302, { balance: 7 })
+            ],
+            settings: [
+                // Heavily weighted towards "try again" so user 302's spin pays nothing
+                { key: 'spin_sectors', value: [{ prize: 10, weight: 1 }, { type: 'try_again', weight: 1000000 }] }
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+async function issueActionId(userId) {
+    const response = await api.call({ type: 'generateActionId', action_type: 'preSpin' }, userId);
+    assert.equal(response.status, 200);
+    return response.body.data.action_id;
+}
+
+describe('preSpin / spinResult', () => {
+    it('counts and pays the spin in preSpin, then reveals a seed matching the commitment', async () => {
+        const spin = await api.call({ type: 'preSpin', action_id: await issueActionId(300), client_seed: 'clientseed123' }, 300);
+        assert.equal(spin.status, 200);
+        const { spin_id: spinId, server_seed_hash: serverSeedHash, prize, prize_index: prizeIndex, sectors } = spin.body.data;
+        assert.equal(sectors[prizeIndex].prize, prize);
+        assert.equal(spin.body.data.client_seed, 'clientseed123');
+        assert.equal(spin.body.data.new_balance, prize);
+        assert.equal(spin.body.data.new_spins_count, 1);
+
+        const result = await api.call({ type: 'spinResult', spin_id: spinId }, 300);
+        assert.equal(result.status, 200);
+        assert.equal(result.body.data.actual_prize, prize);
+        assert.equal(result.body.data.new_balance, prize);
+        assert.equal(crypto.createHash('sha256').update(result.body.data.proof.server_seed).digest('hex'), serverSeedHash);
+
+        // Revealing again changes nothing
+        mock.timers.tick(3000);
+        const again = await api.call({ type: 'spinResult', spin_id: spinId }, 300);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.data.new_balance, prize);
+        assert.equal(again.body.data.new_spins_count, 1);
+    });
+
+    it('keeps the balance on a "try again" sector', async () => {
+        const spin = await api.call({ type: 'preSpin', action_id: await issueActionId(302) }, 302);
+        assert.equal(spin.status, 200);
+        assert.equal(spin.body.data.sector_type, 'try_again');
+        assert.equal(spin.body.data.prize, 0);
+        assert.equal(spin.body.data.new_balance, 7);
+        assert.equal(api.rows('balance_transactions').filter(row => row.user_id === 302).length, 0);
+    });
+
+    it('rejects spins of other users', async () => {
+        mock.timers.tick(3000);
+        const spin = await api.call({ type: 'preSpin', action_id: await issueActionId(300) }, 300);
+        assert.equal(spin.status, 200);
+
+        mock.timers.tick(3000);
+        const response = await api.call({ type: 'spinResult', spin_id: spin.body.data.spin_id }, 302);
+        assert.equal(response.status, 409);
+    });
+
+    it('stops at the daily spin limit', async () => {
+        const response = await api.call({ type: 'preSpin', action_id: await issueActionId(301) }, 301);
+        assert.equal(response.status, 403);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createInitData, userRow } = require('./harness');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let api;
+let now;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    now = Date.now();
+    const iso = offsetMs => new Date(now + offsetMs).toISOString();
+    const channelTask = (id, fields) => ({ id, name: `Task ${id}`, link: `https://t.me/channel${id}`, reward: 10, is_active: true, ...fields });
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(700),
+                userRow(701, { ref_by: 700, created_at: iso(-DAY_MS) }),
+                userRow(702, { created_at: null })
+            ],
+            tasks: [
+                channelTask(1, { starts_at: iso(DAY_MS) }),
+                channelTask(2, { ends_at: iso(-1000) }),
+                channelTask(3, { referred_only: true }),
+                channelTask(4, { min_account_age_days: 7 }),
+                channelTask(5, { languages: ['ru'] }),
+                channelTask(6, { max_participants: 1 }),
+                channelTask(7, {})
+            ],
+            user_task_completions: [{ user_id: 700, task_id: 6 }]
+        }
+    });
+    for (let id = 1; id <= 7; id++) {
+        [700, 701, 702].forEach(userId => api.telegram.setMember(`@channel${id}`, userId));
+    }
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+const listTaskIds = async (userId, languageCode = 'en') => {
+    const response = await api.call({ type: 'getTasks', user_id: userId, initData: createInitData(userId, { languageCode }) });
+    assert.equal(response.status, 200);
+    return response.body.data.tasks.map(task => task.task_id);
+};
+
+const claim = (userId, taskId) => {
+    mock.timers.tick(3000);
+    return api.call({ type: 'claimTask', task_id: taskId }, userId);
+};
+
+describe('schedule and caps', () => {
+    it('hides scheduled, expired, full and untargeted tasks, except full ones the user completed', async () => {
+        assert.deepEqual(await listTaskIds(700), [4, 6, 7]);
+        assert.deepEqual(await listTaskIds(702), [4, 7]);
+        assert.deepEqual(await listTaskIds(701), [3, 7]);
+    });
+
+    it('refuses claims outside the schedule or over the cap', async () => {
+        assert.equal((await claim(702, 1)).status, 403);
+        assert.equal((await claim(702, 2)).status, 410);
+        assert.equal((await claim(702, 6)).status, 403);
+    });
+});
+
+describe('targeting', () => {
+    it('offers referred_only tasks to invited users only', async () => {
+        assert.equal((await claim(700, 3)).status, 403);
+        assert.equal((await claim(701, 3)).status, 200);
+    });
+
+    it('checks the account age, treating accounts without created_at as old enough', async () => {
+        assert.ok(!(await listTaskIds(701)).includes(4));
+        assert.equal((await claim(701, 4)).status, 403);
+        assert.equal((await claim(702, 4)).status, 200);
+    });
+
+    it('matches the Telegram language', async () => {
+        assert.ok((await listTaskIds(702, 'ru')).includes(5));
+        assert.equal((await claim(702, 5)).status, 403);
+    });
+});
+
+describe('pause, resume and disable', () => {
+    it('pauses a task until it is resumed', async () => {
+        const paused = await api.admin({ type: 'adminPauseTask', task_id: 7 });
+        assert.equal(paused.status, 200);
+        assert.equal(paused.body.data.task.is_paused, true);
+        assert.ok(!(await listTaskIds(700)).includes(7));
+        assert.equal((await claim(700, 7)).status, 403);
+
+        const resumed = await api.admin({ type: 'adminResumeTask', task_id: 7 });
+        assert.equal(resumed.status, 200);
+        assert.ok((await listTaskIds(700)).includes(7));
+    });
+
+    it('keeps a disabled task disabled when it is resumed', async () => {
+        assert.equal((await api.admin({ type: 'adminDisableTask', task_id: 7 })).status, 200);
+        assert.equal((await api.admin({ type: 'adminResumeTask', task_id: 7 })).status, 200);
+
+        assert.ok(!(await listTaskIds(700)).includes(7));
+        assert.equal((await claim(700, 7)).status, 404);
+
+        const reenabled = await api.admin({ type: 'adminUpdateTask', task_id: 7, task: { is_active: true } });
+        assert.equal(reenabled.status, 200);
+        assert.equal((await claim(700, 7)).status, 200);
+    });
+
+    it('validates the schedule fields', async () => {
+        const response = await api.admin({ type: 'adminUpdateTask', task_id: 7, task: { starts_at: new Date(now).toISOString(), ends_at: new Date(now - DAY_MS).toISOString() } });
+        assert.equal(response.status, 400);
+
+        const notBoolean = await api.admin({ type: 'adminUpdateTask', task_id: 7, task: { is_paused: 'yes' } });
+        assert.equal(notBoolean.status, 400);
+    });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+const PARTNER_BOT_TOKEN = '777:partner-bot-token';
+const SCREENSHOT = 'data:image/png;base64,iVBORw0KGgo=';
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(500), userRow(501),
+                userRow(510, { ref_by: 500, lifetime_ads_watched: 12 }),
+                userRow(511, { ref_by: 500 })
+            ],
+            tasks: [
+                { id: 1, name: 'Start the partner bot', link: 'https://t.me/partner_bot', reward: 30, is_active: true, verification_type: 'bot_start', verification_config: { bot_token: PARTNER_BOT_TOKEN } },
+                { id: 2, name: 'Read the blog post', link: 'https://example.com/post', reward: 15, is_active: true, verification_type: 'link_visit', verification_config: { min_seconds: 20 } },
+                { id: 3, name: 'Invite 2 friends', link: 'https://t.me/app', reward: 100, is_active: true, verification_type: 'referral_milestone', verification_config: { referrals: 2 } },
+                { id: 4, name: 'Invite 2 active friends', link: 'https://t.me/app', reward: 200, is_active: true, verification_type: 'referral_milestone', verification_config: { referrals: 2, active_only: true } },
+                { id: 5, name: 'Post a review', link: 'https://example.com/review', reward: 80, is_active: true, verification_type: 'manual_review' }
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+const claim = taskId => {
+    mock.timers.tick(3000);
+    return api.call({ type: 'claimTask', task_id: taskId }, 500);
+};
+
+describe('getTasks', () => {
+    it('shows each task\'s verification state, counting referrals once per request', async () => {
+        const requestCount = api.postgrest.requests.length;
+        const response = await api.call({ type: 'getTasks' }, 500);
+        assert.equal(response.status, 200);
+
+        const tasks = new Map(response.body.data.tasks.map(task => [task.task_id, task]));
+        assert.equal(tasks.get(1).verification_type, 'bot_start');
+        assert.deepEqual(tasks.get(1).verification, {});
+        assert.deepEqual(tasks.get(2).verification, { min_seconds: 20, started_at: null });
+        assert.deepEqual(tasks.get(3).verification, { required: 2, active_only: false, current: 2 });
+        assert.deepEqual(tasks.get(4).verification, { required: 2, active_only: true, current: 1 });
+        assert.deepEqual(tasks.get(5).verification, { proof_status: null, rejection_reason: null });
+
+        // Two referral counts (all and active) for the whole list, as HEAD requests
+        const counts = api.postgrest.requests.slice(requestCount).filter(request => request.path === '/rest/v1/users' && /ref_by=eq/.test(request.query));
+        assert.deepEqual(counts.map(request => [request.method, request.prefer]), [['HEAD', 'count=exact'], ['HEAD', 'count=exact']]);
+    });
+});
+
+describe('bot_start', () => {
+    it('asks the partner bot whether the user started it', async () => {
+        const notStarted = await claim(1);
+        assert.equal(notStarted.status, 400);
+
+        api.telegram.setStarted(PARTNER_BOT_TOKEN, 500);
+        const response = await claim(1);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.actual_reward, 30);
+        assert.ok(api.telegram.calls.some(call => call.bot === PARTNER_BOT_TOKEN && call.method === 'getChat' && call.params.chat_id === 500));
+    });
+});
+
+describe('link_visit', () => {
+    it('pays once the user stayed min_seconds after startTask', async () => {
+        const notStarted = await claim(2);
+        assert.equal(notStarted.status, 400);
+
+        const started = await api.call({ type: 'startTask', task_id: 2 }, 500);
+        assert.equal(started.status, 200);
+        assert.equal(started.body.data.min_seconds, 20);
+
+        const tooShort = await claim(2);
+        assert.equal(tooShort.status, 425);
+
+        mock.timers.tick(20000);
+        const response = await claim(2);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.actual_reward, 15);
+    });
+
+    it('only starts link_visit tasks', async () => {
+        const response = await api.call({ type: 'startTask', task_id: 1 }, 501);
+        assert.equal(response.status, 400);
+    });
+});
+
+describe('referral_milestone', () => {
+    it('counts all referrals, or only active ones when configured', async () => {
+        const all = await claim(3);
+        assert.equal(all.status, 200);
+        assert.equal(all.body.data.actual_reward, 100);
+
+        const activeOnly = await claim(4);
+        assert.equal(activeOnly.status, 400);
+    });
+});
+
+describe('manual_review', () => {
+    it('stores one proof at a time and pays when an admin approves it', async () => {
+        const claimed = await claim(5);
+        assert.equal(claimed.status, 400);
+
+        const invalid = await api.call({ type: 'submitTaskProof', task_id: 5, proof: 'not a link' }, 501);
+        assert.equal(invalid.status, 400);
+
+        const submitted = await api.call({ type: 'submitTaskProof', task_id: 5, proof: SCREENSHOT }, 501);
+        assert.equal(submitted.status, 200);
+        assert.equal(submitted.body.data.proof_status, 'submitted');
+
+        const twice = await api.call({ type: 'submitTaskProof', task_id: 5, proof: 'https://example.com/my-review' }, 501);
+        assert.equal(twice.status, 409);
+
+        const proofs = await api.admin({ type: 'adminListTaskProofs', task_id: 5 });
+        assert.equal(proofs.status, 200);
+        assert.deepEqual(proofs.body.data.proofs.map(proof => [proof.user_id, proof.proof]), [[501, SCREENSHOT]]);
+
+        const approved = await api.admin({ type: 'adminApproveTaskProof', proof_id: proofs.body.data.proofs[0].id });
+        assert.equal(approved.status, 200);
+        assert.equal(approved.body.data.user_balance, 80);
+        assert.ok(api.telegram.messagesTo(501).some(call => /approved/.test(call.params.text)));
+
+        const listed = await api.call({ type: 'getTasks' }, 501);
+        const task = listed.body.data.tasks.find(row => row.task_id === 5);
+        assert.equal(task.is_completed, true);
+        assert.equal(task.verification.proof_status, 'approved');
+    });
+
+    it('lets the user try again after a rejection', async () => {
+        const submitted = await api.call({ type: 'submitTaskProof', task_id: 5, proof: 'https://example.com/review-1' }, 500);
+        assert.equal(submitted.status, 200);
+        const [proof] = (await api.admin({ type: 'adminListTaskProofs', task_id: 5 })).body.data.proofs;
+
+        const rejected = await api.admin({ type: 'adminRejectTaskProof', proof_id: proof.id, reason: 'Review not found' });
+        assert.equal(rejected.status, 200);
+        assert.equal(rejected.body.data.status, 'rejected');
+
+        const listed = await api.call({ type: 'getTasks' }, 500);
+        assert.deepEqual(listed.body.data.tasks.find(row => row.task_id === 5).verification, { proof_status: 'rejected', rejection_reason: 'Review not found' });
+
+        const again = await api.call({ type: 'submitTaskProof', task_id: 5, proof: 'https://example.com/review-2' }, 500);
+        assert.equal(again.status, 200);
+    });
+});
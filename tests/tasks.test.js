@@ -0,0 +1,113 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [userRow(400), userRow(401), userRow(402), userRow(403, { task_completed: true })],
+            tasks: [
+                { id: 1, name: 'Join the news channel', link: 'https://t.me/news', reward: 50, channel_username: '@news', is_active: true },
+                { id: 2, name: 'Join the chat', link: 'https://t.me/shibchat', reward: 20, is_active: true, max_participants: 1 },
+                { id: 3, name: 'Old task', link: 'https://t.me/old', reward: 10, is_active: false }
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+describe('getTasks', () => {
+    it('lists active tasks with their completion state', async () => {
+        const response = await api.call({ type: 'getTasks' }, 400);
+        assert.equal(response.status, 200);
+
+        const tasks = response.body.data.tasks;
+        assert.deepEqual(tasks.map(task => task.task_id), [1, 2]);
+        assert.equal(tasks[0].reward, 50);
+        assert.equal(tasks[0].is_completed, false);
+        assert.equal(tasks[1].max_participants, 1);
+    });
+});
+
+describe('claimTask', () => {
+    it('requires membership of the task channel', async () => {
+        const response = await api.call({ type: 'claimTask', task_id: 1 }, 400);
+        assert.equal(response.status, 400);
+        assert.ok(api.telegram.calls.some(call => call.method === 'getChatMember' && call.params.chat_id === '@news' && call.params.user_id === 400));
+    });
+
+    it('pays the task reward once', async () => {
+        api.telegram.setMember('@news', 400);
+        mock.timers.tick(3000);
+
+        const response = await api.call({ type: 'claimTask', task_id: 1 }, 400);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.new_balance, 50);
+
+        mock.timers.tick(3000);
+        const again = await api.call({ type: 'claimTask', task_id: 1 }, 400);
+        assert.equal(again.status, 403);
+
+        const listed = await api.call({ type: 'getTasks' }, 400);
+        assert.equal(listed.body.data.tasks.find(task => task.task_id === 1).is_completed, true);
+        assert.equal(api.rows('users').find(row => row.id === 400).balance, 50);
+    });
+
+    it('falls back to the t.me link when the task has no channel_username', async () => {
+        api.telegram.setMember('@shibchat', 401);
+
+        const response = await api.call({ type: 'claimTask', task_id: 2 }, 401);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.new_balance, 20);
+    });
+
+    it('stops at max_participants', async () => {
+        api.telegram.setMember('@shibchat', 402);
+
+        const response = await api.call({ type: 'claimTask', task_id: 2 }, 402);
+        assert.equal(response.status, 403);
+        assert.equal(api.rows('users').find(row => row.id === 402).balance, 0);
+    });
+
+    it('rejects unknown and inactive tasks', async () => {
+        mock.timers.tick(3000);
+        const unknown = await api.call({ type: 'claimTask', task_id: 99 }, 402);
+        assert.equal(unknown.status, 404);
+
+        mock.timers.tick(3000);
+        const inactive = await api.call({ type: 'claimTask', task_id: 3 }, 402);
+        assert.equal(inactive.status, 404);
+    });
+});
+
+describe('completeTask', () => {
+    const completeTask = async userId => {
+        const actionId = await api.call({ type: 'generateActionId', action_type: 'completeTask' }, userId);
+        return api.call({ type: 'completeTask', action_id: actionId.body.data.action_id }, userId);
+    };
+
+    it('pays the channel join task after checking membership', async () => {
+        const notJoined = await completeTask(402);
+        assert.equal(notJoined.status, 400);
+
+        api.telegram.setMember('@botbababab', 402);
+        mock.timers.tick(3000);
+        const response = await completeTask(402);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.new_balance, 50);
+        assert.equal(api.rows('users').find(row => row.id === 402).task_completed, true);
+    });
+
+    it('refuses users who already completed it', async () => {
+        const response = await completeTask(403);
+        assert.equal(response.status, 403);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createInitData, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(200, { balance: 25 }),
+                userRow(201, { ref_by: 200 }),
+                userRow(202),
+                userRow(600, { is_banned: true })
+            ],
+            withdrawals: [
+                { id: 1, user_id: 200, amount: 400, fee: 0, net_amount: 400, method: 'binance_pay', address: '12345678', status: 'completed' }
+            ],
+            balance_transactions: [
+                { user_id: 202, type: 'ad_reward', amount: 3, balance_after: 3, source_id: 'a', created_at: '2024-01-01T00:00:00.000Z' },
+                { user_id: 202, type: 'spin_reward', amount: 10, balance_after: 13, source_id: 'b', created_at: '2024-01-02T00:00:00.000Z' },
+                { user_id: 202, type: 'withdrawal', amount: -5, balance_after: 8, source_id: 'c', created_at: '2024-01-03T00:00:00.000Z' },
+                { user_id: 200, type: 'ad_reward', amount: 3, balance_after: 3, source_id: 'd', created_at: '2024-01-01T00:00:00.000Z' }
+            ],
+            settings: [
+                { key: 'reward_per_ad', value: 4 },
+                { key: 'daily_max_ads', value: 'not a number' }
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+describe('authentication', () => {
+    it('rejects requests without initData', async () => {
+        const response = await api.call({ type: 'getUserData' });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.ok, false);
+    });
+
+    it('rejects initData signed with another bot token', async () => {
+        const response = await api.call({ type: 'getUserData', user_id: 200, initData: createInitData(200, { botToken: '999:other' }) });
+        assert.equal(response.status, 401);
+    });
+
+    it('rejects initData older than 20 minutes', async () => {
+        const initData = createInitData(200, { authDate: Math.floor(Date.now() / 1000) - 1201 });
+        const response = await api.call({ type: 'getUserData', user_id: 200, initData });
+        assert.equal(response.status, 401);
+    });
+});
+
+describe('register', () => {
+    it('creates the user on first launch', async () => {
+        const response = await api.call({ type: 'register', ref_by: '200' }, 100);
+        assert.equal(response.status, 200);
+
+        const [created] = api.rows('users').filter(row => row.id === 100);
+        assert.equal(created.balance, 0);
+        assert.equal(created.ref_by, 200);
+        assert.ok(api.postgrest.requests.some(request => request.method === 'POST' && request.path === '/rest/v1/users' && request.body.id === 100));
+    });
+
+    it('keeps existing users as they are', async () => {
+        const response = await api.call({ type: 'register', ref_by: '201' }, 200);
+        assert.equal(response.status, 200);
+        assert.equal(api.rows('users').find(row => row.id === 200).ref_by, undefined);
+    });
+
+    it('refuses banned users', async () => {
+        const response = await api.call({ type: 'register' }, 600);
+        assert.equal(response.status, 403);
+    });
+});
+
+describe('getUserData', () => {
+    it('returns the balance, counters, referrals and withdrawal history', async () => {
+        const response = await api.call({ type: 'getUserData' }, 200);
+        assert.equal(response.status, 200);
+
+        const data = response.body.data;
+        assert.equal(data.balance, 25);
+        assert.equal(data.ads_watched_today, 0);
+        assert.equal(data.referrals_count, 2);
+        assert.deepEqual(data.withdrawal_history.map(withdrawal => [withdrawal.amount, withdrawal.status]), [[400, 'completed']]);
+    });
+
+    it('only tells banned users that they are banned', async () => {
+        const response = await api.call({ type: 'getUserData' }, 600);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.is_banned, true);
+        assert.equal(response.body.data.balance, undefined);
+    });
+
+    it('reports storage failures as 500', async () => {
+        const restore = api.postgrest.failWhen(request => request.path === '/rest/v1/withdrawals');
+        try {
+            const response = await api.call({ type: 'getUserData' }, 200);
+            assert.equal(response.status, 500);
+            assert.match(response.body.error, /Service Unavailable/);
+        } finally {
+            restore();
+        }
+    });
+});
+
+describe('getConfig', () => {
+    it('merges valid settings rows over the defaults', async () => {
+        const response = await api.call({ type: 'getConfig' }, 200);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.reward_per_ad, 4);
+        assert.equal(response.body.data.daily_max_ads, 100);
+        assert.ok(api.postgrest.requests.some(request => request.method === 'GET' && request.path === '/rest/v1/settings'));
+    });
+});
+
+describe('getTransactions', () => {
+    it('pages through the caller\'s ledger, newest first', async () => {
+        const response = await api.call({ type: 'getTransactions', limit: 2 }, 202);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.transactions.map(row => row.type), ['withdrawal', 'spin_reward']);
+
+        const next = await api.call({ type: 'getTransactions', limit: 2, offset: 2 }, 202);
+        assert.deepEqual(next.body.data.transactions.map(row => row.type), ['ad_reward']);
+        assert.equal(next.body.data.transactions[0].source_id, 'a');
+    });
+});
+
+describe('generateActionId', () => {
+    it('hands out one ID per action type until it expires', async () => {
+        const first = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 202);
+        assert.equal(first.status, 200);
+        assert.match(first.body.data.action_id, /^[a-f0-9]{64}$/);
+
+        const again = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 202);
+        assert.equal(again.body.data.action_id, first.body.data.action_id);
+
+        mock.timers.tick(61000);
+        const renewed = await api.call({ type: 'generateActionId', action_type: 'watchAd' }, 202);
+        assert.notEqual(renewed.body.data.action_id, first.body.data.action_id);
+        assert.deepEqual(api.rows('temp_actions').filter(row => row.user_id === 202).map(row => row.action_id), [renewed.body.data.action_id]);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createInitData, userRow } = require('./harness');
+
+const ACTION_ID = 'a'.repeat(64);
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [userRow(1900, { balance: 1000 })],
+            balance_transactions: [1, 2, 3].map(id => ({ id, user_id: 1900, amount: id, type: 'ad_reward', source_id: `ad-${id}`, created_at: new Date(Date.now() - id * 1000).toISOString() }))
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+describe('request schemas', () => {
+    it('lists every field error in one 400 before the handler runs', async () => {
+        const requestCount = api.postgrest.requests.length;
+        const response = await api.call({ type: 'withdraw', action_id: ACTION_ID, method: 'binance_pay', amount: 'abc' }, 1900);
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'invalid_request');
+        assert.deepEqual(response.body.params.errors.map(error => error.field), ['address', 'amount']);
+        assert.ok(!api.postgrest.requests.slice(requestCount).some(request => request.path === '/rest/v1/temp_actions'));
+    });
+
+    it('only accepts the listed values and formats', async () => {
+        const actionType = await api.call({ type: 'generateActionId', action_type: 'adminBanUser' }, 1900);
+        assert.equal(actionType.status, 400);
+
+        const injected = await api.call({ type: 'watchAd', action_id: `${ACTION_ID}&user_id=neq.0` }, 1900);
+        assert.equal(injected.status, 400);
+        assert.deepEqual(injected.body.params.errors, [{ field: 'action_id', message: 'has an invalid format' }]);
+    });
+
+    it('converts numeric strings for number fields', async () => {
+        const response = await api.call({ type: 'getTransactions', limit: '2', offset: '1' }, 1900);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.transactions.map(row => row.id), [2, 3]);
+
+        const outOfRange = await api.call({ type: 'getTransactions', limit: 500 }, 1900);
+        assert.equal(outOfRange.status, 400);
+    });
+
+    it('encodes values placed into PostgREST filters', async () => {
+        const response = await api.call({ type: 'register', ref_by: 'a,b' }, 1901);
+        assert.equal(response.status, 400);
+
+        const requestCount = api.postgrest.requests.length;
+        await api.call({ type: 'cancelWithdrawal', withdrawal_id: '12' }, 1900);
+        const lookup = api.postgrest.requests.slice(requestCount).find(request => request.path === '/rest/v1/withdrawals');
+        assert.match(lookup.query, /^\?id=eq\.12&user_id=eq\.1900&/);
+    });
+});
+
+describe('request body', () => {
+    it('refuses bodies over the size limit and closes the connection', async () => {
+        const body = JSON.stringify({ type: 'getUserData', user_id: 1900, initData: createInitData(1900), padding: 'x'.repeat(600 * 1024) });
+        const response = await api.request('POST', '/api/', body);
+        assert.equal(response.status, 413);
+        assert.equal(response.headers.connection, 'close');
+
+        const declared = await api.request('POST', '/api/', '{}', { 'content-length': String(1024 * 1024) });
+        assert.equal(declared.status, 413);
+    });
+
+    it('refuses invalid JSON', async () => {
+        const response = await api.request('POST', '/api/', 'not json');
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const now = new Date().toISOString();
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(200),
+                userRow(201, { ads_watched_today: 100, ads_limit_reached_at: now, ads_window_started_at: now }),
+                userRow(202),
+                userRow(600, { is_banned: true })
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+async function issueActionId(userId, actionType) {
+    const response = await api.call({ type: 'generateActionId', action_type: actionType }, userId);
+    assert.equal(response.status, 200);
+    return response.body.data.action_id;
+}
+
+describe('watchAd', () => {
+    it('credits reward_per_ad once per action ID', async () => {
+        const actionId = await issueActionId(200, 'watchAd');
+        mock.timers.tick(5000);
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId }, 200);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.new_balance, 3);
+        assert.equal(response.body.data.new_ads_count, 1);
+
+        const ledger = api.rows('balance_transactions').filter(row => row.user_id === 200);
+        assert.deepEqual(ledger.map(row => [row.type, row.amount, row.source_id]), [['ad_reward', 3, actionId]]);
+
+        const replay = await api.call({ type: 'watchAd', action_id: actionId }, 200);
+        assert.equal(replay.status, 409);
+    });
+
+    it('consumes the action ID with a DELETE that returns the deleted row', async () => {
+        const actionId = await issueActionId(202, 'watchAd');
+        mock.timers.tick(5000);
+        const requestCount = api.postgrest.requests.length;
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId }, 202);
+        assert.equal(response.status, 200);
+
+        const consume = api.postgrest.requests.slice(requestCount)
+            .find(request => request.method === 'DELETE' && request.path === '/rest/v1/temp_actions');
+        assert.ok(consume);
+        assert.match(consume.query, /^\?id=eq\.\d+&select=id$/);
+        assert.match(consume.prefer, /return=representation/);
+    });
+
+    it('pays only one of two concurrent claims of the same action ID', async () => {
+        const actionId = await issueActionId(202, 'watchAd');
+        mock.timers.tick(5000);
+
+        const responses = await Promise.all([
+            api.call({ type: 'watchAd', action_id: actionId }, 202),
+            api.call({ type: 'watchAd', action_id: actionId }, 202)
+        ]);
+        assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+        assert.equal(api.rows('balance_transactions').filter(row => row.source_id === actionId).length, 1);
+    });
+
+    it('rejects expired action IDs', async () => {
+        const actionId = await issueActionId(200, 'watchAd');
+        mock.timers.tick(61000);
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId }, 200);
+        assert.equal(response.status, 408);
+    });
+
+    it('rejects action IDs issued for another action', async () => {
+        const actionId = await issueActionId(200, 'preSpin');
+        mock.timers.tick(5000);
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId }, 200);
+        assert.equal(response.status, 409);
+    });
+
+    it('stops at the daily ad limit', async () => {
+        const actionId = await issueActionId(201, 'watchAd');
+        mock.timers.tick(5000);
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId }, 201);
+        assert.equal(response.status, 403);
+        assert.equal(api.rows('users').find(row => row.id === 201).ads_watched_today, 100);
+    });
+
+    it('refuses banned users', async () => {
+        const actionId = await issueActionId(600, 'watchAd');
+        mock.timers.tick(5000);
+
+        const response = await api.call({ type: 'watchAd', action_id: actionId }, 600);
+        assert.equal(response.status, 403);
+    });
+});
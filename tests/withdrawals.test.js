@@ -0,0 +1,86 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, userRow } = require('./harness');
+
+let api;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    api = await startHarness({
+        seed: {
+            users: [
+                userRow(500, { balance: 1000 }),
+                userRow(501, { balance: 100 }),
+                userRow(502, { balance: 2000 }),
+                userRow(503, { balance: 500 })
+            ]
+        }
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.timers.reset();
+});
+
+async function withdraw(userId, fields) {
+    const actionId = await api.call({ type: 'generateActionId', action_type: 'withdraw' }, userId);
+    assert.equal(actionId.status, 200);
+    return api.call({ type: 'withdraw', method: 'binance_pay', address: '12345678', action_id: actionId.body.data.action_id, ...fields }, userId);
+}
+
+describe('withdraw', () => {
+    it('enforces the method minimum', async () => {
+        const response = await withdraw(500, { amount: 100 });
+        assert.equal(response.status, 400);
+    });
+
+    it('validates the address format of the method', async () => {
+        const response = await withdraw(502, { method: 'usdt_trc20', address: '0x1234', amount: 1000 });
+        assert.equal(response.status, 400);
+    });
+
+    it('debits the balance, records the fee and allows one open withdrawal', async () => {
+        const response = await withdraw(502, { method: 'usdt_trc20', address: `T${'A'.repeat(33)}`, amount: 1000 });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.new_balance, 1000);
+        assert.equal(response.body.data.withdrawal.status, 'pending');
+        assert.equal(response.body.data.withdrawal.fee, 50);
+        assert.equal(response.body.data.withdrawal.net_amount, 950);
+
+        const second = await withdraw(502, { method: 'usdt_trc20', address: `T${'A'.repeat(33)}`, amount: 1000 });
+        assert.equal(second.status, 409);
+    });
+
+    it('refuses more than the balance', async () => {
+        const response = await withdraw(501, { amount: 400 });
+        assert.equal(response.status, 400);
+        assert.equal(api.rows('users').find(row => row.id === 501).balance, 100);
+    });
+});
+
+describe('cancelWithdrawal', () => {
+    it('cancels a pending withdrawal and refunds it', async () => {
+        const created = await withdraw(503, { amount: 400 });
+        assert.equal(created.status, 200);
+        assert.equal(created.body.data.new_balance, 100);
+
+        const response = await api.call({ type: 'cancelWithdrawal', withdrawal_id: created.body.data.withdrawal.id }, 503);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.status, 'cancelled');
+        assert.equal(response.body.data.new_balance, 500);
+
+        const ledger = api.rows('balance_transactions').filter(row => row.user_id === 503).map(row => [row.type, row.amount]);
+        assert.deepEqual(ledger, [['withdrawal', -400], ['withdrawal_refund', 400]]);
+
+        const again = await api.call({ type: 'cancelWithdrawal', withdrawal_id: created.body.data.withdrawal.id }, 503);
+        assert.equal(again.status, 409);
+    });
+
+    it('only cancels the user\'s own withdrawals', async () => {
+        const [other] = api.rows('withdrawals').filter(row => row.user_id === 502);
+        const response = await api.call({ type: 'cancelWithdrawal', withdrawal_id: other.id }, 500);
+        assert.equal(response.status, 404);
+    });
+});